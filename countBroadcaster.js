@@ -0,0 +1,92 @@
+// countBroadcaster.js - Server-Sent Events fan-out of count session changes to every connected device
+//
+// Single instance only: subscribers live in this process's memory, so a device only hears about
+// mutations applied through the same server process (and presence lists only the devices connected
+// to it). Run one instance (one Railway replica) while sessions are counted from several devices;
+// scaling out needs a shared channel (e.g. PostgreSQL LISTEN/NOTIFY) behind publish().
+
+const HEARTBEAT_INTERVAL = 25000; // Keep idle connections open through proxies
+
+// sessionId -> Set of { res, counter }
+const subscribers = new Map();
+let heartbeatTimer = null;
+
+function writeEvent(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function startHeartbeat() {
+  if (heartbeatTimer) {
+    return;
+  }
+  heartbeatTimer = setInterval(() => {
+    subscribers.forEach(clients => clients.forEach(client => client.res.write(': ping\n\n')));
+  }, HEARTBEAT_INTERVAL);
+  heartbeatTimer.unref();
+}
+
+/**
+ * Names of the counters connected to a session
+ * @param {string} sessionId - Session id
+ * @returns {Array<string>} Distinct counter names
+ */
+function getCounters(sessionId) {
+  const clients = subscribers.get(sessionId) || new Set();
+  return [...new Set([...clients].map(client => client.counter))];
+}
+
+/**
+ * Send an event to every device connected to a session
+ * @param {string} sessionId - Session id
+ * @param {string} type - Event name (snapshot, mutation, status, presence)
+ * @param {Object} data - JSON payload
+ */
+function publish(sessionId, type, data) {
+  const clients = subscribers.get(sessionId);
+  if (!clients) {
+    return;
+  }
+  clients.forEach(client => writeEvent(client.res, type, data));
+}
+
+/**
+ * Open an event stream for one device and announce it to the others
+ * @param {string} sessionId - Session id
+ * @param {Object} res - Express response
+ * @param {string} counter - Counter name shown to the other devices
+ * @param {Object} snapshot - Current session state, sent first as a 'snapshot' event
+ */
+function subscribe(sessionId, res, counter, snapshot) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const client = { res, counter };
+  if (!subscribers.has(sessionId)) {
+    subscribers.set(sessionId, new Set());
+  }
+  subscribers.get(sessionId).add(client);
+  startHeartbeat();
+
+  writeEvent(res, 'snapshot', { ...snapshot, counters: getCounters(sessionId) });
+  publish(sessionId, 'presence', { counters: getCounters(sessionId) });
+
+  res.on('close', () => {
+    const clients = subscribers.get(sessionId);
+    clients.delete(client);
+    if (clients.size === 0) {
+      subscribers.delete(sessionId);
+    } else {
+      publish(sessionId, 'presence', { counters: getCounters(sessionId) });
+    }
+  });
+}
+
+module.exports = {
+  subscribe,
+  publish,
+  getCounters
+};
@@ -0,0 +1,124 @@
+// countHistoryStore.js - Immutable, dated snapshots of finalized counts (count history per project)
+const { v4: uuidv4 } = require('uuid');
+const database = require('./database');
+const { toIso, HttpError } = require('./utils');
+
+function toSnapshotSummary(row) {
+  return {
+    snapshotId: row.snapshot_id,
+    sessionId: row.session_id || null,
+    listVersion: Number(row.list_version),
+    itemCount: Number(row.item_count),
+    totalQuantity: Number(row.total_quantity),
+    countedAt: toIso(row.counted_at),
+    createdAt: toIso(row.created_at)
+  };
+}
+
+/**
+ * Record a finalized session's totals as a snapshot
+ * @param {Function} q - Query function (inside the finalize transaction)
+ * @param {Object} data - { projectId, sessionId, listId, totals: [{ itemId, item, quantity, baseUnit, zones, units }] }
+ * @returns {Promise<Object>} Snapshot summary
+ */
+async function createSnapshot(q, data) {
+  const lists = await q('SELECT version FROM inventory_lists WHERE list_id = ?', [data.listId]);
+  const items = data.totals.map(total => ({
+    itemId: total.itemId,
+    item: total.item,
+    quantity: total.quantity,
+    baseUnit: total.baseUnit || null,
+    zones: total.zones || [],
+    units: total.units || {}
+  }));
+  const totalQuantity = items.reduce((sum, item) => sum + item.quantity, 0);
+  const snapshotId = uuidv4();
+  const now = new Date().toISOString();
+
+  await q(
+    `INSERT INTO count_snapshots (snapshot_id, project_id, session_id, list_version, items, item_count,
+       total_quantity, counted_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      snapshotId, data.projectId, data.sessionId, Number(lists[0].version), JSON.stringify(items),
+      items.length, totalQuantity, data.countedAt || now, now
+    ]
+  );
+
+  const rows = await q('SELECT * FROM count_snapshots WHERE snapshot_id = ?', [snapshotId]);
+  return toSnapshotSummary(rows[0]);
+}
+
+/**
+ * List a project's past counts, most recent first
+ * @param {string} projectId - Project id
+ * @returns {Promise<Array<Object>>} Snapshot summaries (without items)
+ */
+async function listSnapshots(projectId) {
+  const rows = await database.query(
+    `SELECT snapshot_id, session_id, list_version, item_count, total_quantity, counted_at, created_at
+     FROM count_snapshots WHERE project_id = ?
+     ORDER BY counted_at DESC`,
+    [projectId]
+  );
+  return rows.map(toSnapshotSummary);
+}
+
+/**
+ * Load one past count
+ * @param {string} projectId - Project id
+ * @param {string} snapshotId - Snapshot id
+ * @returns {Promise<Object|null>} Summary with items [{ itemId, item, quantity, zones }] and counts { item: quantity }, or null
+ */
+async function getSnapshot(projectId, snapshotId) {
+  const rows = await database.query(
+    'SELECT * FROM count_snapshots WHERE project_id = ? AND snapshot_id = ?',
+    [projectId, snapshotId]
+  );
+  if (rows.length === 0) {
+    return null;
+  }
+
+  const items = JSON.parse(rows[0].items);
+  const counts = {};
+  items.forEach(item => {
+    counts[item.item] = item.quantity;
+  });
+
+  return { ...toSnapshotSummary(rows[0]), items, counts };
+}
+
+/**
+ * Delete one past count. The snapshot of a finalized (signed-off) count is kept: it only leaves the
+ * history when a manager reopens the count (see sessionStore.transitionSession), which is recorded.
+ * @param {string} projectId - Project id
+ * @param {string} snapshotId - Snapshot id
+ * @returns {Promise<boolean>} True if a snapshot was deleted
+ * @throws {HttpError} 409 if the snapshot belongs to a finalized count
+ */
+async function deleteSnapshot(projectId, snapshotId) {
+  return database.transaction(async (q) => {
+    const finalized = await q(
+      `SELECT 1 FROM count_snapshots c
+       JOIN count_sessions_v2 s ON s.session_id = c.session_id
+       WHERE c.project_id = ? AND c.snapshot_id = ? AND s.status = 'finalized'`,
+      [projectId, snapshotId]
+    );
+    if (finalized.length > 0) {
+      throw new HttpError(409, 'This count was finalized and signed off; a manager must reopen it to take it out of the history');
+    }
+
+    const result = await q(
+      'DELETE FROM count_snapshots WHERE project_id = ? AND snapshot_id = ?',
+      [projectId, snapshotId]
+    );
+    return !!result[0]?.changes;
+  });
+}
+
+module.exports = {
+  createSnapshot,
+  listSnapshots,
+  getSnapshot,
+  deleteSnapshot
+};
@@ -0,0 +1,236 @@
+// countSheet.js - Printable paper count sheets (PDF) from a master list, marked with the list version they were printed from
+const PDFDocument = require('pdfkit');
+const { HttpError } = require('./utils');
+
+const UNCATEGORIZED = 'Uncategorized';
+
+// Printed on every page so a scan of the filled-in sheet can be matched to its master list version
+// ("KF-SHEET list=<list id> v=<version> project=<project key>"); plain text, for OCR
+const MARKER_PREFIX = 'KF-SHEET';
+const MARKER_PATTERN = /KF-SHEET\s+list=([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\s+v=(\d+)(?:\s+project=(\S+))?/i;
+
+// At most this many blank count columns fit beside the item names
+const MAX_COLUMNS = 6;
+
+// Page layout (points; US Letter portrait)
+const PAGE = { size: 'LETTER', margin: 36 };
+const ROW_HEIGHT = 20;
+const NUMBER_WIDTH = 28;
+const UNIT_WIDTH = 78;
+const COLUMN_WIDTH = 58;
+
+/**
+ * The machine-readable marker for a list version
+ * @param {Object} list - List (see inventoryStore.getInventoryList)
+ * @param {string} projectKey - Project key (see projectStore.projectKey)
+ * @returns {string} Marker text
+ */
+function sheetMarker(list, projectKey) {
+  return `${MARKER_PREFIX} list=${list.listId} v=${list.version} project=${projectKey}`;
+}
+
+/**
+ * Find a count sheet marker in scanned text
+ * @param {string} text - OCR text
+ * @returns {Object|null} { listId, version, projectKey } or null if the text has no marker
+ */
+function parseSheetMarker(text) {
+  const match = String(text || '').match(MARKER_PATTERN);
+  if (!match) {
+    return null;
+  }
+  return { listId: match[1].toLowerCase(), version: Number(match[2]), projectKey: match[3] || null };
+}
+
+/**
+ * Remove count sheet marker lines from scanned text (so they are not read as items)
+ * @param {string} text - OCR text
+ * @returns {string} Text without marker lines
+ */
+function stripSheetMarker(text) {
+  return String(text || '')
+    .split('\n')
+    .filter(line => !line.toUpperCase().includes(MARKER_PREFIX))
+    .join('\n');
+}
+
+/**
+ * Validate the labels of the blank count columns ("Walk-in,Freezer")
+ * @param {string|Array<string>} columns - Comma-separated labels or an array of labels
+ * @returns {Array<string>|null} Labels, or null if none were given
+ * @throws {HttpError} 400 for more than MAX_COLUMNS labels or a label over 20 characters
+ */
+function parseColumns(columns) {
+  if (columns === undefined || columns === null || columns === '') {
+    return null;
+  }
+  const labels = (Array.isArray(columns) ? columns : String(columns).split(','))
+    .map(label => String(label).trim())
+    .filter(Boolean);
+  if (labels.length === 0 || labels.length > MAX_COLUMNS || labels.some(label => label.length > 20)) {
+    throw new HttpError(400, `columns must be 1-${MAX_COLUMNS} comma-separated labels of 20 characters or fewer`);
+  }
+  return labels;
+}
+
+// Unit text for an item: its base unit and pack sizes ("pound (case 40)")
+function unitLabel(item) {
+  const packs = Object.entries(item.packSizes || {}).map(([unit, size]) => `${unit} ${size}`);
+  if (!item.baseUnit && packs.length === 0) {
+    return '';
+  }
+  return `${item.baseUnit || 'each'}${packs.length > 0 ? ` (${packs.join(', ')})` : ''}`;
+}
+
+/**
+ * Lay out a count sheet: items in walk order (master list order), split into a section
+ * each time the category changes, with one blank count column per zone (or a single Count column)
+ * @param {Object} list - List with items (see inventoryStore.getInventoryList)
+ * @param {Object} options - { projectName, projectKey, zones: [zone names], columns: [labels] (over the zones) }
+ * @returns {Object} { projectName, listId, version, marker, columns, sections: [{ category, items: [{ number, itemId, name, unit }] }], itemCount, printedAt }
+ */
+function buildCountSheet(list, options = {}) {
+  const columns = options.columns ||
+    ((options.zones || []).length > 0 ? options.zones.slice(0, MAX_COLUMNS) : ['Count']);
+
+  const sections = [];
+  list.items.forEach((item, index) => {
+    const category = item.category || UNCATEGORIZED;
+    if (sections.length === 0 || sections[sections.length - 1].category !== category) {
+      sections.push({ category, items: [] });
+    }
+    sections[sections.length - 1].items.push({
+      number: index + 1,
+      itemId: item.itemId,
+      name: item.name,
+      unit: unitLabel(item)
+    });
+  });
+
+  return {
+    projectName: options.projectName || list.projectName || list.name,
+    listId: list.listId,
+    version: list.version,
+    marker: sheetMarker(list, options.projectKey || ''),
+    columns,
+    sections,
+    itemCount: list.items.length,
+    printedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Render a count sheet as a PDF
+ * @param {Object} sheet - Sheet from buildCountSheet
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+function renderCountSheetPdf(sheet) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: PAGE.size,
+      margin: PAGE.margin,
+      bufferPages: true,
+      info: { Title: `Count sheet - ${sheet.projectName} (v${sheet.version})`, Subject: sheet.marker }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = PAGE.margin;
+    const right = doc.page.width - PAGE.margin;
+    const bottom = doc.page.height - PAGE.margin - 24;
+    const countLeft = right - sheet.columns.length * COLUMN_WIDTH;
+    const unitLeft = countLeft - UNIT_WIDTH;
+    const nameLeft = left + NUMBER_WIDTH;
+    let y;
+
+    const drawTitle = () => {
+      doc.font('Helvetica-Bold').fontSize(16).text(`Count Sheet - ${sheet.projectName}`, left, PAGE.margin);
+      doc.font('Helvetica').fontSize(9).text(
+        `Master list version ${sheet.version}  |  ${sheet.itemCount} items  |  Printed ${sheet.printedAt.substring(0, 10)}`,
+        left, PAGE.margin + 20
+      );
+      doc.text('Counted by: ____________________     Date: ____________', left, PAGE.margin + 34);
+      y = PAGE.margin + 54;
+    };
+
+    const drawColumnHeaders = () => {
+      doc.font('Helvetica-Bold').fontSize(9);
+      doc.text('#', left, y + 6, { width: NUMBER_WIDTH - 4 });
+      doc.text('Item', nameLeft, y + 6, { width: unitLeft - nameLeft - 4 });
+      doc.text('Unit', unitLeft, y + 6, { width: UNIT_WIDTH - 4 });
+      sheet.columns.forEach((label, c) => {
+        doc.text(label, countLeft + c * COLUMN_WIDTH, y + 6, { width: COLUMN_WIDTH, align: 'center', lineBreak: false, ellipsis: true });
+      });
+      y += ROW_HEIGHT;
+      doc.moveTo(left, y).lineTo(right, y).lineWidth(1).stroke();
+    };
+
+    const drawSectionHeader = (category, continued) => {
+      doc.rect(left, y, right - left, ROW_HEIGHT - 2).fill('#e8e8e8');
+      doc.fillColor('black').font('Helvetica-Bold').fontSize(10)
+        .text(`${category}${continued ? ' (continued)' : ''}`, left + 4, y + 5, { width: right - left - 8, lineBreak: false });
+      y += ROW_HEIGHT;
+    };
+
+    const drawItem = (item) => {
+      doc.font('Helvetica').fontSize(10);
+      doc.text(String(item.number), left, y + 6, { width: NUMBER_WIDTH - 4, lineBreak: false });
+      doc.text(item.name, nameLeft, y + 6, { width: unitLeft - nameLeft - 4, height: ROW_HEIGHT - 6, lineBreak: false, ellipsis: true });
+      doc.fontSize(8).text(item.unit, unitLeft, y + 7, { width: UNIT_WIDTH - 4, lineBreak: false, ellipsis: true });
+      sheet.columns.forEach((label, c) => {
+        doc.rect(countLeft + c * COLUMN_WIDTH + 4, y + 2, COLUMN_WIDTH - 8, ROW_HEIGHT - 4).lineWidth(0.5).stroke();
+      });
+      y += ROW_HEIGHT;
+      doc.moveTo(left, y).lineTo(countLeft, y).lineWidth(0.25).strokeColor('#999999').stroke().strokeColor('black');
+    };
+
+    const newPage = () => {
+      doc.addPage();
+      y = PAGE.margin;
+      drawColumnHeaders();
+    };
+
+    drawTitle();
+    drawColumnHeaders();
+    sheet.sections.forEach(section => {
+      // Keep a section header with at least its first item
+      if (y + 2 * ROW_HEIGHT > bottom) {
+        newPage();
+      }
+      drawSectionHeader(section.category, false);
+      section.items.forEach(item => {
+        if (y + ROW_HEIGHT > bottom) {
+          newPage();
+          drawSectionHeader(section.category, true);
+        }
+        drawItem(item);
+      });
+    });
+    if (sheet.sections.length === 0) {
+      doc.font('Helvetica-Oblique').fontSize(10).text('The master list has no items.', left, y + 8);
+    }
+
+    // Footer on every page: the marker (for matching a scan back to this version) and page numbers
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+      const footerY = doc.page.height - PAGE.margin - 12;
+      doc.font('Courier').fontSize(8).text(sheet.marker, left, footerY, { lineBreak: false });
+      doc.font('Helvetica').fontSize(8)
+        .text(`Page ${i - range.start + 1} of ${range.count}`, left, footerY, { width: right - left, align: 'right', lineBreak: false });
+    }
+    doc.end();
+  });
+}
+
+module.exports = {
+  MAX_COLUMNS,
+  sheetMarker,
+  parseSheetMarker,
+  stripSheetMarker,
+  parseColumns,
+  buildCountSheet,
+  renderCountSheetPdf
+};
@@ -3,6 +3,7 @@ const { Pool } = require('pg');
 const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 
 const usePostgres = !!process.env.DATABASE_URL;
@@ -10,6 +11,41 @@ const usePostgres = !!process.env.DATABASE_URL;
 let db;
 let queryFunction;
 
+// Convert SQLite-flavoured SQL to PostgreSQL
+function toPostgresSql(sql) {
+  let paramIndex = 1;
+  
+  // Replace ? with $1, $2, $3...
+  let pgSql = sql.replace(/\?/g, () => `$${paramIndex++}`);
+  
+  // Handle INSERT IGNORE (PostgreSQL uses INSERT ... ON CONFLICT DO NOTHING)
+  if (pgSql.includes('INSERT IGNORE') || pgSql.includes('INSERT OR IGNORE')) {
+    pgSql = pgSql.replace(/INSERT (?:IGNORE|OR IGNORE)/gi, 'INSERT');
+    
+    if (!pgSql.includes('ON CONFLICT')) {
+      pgSql += ' ON CONFLICT DO NOTHING';
+    }
+  }
+  
+  // Handle datetime() function (SQLite) -> NOW() (PostgreSQL)
+  pgSql = pgSql.replace(/datetime\('now',\s*'([^']+)'\)/gi, (match, interval) => {
+    return `NOW() - INTERVAL '${interval.replace('-', '')}'`;
+  });
+  
+  return pgSql;
+}
+
+// Run a query on a pg Pool or a checked-out client
+async function runPostgres(client, sql, params = []) {
+  const result = await client.query(toPostgresSql(sql), params);
+  
+  // Match the SQLite shape for writes so callers can read .changes
+  if (result.command !== 'SELECT' && result.rows.length === 0) {
+    return [{ changes: result.rowCount }];
+  }
+  return result.rows;
+}
+
 if (usePostgres) {
   // PostgreSQL (Railway production)
   db = new Pool({
@@ -20,31 +56,9 @@ if (usePostgres) {
     connectionTimeoutMillis: 10000
   });
   
-  // Convert ? placeholders to $1, $2, etc.
   queryFunction = async (sql, params = []) => {
-    let pgSql = sql;
-    let paramIndex = 1;
-    
-    // Replace ? with $1, $2, $3...
-    pgSql = sql.replace(/\?/g, () => `$${paramIndex++}`);
-    
-    // Handle INSERT IGNORE (PostgreSQL uses INSERT ... ON CONFLICT DO NOTHING)
-    if (pgSql.includes('INSERT IGNORE') || pgSql.includes('INSERT OR IGNORE')) {
-      pgSql = pgSql.replace(/INSERT (?:IGNORE|OR IGNORE)/gi, 'INSERT');
-      
-      if (!pgSql.includes('ON CONFLICT')) {
-        pgSql += ' ON CONFLICT DO NOTHING';
-      }
-    }
-    
-    // Handle datetime() function (SQLite) -> NOW() (PostgreSQL)
-    pgSql = pgSql.replace(/datetime\('now',\s*'([^']+)'\)/gi, (match, interval) => {
-      return `NOW() - INTERVAL '${interval.replace('-', '')}'`;
-    });
-    
     try {
-      const result = await db.query(pgSql, params);
-      return result.rows;
+      return await runPostgres(db, sql, params);
     } catch (err) {
       if (err.code === '23505') {
         console.warn('Duplicate key ignored:', err.message);
@@ -99,32 +113,219 @@ async function query(sql, params = []) {
   return queryFunction(sql, params);
 }
 
-async function initialize() {
-  const migrationPath = path.join(__dirname, 'migrations', '001_add_session_tables.sql');
+/**
+ * Run fn inside a single transaction.
+ * fn receives a query function bound to the transaction. On SQLite the
+ * connection is shared, so fn must only await that query function - any
+ * other I/O would let another request's statements run inside the transaction.
+ * @param {Function} fn - async (txQuery) => result
+ * @returns {Promise<*>} Whatever fn resolves to
+ */
+async function transaction(fn) {
+  if (usePostgres) {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn((sql, params = []) => runPostgres(client, sql, params));
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
   
-  if (fs.existsSync(migrationPath)) {
-    console.log('Running database migrations...');
-    const migrationSql = fs.readFileSync(migrationPath, 'utf8');
+  db.exec('BEGIN');
+  try {
+    const result = await fn(query);
+    db.exec('COMMIT');
+    return result;
+  } catch (err) {
+    if (db.inTransaction) {
+      db.exec('ROLLBACK');
+    }
+    throw err;
+  }
+}
+
+// ============================================================================
+// MIGRATIONS (migrations/NNN_name.sql, recorded in schema_migrations)
+// ============================================================================
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+class MigrationError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'MigrationError';
+    this.details = details;
+  }
+}
+
+/**
+ * Read migration files in version order
+ * @returns {Array<Object>} [{ version, name, file, sql, checksum }]
+ */
+function loadMigrationFiles() {
+  if (!fs.existsSync(MIGRATIONS_DIR)) {
+    return [];
+  }
+  
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.sql'))
+    .map(file => {
+      const match = file.match(/^(\d+)_(.+)\.sql$/);
+      if (!match) {
+        throw new MigrationError(`Invalid migration filename "${file}" (expected NNN_name.sql)`);
+      }
+      
+      // Normalize line endings so a checkout on Windows does not look like drift
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8').replace(/\r\n/g, '\n');
+      return {
+        version: match[1],
+        name: match[2],
+        file,
+        sql,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex')
+      };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+  
+  for (let i = 1; i < migrations.length; i++) {
+    if (Number(migrations[i].version) === Number(migrations[i - 1].version)) {
+      throw new MigrationError(
+        `Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`
+      );
+    }
+  }
+  
+  return migrations;
+}
+
+/**
+ * Split a migration file into statements
+ * Comment lines are stripped first so a statement preceded by a comment is not dropped.
+ * @param {string} sql - Migration file contents
+ * @returns {Array<string>} Statements
+ */
+function splitSqlStatements(sql) {
+  return sql
+    .split('\n')
+    .filter(line => !line.trim().startsWith('--'))
+    .join('\n')
+    .split(';')
+    .map(s => s.trim())
+    .filter(s => s.length > 0);
+}
+
+async function ensureMigrationsTable() {
+  await query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      execution_ms INTEGER
+    )`
+  );
+}
+
+/**
+ * Compare migration files with the schema_migrations ledger
+ * @returns {Promise<Array<Object>>} [{ version, name, file, status, appliedAt }]
+ *   status is 'applied', 'pending', 'drifted' (file changed after it was applied)
+ *   or 'missing' (recorded in the ledger but the file is gone)
+ */
+async function migrationStatus() {
+  await ensureMigrationsTable();
+  
+  const files = loadMigrationFiles();
+  const applied = await query('SELECT version, name, checksum, applied_at FROM schema_migrations');
+  const appliedByVersion = new Map(applied.map(row => [Number(row.version), row]));
+  
+  const status = files.map(migration => {
+    const row = appliedByVersion.get(Number(migration.version));
+    appliedByVersion.delete(Number(migration.version));
+    
+    let state = 'pending';
+    if (row) {
+      state = row.checksum === migration.checksum ? 'applied' : 'drifted';
+    }
     
-    const statements = migrationSql
-      .split(';')
-      .map(s => s.trim())
-      .filter(s => s.length > 0 && !s.startsWith('--'));
+    return {
+      version: migration.version,
+      name: migration.name,
+      file: migration.file,
+      status: state,
+      appliedAt: row ? row.applied_at : null
+    };
+  });
+  
+  appliedByVersion.forEach(row => {
+    status.push({ version: row.version, name: row.name, file: null, status: 'missing', appliedAt: row.applied_at });
+  });
+  
+  return status;
+}
+
+/**
+ * Apply pending migrations in version order, each in its own transaction.
+ * Refuses to run if an applied migration has changed or disappeared.
+ * @param {Object} options - { dryRun: true } lists pending migrations without applying them
+ * @returns {Promise<Array<string>>} Files applied (or that would be applied)
+ */
+async function initialize(options = {}) {
+  const { dryRun = false } = options;
+  const status = await migrationStatus();
+  
+  const problems = status.filter(m => m.status === 'drifted' || m.status === 'missing');
+  if (problems.length > 0) {
+    throw new MigrationError(
+      'Applied migrations do not match migrations/ - refusing to start. ' +
+      'Add a new migration instead of editing or removing an applied one.',
+      problems.map(m => `${m.version}_${m.name}: ${m.status}`)
+    );
+  }
+  
+  const pending = status.filter(m => m.status === 'pending');
+  if (pending.length === 0) {
+    console.log('✓ Database schema up to date');
+    return [];
+  }
+  
+  if (dryRun) {
+    pending.forEach(m => console.log(`  pending: ${m.file}`));
+    return pending.map(m => m.file);
+  }
+  
+  const files = new Map(loadMigrationFiles().map(m => [m.version, m]));
+  console.log(`Running ${pending.length} database migration(s)...`);
+  
+  for (const { version } of pending) {
+    const migration = files.get(version);
+    const startTime = Date.now();
     
-    for (const statement of statements) {
-      try {
-        await query(statement);
-      } catch (err) {
-        if (!err.message.includes('already exists') && !err.message.includes('duplicate')) {
-          console.error('Migration error:', err.message);
+    try {
+      await transaction(async (q) => {
+        for (const statement of splitSqlStatements(migration.sql)) {
+          await q(statement);
         }
-      }
+        await q(
+          'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES (?, ?, ?, ?)',
+          [migration.version, migration.name, migration.checksum, Date.now() - startTime]
+        );
+      });
+    } catch (err) {
+      throw new MigrationError(`Migration ${migration.file} failed and was rolled back: ${err.message}`);
     }
     
-    console.log('✓ Database migrations complete');
-  } else {
-    console.log('No migrations found, skipping...');
+    console.log(`  ✓ ${migration.file} (${Date.now() - startTime}ms)`);
   }
+  
+  console.log('✓ Database migrations complete');
+  return pending.map(m => m.file);
 }
 
 async function cleanupAbandonedSessions() {
@@ -136,10 +337,12 @@ async function cleanupAbandonedSessions() {
        AND last_activity < datetime('now', '-4 hours')`
     );
     
+    // Sessions with count events are kept: the ledger is never deleted
     const deleteResult = await query(
       `DELETE FROM count_sessions_v2 
        WHERE status = 'abandoned' 
-       AND started_at < datetime('now', '-7 days')`
+       AND started_at < datetime('now', '-7 days')
+       AND NOT EXISTS (SELECT 1 FROM count_events e WHERE e.session_id = count_sessions_v2.session_id)`
     );
     
     const deleted = deleteResult[0]?.changes || 0;
@@ -170,7 +373,10 @@ async function close() {
 
 module.exports = { 
   query, 
+  transaction,
   initialize, 
+  migrationStatus,
+  MigrationError,
   cleanupAbandonedSessions,
   close 
 };
\ No newline at end of file
@@ -0,0 +1,103 @@
+// duplicateFinder.js - Name similarity (Dice coefficient) and near-duplicate item clusters
+
+// Default similarity for two item names to be reported as likely duplicates
+// ("CHICKEN BREAST" / "CHKN BREAST" is 0.70; scan-to-master alignment only accepts 0.85 and up)
+const DEFAULT_THRESHOLD = 0.65;
+
+/**
+ * Similarity of two strings by shared character bigrams (Dice coefficient)
+ * @param {string} str1 - First string
+ * @param {string} str2 - Second string
+ * @returns {number} 0 (nothing shared) to 1 (identical)
+ */
+function calculateSimilarity(str1, str2) {
+  if (str1 === str2) return 1.0;
+  if (str1.length < 2 || str2.length < 2) return 0;
+
+  const bigrams1 = new Set();
+  for (let i = 0; i < str1.length - 1; i++) {
+    bigrams1.add(str1.substring(i, i + 2));
+  }
+
+  const bigrams2 = new Set();
+  for (let i = 0; i < str2.length - 1; i++) {
+    bigrams2.add(str2.substring(i, i + 2));
+  }
+
+  const intersection = new Set([...bigrams1].filter(x => bigrams2.has(x)));
+  return (2.0 * intersection.size) / (bigrams1.size + bigrams2.size);
+}
+
+// Lowercase, punctuation as spaces, single spaces ("Chkn. Breast (6oz)" -> "chkn breast 6oz")
+function normalizeName(name) {
+  return String(name).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Group items whose names are alike into clusters. Two items are linked when their normalized names
+ * score at least the threshold; linked items are clustered transitively, so a cluster can hold items
+ * that only resemble each other through a third.
+ * @param {Array<Object>} items - [{ itemId, name, projectName }]
+ * @param {Object} options - { threshold (0-1), crossProject: true to only link items of different projects }
+ * @returns {Array<Object>} Clusters [{ items, pairs: [{ a, b, similarity }], similarity }], most alike first;
+ *   similarity is the cluster's best pair
+ */
+function findDuplicateClusters(items, options = {}) {
+  const threshold = options.threshold === undefined ? DEFAULT_THRESHOLD : options.threshold;
+  const names = items.map(item => normalizeName(item.name));
+
+  const parent = items.map((item, index) => index);
+  const root = index => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+
+  const pairs = [];
+  for (let i = 0; i < items.length; i++) {
+    for (let j = i + 1; j < items.length; j++) {
+      if (options.crossProject && items[i].projectName === items[j].projectName) {
+        continue;
+      }
+      const similarity = calculateSimilarity(names[i], names[j]);
+      if (similarity >= threshold) {
+        pairs.push({ i, j, similarity });
+        parent[root(j)] = root(i);
+      }
+    }
+  }
+
+  const clusters = new Map();
+  pairs.forEach(pair => {
+    const key = root(pair.i);
+    if (!clusters.has(key)) {
+      clusters.set(key, { members: new Set(), pairs: [], similarity: 0 });
+    }
+    const cluster = clusters.get(key);
+    cluster.members.add(pair.i);
+    cluster.members.add(pair.j);
+    cluster.pairs.push({
+      a: items[pair.i].itemId,
+      b: items[pair.j].itemId,
+      similarity: Math.round(pair.similarity * 1000) / 1000
+    });
+    cluster.similarity = Math.max(cluster.similarity, pair.similarity);
+  });
+
+  return [...clusters.values()]
+    .map(cluster => ({
+      items: [...cluster.members].sort((a, b) => a - b).map(index => items[index]),
+      pairs: cluster.pairs.sort((a, b) => b.similarity - a.similarity),
+      similarity: Math.round(cluster.similarity * 1000) / 1000
+    }))
+    .sort((a, b) => b.similarity - a.similarity);
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  calculateSimilarity,
+  normalizeName,
+  findDuplicateClusters
+};
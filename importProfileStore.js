@@ -0,0 +1,140 @@
+// importProfileStore.js - Saved order guide column mappings, one per vendor layout
+const { v4: uuidv4 } = require('uuid');
+const database = require('./database');
+const { toIso, HttpError } = require('./utils');
+
+// Order guide fields a column can be mapped to (name is the item description)
+const FIELDS = ['sku', 'name', 'pack', 'unit', 'price', 'category'];
+
+function toProfile(row) {
+  return {
+    name: row.name,
+    vendor: row.vendor || null,
+    columns: JSON.parse(row.columns),
+    headerRow: row.header_row === null || row.header_row === undefined ? null : Number(row.header_row),
+    createdAt: toIso(row.created_at),
+    updatedAt: toIso(row.updated_at)
+  };
+}
+
+function profileKey(name) {
+  return name.trim().toLowerCase();
+}
+
+function validateProfileName(name) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed || trimmed.length > 100) {
+    throw new HttpError(400, 'Profile name must be 1-100 characters');
+  }
+  return trimmed;
+}
+
+/**
+ * Validate a column mapping
+ * @param {Object} data - { vendor, columns: { field: header name, column letter or 1-based number }, headerRow }
+ * @returns {Object} { vendor, columns, headerRow }
+ * @throws {HttpError} 400 for unknown fields, empty columns or a bad header row
+ */
+function validateMapping(data) {
+  const columns = data.columns;
+  if (!columns || typeof columns !== 'object' || Array.isArray(columns)) {
+    throw new HttpError(400, `columns must be an object of field: column (fields: ${FIELDS.join(', ')})`);
+  }
+  const unknown = Object.keys(columns).filter(field => !FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new HttpError(400, `Unknown column field(s): ${unknown.join(', ')} (use ${FIELDS.join(', ')})`);
+  }
+
+  const mapped = {};
+  Object.entries(columns).forEach(([field, column]) => {
+    const text = column === null || column === undefined ? '' : String(column).trim();
+    if (!text || text.length > 100) {
+      throw new HttpError(400, `Column for ${field} must be a header name, column letter or column number`);
+    }
+    mapped[field] = text;
+  });
+
+  let headerRow = null;
+  if (data.headerRow !== undefined && data.headerRow !== null && data.headerRow !== '') {
+    headerRow = Number(data.headerRow);
+    if (!Number.isInteger(headerRow) || headerRow < 0) {
+      throw new HttpError(400, 'headerRow must be a row number (0 for no header row)');
+    }
+  }
+
+  const vendor = data.vendor ? String(data.vendor).trim() : null;
+  if (vendor && vendor.length > 100) {
+    throw new HttpError(400, 'vendor must be 100 characters or fewer');
+  }
+
+  return { vendor: vendor || null, columns: mapped, headerRow };
+}
+
+/**
+ * List saved profiles by name
+ * @returns {Promise<Array<Object>>} [{ name, vendor, columns, headerRow, createdAt, updatedAt }]
+ */
+async function listProfiles() {
+  const rows = await database.query('SELECT * FROM import_profiles ORDER BY profile_key');
+  return rows.map(toProfile);
+}
+
+/**
+ * Load a profile by name (case-insensitive)
+ * @param {string} name - Profile name
+ * @returns {Promise<Object|null>} Profile or null
+ */
+async function getProfile(name) {
+  const rows = await database.query('SELECT * FROM import_profiles WHERE profile_key = ?', [profileKey(String(name))]);
+  return rows.length > 0 ? toProfile(rows[0]) : null;
+}
+
+/**
+ * Save a profile, replacing one of the same name
+ * @param {string} name - Profile name (e.g. "Sysco order guide")
+ * @param {Object} data - { vendor, columns, headerRow } (see validateMapping)
+ * @returns {Promise<Object>} { profile, created }
+ */
+async function saveProfile(name, data) {
+  const profileName = validateProfileName(name);
+  const mapping = validateMapping(data);
+  const now = new Date().toISOString();
+
+  return database.transaction(async (q) => {
+    const existing = await q('SELECT profile_id FROM import_profiles WHERE profile_key = ?', [profileKey(profileName)]);
+    if (existing.length > 0) {
+      await q(
+        'UPDATE import_profiles SET name = ?, vendor = ?, columns = ?, header_row = ?, updated_at = ? WHERE profile_id = ?',
+        [profileName, mapping.vendor, JSON.stringify(mapping.columns), mapping.headerRow, now, existing[0].profile_id]
+      );
+    } else {
+      await q(
+        `INSERT INTO import_profiles (profile_id, name, profile_key, vendor, columns, header_row, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [uuidv4(), profileName, profileKey(profileName), mapping.vendor, JSON.stringify(mapping.columns), mapping.headerRow, now, now]
+      );
+    }
+
+    const rows = await q('SELECT * FROM import_profiles WHERE profile_key = ?', [profileKey(profileName)]);
+    return { profile: toProfile(rows[0]), created: existing.length === 0 };
+  });
+}
+
+/**
+ * Delete a profile
+ * @param {string} name - Profile name
+ * @returns {Promise<boolean>} True if a profile was deleted
+ */
+async function deleteProfile(name) {
+  const result = await database.query('DELETE FROM import_profiles WHERE profile_key = ?', [profileKey(String(name))]);
+  return !!result[0]?.changes;
+}
+
+module.exports = {
+  FIELDS,
+  validateMapping,
+  listProfiles,
+  getProfile,
+  saveProfile,
+  deleteProfile
+};
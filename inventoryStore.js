@@ -0,0 +1,791 @@
+// inventoryStore.js - Inventory lists and items (master lists with stable item ids)
+const { v4: uuidv4 } = require('uuid');
+const database = require('./database');
+const { toIso, HttpError } = require('./utils');
+const units = require('./units');
+const masterListVersionStore = require('./masterListVersionStore');
+const masterListItems = require('./masterListItems');
+const itemCostStore = require('./itemCostStore');
+const sessionStore = require('./sessionStore');
+
+function toItem(row) {
+  return {
+    itemId: row.item_id,
+    name: row.name,
+    position: row.position,
+    baseUnit: row.base_unit || null,
+    packSizes: row.pack_sizes ? JSON.parse(row.pack_sizes) : {},
+    parLevel: row.par_level === null || row.par_level === undefined ? null : Number(row.par_level),
+    reorderPoint: row.reorder_point === null || row.reorder_point === undefined ? null : Number(row.reorder_point),
+    vendor: row.vendor || null,
+    category: row.category || null,
+    sku: row.sku || null
+  };
+}
+
+function validateName(name, label) {
+  if (!name || typeof name !== 'string' || !name.trim()) {
+    throw new HttpError(400, `${label} name is required`);
+  }
+  if (name.trim().length > 255) {
+    throw new HttpError(400, `${label} name must be 255 characters or fewer`);
+  }
+  return name.trim();
+}
+
+/**
+ * Validate an item's base unit and pack sizes
+ * @param {Object} data - { baseUnit, packSizes: { unit: base units per pack } }
+ * @returns {Object} { baseUnit, packSizes } with units normalized ("cases" -> case)
+ */
+function validateUnits(data) {
+  let baseUnit = null;
+  if (data.baseUnit !== null && data.baseUnit !== undefined && data.baseUnit !== '') {
+    baseUnit = units.normalizeUnit(data.baseUnit);
+    if (!baseUnit) {
+      throw new HttpError(400, `Unknown unit: "${data.baseUnit}" (use one of ${units.UNITS.join(', ')})`);
+    }
+  }
+
+  const packSizes = {};
+  const rawSizes = data.packSizes || {};
+  if (typeof rawSizes !== 'object' || Array.isArray(rawSizes)) {
+    throw new HttpError(400, 'packSizes must be an object of unit: size');
+  }
+  Object.entries(rawSizes).forEach(([rawUnit, size]) => {
+    const unit = units.normalizeUnit(rawUnit);
+    if (!unit) {
+      throw new HttpError(400, `Unknown unit: "${rawUnit}" (use one of ${units.UNITS.join(', ')})`);
+    }
+    if (unit === (baseUnit || 'each')) {
+      throw new HttpError(400, `"${unit}" is the base unit and cannot have a pack size`);
+    }
+    const factor = Number(size);
+    if (!Number.isFinite(factor) || factor <= 0) {
+      throw new HttpError(400, `Pack size for "${unit}" must be a positive number`);
+    }
+    packSizes[unit] = factor;
+  });
+
+  return { baseUnit, packSizes };
+}
+
+// Optional non-negative quantity (par level, reorder point); '' and null clear it
+function validateQuantity(value, label) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const quantity = Number(value);
+  if (!Number.isFinite(quantity) || quantity < 0) {
+    throw new HttpError(400, `${label} must be a non-negative number`);
+  }
+  return quantity;
+}
+
+/**
+ * Validate an item's ordering fields
+ * @param {Object} data - { parLevel, reorderPoint, vendor } (quantities in the item's base unit)
+ * @returns {Object} { parLevel, reorderPoint, vendor }
+ */
+function validateOrdering(data) {
+  const parLevel = validateQuantity(data.parLevel, 'parLevel');
+  const reorderPoint = validateQuantity(data.reorderPoint, 'reorderPoint');
+  if (reorderPoint !== null && parLevel === null) {
+    throw new HttpError(400, 'reorderPoint needs a parLevel');
+  }
+  if (reorderPoint !== null && reorderPoint > parLevel) {
+    throw new HttpError(400, 'reorderPoint must not be above parLevel');
+  }
+
+  const vendor = data.vendor ? String(data.vendor).trim() : null;
+  if (vendor && vendor.length > 100) {
+    throw new HttpError(400, 'vendor must be 100 characters or fewer');
+  }
+  return { parLevel, reorderPoint, vendor: vendor || null };
+}
+
+// Optional category ("Dairy", "Dry Goods"); '' and null clear it
+function validateCategory(value) {
+  const category = value ? String(value).trim() : null;
+  if (category && category.length > 100) {
+    throw new HttpError(400, 'category must be 100 characters or fewer');
+  }
+  return category || null;
+}
+
+// Optional SKU (the vendor's product code); '' and null clear it
+function validateSku(value) {
+  const sku = value === null || value === undefined ? null : String(value).trim();
+  if (sku && sku.length > 50) {
+    throw new HttpError(400, 'sku must be 50 characters or fewer');
+  }
+  return sku || null;
+}
+
+// Reject duplicate names within one list (case-insensitive)
+function assertUniqueNames(names) {
+  const seen = new Set();
+  names.forEach(name => {
+    const key = name.toLowerCase();
+    if (seen.has(key)) {
+      throw new HttpError(409, `Duplicate item name: "${name}"`);
+    }
+    seen.add(key);
+  });
+}
+
+// Mark a list's items as changed (bumps the master list version recorded with counts) and save the new version
+async function touchList(q, listId, now, options = {}) {
+  await q('UPDATE inventory_lists SET updated_at = ?, version = version + 1 WHERE list_id = ?', [now, listId]);
+  return masterListVersionStore.recordVersion(q, await getInventoryList(listId, q), options);
+}
+
+// Items removed from a list (see removeListItems), most recently removed first
+async function getRemovedItems(q, listId) {
+  const rows = await q(
+    `SELECT item_id, name, position, base_unit, pack_sizes, par_level, reorder_point, vendor, category, sku
+     FROM inventory_items WHERE list_id = ? AND removed_at IS NOT NULL ORDER BY removed_at DESC`,
+    [listId]
+  );
+  return rows.map(toItem);
+}
+
+// Write an item's columns (name, position, base_unit, pack_sizes, par_level, reorder_point, vendor,
+// category, sku), bringing it back if it was removed
+async function updateListItem(q, itemId, columns, now) {
+  await q(
+    `UPDATE inventory_items SET name = ?, position = ?, base_unit = ?, pack_sizes = ?, par_level = ?,
+       reorder_point = ?, vendor = ?, category = ?, sku = ?, updated_at = ?, removed_at = NULL WHERE item_id = ?`,
+    [...columns, now, itemId]
+  );
+}
+
+/**
+ * Load a list with its items in position order
+ * @param {string} listId - List id
+ * @param {Function} q - Query function (defaults to database.query)
+ * @returns {Promise<Object|null>} { listId, name, projectName, version, items, itemCount, createdAt, updatedAt } or null
+ */
+async function getInventoryList(listId, q = database.query) {
+  const lists = await q(
+    `SELECT l.list_id, l.name, l.project_id, l.version, l.created_at, l.updated_at, p.project_name
+     FROM inventory_lists l LEFT JOIN projects p ON p.project_id = l.project_id
+     WHERE l.list_id = ?`,
+    [listId]
+  );
+
+  if (lists.length === 0) {
+    return null;
+  }
+
+  const items = await q(
+    `SELECT item_id, name, position, base_unit, pack_sizes, par_level, reorder_point, vendor, category, sku
+     FROM inventory_items WHERE list_id = ? AND removed_at IS NULL ORDER BY position`,
+    [listId]
+  );
+
+  return {
+    listId: lists[0].list_id,
+    name: lists[0].name,
+    projectId: lists[0].project_id || null,
+    projectName: lists[0].project_name || null,
+    version: Number(lists[0].version),
+    items: items.map(toItem),
+    itemCount: items.length,
+    createdAt: toIso(lists[0].created_at),
+    updatedAt: toIso(lists[0].updated_at)
+  };
+}
+
+/**
+ * Find the master list for a project
+ * @param {string} projectId - Project id
+ * @param {Function} q - Query function (defaults to database.query)
+ * @returns {Promise<Object|null>} List (see getInventoryList) or null
+ */
+async function getProjectList(projectId, q = database.query) {
+  const rows = await q('SELECT list_id FROM inventory_lists WHERE project_id = ?', [projectId]);
+  return rows.length > 0 ? getInventoryList(rows[0].list_id, q) : null;
+}
+
+/**
+ * Find an item in a loaded list by id, or by name (case-insensitive)
+ * @param {Object} list - List from getInventoryList
+ * @param {Object} ref - { itemId } or { item } (name)
+ * @returns {Object} Item
+ * @throws {HttpError} 400 without a reference, 404 if the item is not in the list
+ */
+function findListItem(list, ref) {
+  let item;
+  if (ref.itemId) {
+    item = list.items.find(candidate => candidate.itemId === ref.itemId);
+  } else if (ref.item && typeof ref.item === 'string') {
+    item = list.items.find(candidate => candidate.name.toLowerCase() === ref.item.toLowerCase().trim());
+  } else {
+    throw new HttpError(400, 'item or itemId required');
+  }
+  if (!item) {
+    throw new HttpError(404, 'Item not in master list');
+  }
+  return item;
+}
+
+/**
+ * List inventory lists (without items)
+ * @param {Object} filter - { projectId } to restrict to one project
+ * @returns {Promise<Array<Object>>} [{ listId, name, projectName, itemCount, createdAt, updatedAt }]
+ */
+async function listInventoryLists(filter = {}) {
+  const params = [];
+  let where = '';
+  if (filter.projectId) {
+    where = 'WHERE l.project_id = ?';
+    params.push(filter.projectId);
+  }
+
+  const rows = await database.query(
+    `SELECT l.list_id, l.name, l.created_at, l.updated_at, p.project_name,
+       (SELECT COUNT(*) FROM inventory_items i WHERE i.list_id = l.list_id AND i.removed_at IS NULL) AS item_count
+     FROM inventory_lists l LEFT JOIN projects p ON p.project_id = l.project_id
+     ${where}
+     ORDER BY l.updated_at DESC`,
+    params
+  );
+
+  return rows.map(row => ({
+    listId: row.list_id,
+    name: row.name,
+    projectName: row.project_name || null,
+    itemCount: Number(row.item_count),
+    createdAt: toIso(row.created_at),
+    updatedAt: toIso(row.updated_at)
+  }));
+}
+
+/**
+ * Create a list, optionally as a project's master list
+ * @param {Object} data - { name, projectId, items: [name or { name, sku, vendor, unit, category, par, cost }, ...] }
+ * @param {Function} q - Query function (defaults to running in a new transaction)
+ * @returns {Promise<Object>} Created list
+ */
+async function createInventoryList(data, q) {
+  if (!q) {
+    return database.transaction(txQuery => createInventoryList(data, txQuery));
+  }
+
+  const name = validateName(data.name, 'List');
+  const items = masterListItems.normalizeItems(data.items || []);
+
+  if (data.projectId) {
+    const existing = await q('SELECT list_id FROM inventory_lists WHERE project_id = ?', [data.projectId]);
+    if (existing.length > 0) {
+      throw new HttpError(409, 'Project already has a master list');
+    }
+  }
+
+  const listId = uuidv4();
+  const now = data.createdAt || new Date().toISOString();
+  await q(
+    'INSERT INTO inventory_lists (list_id, project_id, name, created_at, updated_at) VALUES (?, ?, ?, ?, ?)',
+    [listId, data.projectId || null, name, now, now]
+  );
+  await writeListItems(q, listId, [], items, now);
+
+  const list = await getInventoryList(listId, q);
+  await masterListVersionStore.recordVersion(q, list);
+  return list;
+}
+
+/**
+ * Copy a list as a new list (a template for another project): items keep their order, units,
+ * ordering fields, categories, SKUs and cost history under new item ids. Counts are not copied.
+ * @param {string} listId - List id to copy
+ * @param {Object} data - { name, projectId }
+ * @param {Function} q - Query function (defaults to running in a new transaction)
+ * @returns {Promise<Object|null>} Created list or null if the list is not found
+ */
+async function cloneInventoryList(listId, data, q) {
+  if (!q) {
+    return database.transaction(txQuery => cloneInventoryList(listId, data, txQuery));
+  }
+
+  const source = await getInventoryList(listId, q);
+  if (!source) {
+    return null;
+  }
+
+  const list = await createInventoryList({ name: data.name, projectId: data.projectId }, q);
+  const now = list.createdAt;
+  for (const item of source.items) {
+    const itemId = uuidv4();
+    await q(
+      `INSERT INTO inventory_items (item_id, list_id, name, position, base_unit, pack_sizes,
+         par_level, reorder_point, vendor, category, sku, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        itemId, list.listId, item.name, item.position, item.baseUnit, JSON.stringify(item.packSizes),
+        item.parLevel, item.reorderPoint, item.vendor, item.category, item.sku, now, now
+      ]
+    );
+
+    const costs = await q('SELECT unit_cost, effective_date FROM item_costs WHERE item_id = ?', [item.itemId]);
+    for (const cost of costs) {
+      await q(
+        'INSERT INTO item_costs (cost_id, item_id, unit_cost, effective_date, created_at) VALUES (?, ?, ?, ?, ?)',
+        [uuidv4(), itemId, cost.unit_cost, cost.effective_date, now]
+      );
+    }
+  }
+
+  // Version 1 was recorded empty when the list was created; record it again with the copied items
+  const copy = await getInventoryList(list.listId, q);
+  await masterListVersionStore.recordVersion(q, copy);
+  return copy;
+}
+
+/**
+ * Rename a list
+ * @param {string} listId - List id
+ * @param {Object} data - { name }
+ * @returns {Promise<Object|null>} Updated list or null if not found
+ */
+async function updateInventoryList(listId, data) {
+  const name = validateName(data.name, 'List');
+  const result = await database.query(
+    'UPDATE inventory_lists SET name = ?, updated_at = ? WHERE list_id = ?',
+    [name, new Date().toISOString(), listId]
+  );
+  return result[0]?.changes ? getInventoryList(listId) : null;
+}
+
+/**
+ * Delete a list with its items (removed items included), their costs and the list's count sessions.
+ * The count event ledger is never deleted, so a list with recorded count events cannot be.
+ * @param {string} listId - List id
+ * @param {Function} q - Query function (defaults to running in a new transaction)
+ * @returns {Promise<boolean>} True if a list was deleted
+ * @throws {HttpError} 409 if the list has been counted
+ */
+async function deleteInventoryList(listId, q) {
+  if (!q) {
+    return database.transaction(txQuery => deleteInventoryList(listId, txQuery));
+  }
+
+  const events = await q(
+    `SELECT COUNT(*) AS count FROM count_events e
+     JOIN count_sessions_v2 s ON s.session_id = e.session_id
+     WHERE s.list_id = ?`,
+    [listId]
+  );
+  if (Number(events[0].count) > 0) {
+    throw new HttpError(409, `List has ${events[0].count} recorded count event(s) and cannot be deleted: the count ledger is kept for audit`);
+  }
+
+  // Sessions go first: their totals hold on to the items
+  await q('DELETE FROM count_sessions_v2 WHERE list_id = ?', [listId]);
+  await q('DELETE FROM item_costs WHERE item_id IN (SELECT item_id FROM inventory_items WHERE list_id = ?)', [listId]);
+  await q('DELETE FROM inventory_items WHERE list_id = ?', [listId]);
+  await q('DELETE FROM master_list_versions WHERE list_id = ?', [listId]);
+  const result = await q('DELETE FROM inventory_lists WHERE list_id = ?', [listId]);
+  return !!result[0]?.changes;
+}
+
+/**
+ * Remove items from their list. A removed item is kept with its item_id, counts and costs, and
+ * comes back with them when it is saved again (by id or name) or the list is rolled back.
+ * @param {Function} q - Query function (inside a transaction)
+ * @param {Array<string>} itemIds - Item ids
+ * @param {string} now - ISO timestamp
+ */
+async function removeListItems(q, itemIds, now) {
+  for (const itemId of itemIds) {
+    await q('UPDATE inventory_items SET removed_at = ?, updated_at = ? WHERE item_id = ?', [now, now, itemId]);
+  }
+}
+
+/**
+ * Add an item to a list. An item of the same name removed earlier comes back under its item_id.
+ * @param {string} listId - List id
+ * @param {Object} data - { name, position, category, sku, baseUnit, packSizes, parLevel, reorderPoint, vendor } (position defaults to the end)
+ * @returns {Promise<Object|null>} Created item or null if list not found
+ */
+async function addInventoryItem(listId, data) {
+  const name = validateName(data.name, 'Item');
+  const { baseUnit, packSizes } = validateUnits(data);
+  const { parLevel, reorderPoint, vendor } = validateOrdering(data);
+  const category = validateCategory(data.category);
+  const sku = validateSku(data.sku);
+
+  return database.transaction(async (q) => {
+    const list = await getInventoryList(listId, q);
+    if (!list) {
+      return null;
+    }
+    assertUniqueNames([...list.items.map(item => item.name), name]);
+
+    let position = list.items.length;
+    if (Number.isInteger(data.position) && data.position >= 0 && data.position < list.items.length) {
+      position = data.position;
+      await q(
+        'UPDATE inventory_items SET position = position + 1 WHERE list_id = ? AND position >= ? AND removed_at IS NULL',
+        [listId, position]
+      );
+    }
+
+    const removed = (await getRemovedItems(q, listId)).find(item => item.name.toLowerCase() === name.toLowerCase());
+    const itemId = removed ? removed.itemId : uuidv4();
+    const now = new Date().toISOString();
+    const columns = [name, position, baseUnit, JSON.stringify(packSizes), parLevel, reorderPoint, vendor, category, sku];
+    if (removed) {
+      await updateListItem(q, itemId, columns, now);
+    } else {
+      await q(
+        `INSERT INTO inventory_items (item_id, list_id, name, position, base_unit, pack_sizes,
+           par_level, reorder_point, vendor, category, sku, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [itemId, listId, ...columns, now, now]
+      );
+    }
+    await touchList(q, listId, now);
+
+    return { itemId, name, position, baseUnit, packSizes, parLevel, reorderPoint, vendor, category, sku };
+  });
+}
+
+/**
+ * Rename an item and/or set its category, SKU, units and ordering fields (its item_id, and so its counts, are kept)
+ * @param {string} listId - List id
+ * @param {string} itemId - Item id
+ * @param {Object} data - { name, category, sku, baseUnit, packSizes, parLevel, reorderPoint, vendor } (omitted fields are left unchanged)
+ * @returns {Promise<Object|null>} Updated item or null if not found
+ */
+async function updateInventoryItem(listId, itemId, data) {
+  const name = data.name !== undefined ? validateName(data.name, 'Item') : null;
+  const hasUnits = data.baseUnit !== undefined || data.packSizes !== undefined;
+  const hasOrdering = ['parLevel', 'reorderPoint', 'vendor'].some(field => data[field] !== undefined);
+  const category = data.category !== undefined ? validateCategory(data.category) : undefined;
+  const sku = data.sku !== undefined ? validateSku(data.sku) : undefined;
+  if (!name && !hasUnits && !hasOrdering && category === undefined && sku === undefined) {
+    throw new HttpError(400, 'Item name is required');
+  }
+
+  return database.transaction(async (q) => {
+    const list = await getInventoryList(listId, q);
+    const item = list && list.items.find(i => i.itemId === itemId);
+    if (!item) {
+      return null;
+    }
+
+    const updated = { ...item };
+    if (name) {
+      assertUniqueNames([...list.items.filter(i => i.itemId !== itemId).map(i => i.name), name]);
+      updated.name = name;
+    }
+    if (hasUnits) {
+      Object.assign(updated, validateUnits({
+        baseUnit: data.baseUnit !== undefined ? data.baseUnit : item.baseUnit,
+        packSizes: data.packSizes !== undefined ? data.packSizes : item.packSizes
+      }));
+    }
+    if (category !== undefined) {
+      updated.category = category;
+    }
+    if (sku !== undefined) {
+      updated.sku = sku;
+    }
+    if (hasOrdering) {
+      Object.assign(updated, validateOrdering({
+        parLevel: data.parLevel !== undefined ? data.parLevel : item.parLevel,
+        reorderPoint: data.reorderPoint !== undefined ? data.reorderPoint : item.reorderPoint,
+        vendor: data.vendor !== undefined ? data.vendor : item.vendor
+      }));
+    }
+
+    const now = new Date().toISOString();
+    await q(
+      `UPDATE inventory_items SET name = ?, category = ?, sku = ?, base_unit = ?, pack_sizes = ?, par_level = ?,
+         reorder_point = ?, vendor = ?, updated_at = ? WHERE item_id = ?`,
+      [
+        updated.name, updated.category, updated.sku, updated.baseUnit, JSON.stringify(updated.packSizes),
+        updated.parLevel, updated.reorderPoint, updated.vendor, now, itemId
+      ]
+    );
+    await touchList(q, listId, now);
+
+    return updated;
+  });
+}
+
+/**
+ * Remove an item (see removeListItems) and close the gap in positions
+ * @param {string} listId - List id
+ * @param {string} itemId - Item id
+ * @returns {Promise<boolean>} True if an item was removed
+ */
+async function deleteInventoryItem(listId, itemId) {
+  return database.transaction(async (q) => {
+    const rows = await q(
+      'SELECT position FROM inventory_items WHERE list_id = ? AND item_id = ? AND removed_at IS NULL',
+      [listId, itemId]
+    );
+    if (rows.length === 0) {
+      return false;
+    }
+
+    const now = new Date().toISOString();
+    await removeListItems(q, [itemId], now);
+    await q(
+      'UPDATE inventory_items SET position = position - 1 WHERE list_id = ? AND position > ? AND removed_at IS NULL',
+      [listId, rows[0].position]
+    );
+    await touchList(q, listId, now);
+    return true;
+  });
+}
+
+/**
+ * Reorder a list's items
+ * @param {string} listId - List id
+ * @param {Array<string>} itemIds - Every item id of the list, in the new order
+ * @returns {Promise<Object|null>} Updated list or null if not found
+ */
+async function reorderInventoryItems(listId, itemIds) {
+  return database.transaction(async (q) => {
+    const list = await getInventoryList(listId, q);
+    if (!list) {
+      return null;
+    }
+
+    const currentIds = new Set(list.items.map(item => item.itemId));
+    const isPermutation = Array.isArray(itemIds) &&
+      itemIds.length === currentIds.size &&
+      new Set(itemIds).size === itemIds.length &&
+      itemIds.every(id => currentIds.has(id));
+    if (!isPermutation) {
+      throw new HttpError(400, 'itemIds must list every item in the list exactly once');
+    }
+
+    const now = new Date().toISOString();
+    for (let position = 0; position < itemIds.length; position++) {
+      await q(
+        'UPDATE inventory_items SET position = ?, updated_at = ? WHERE item_id = ?',
+        [position, now, itemIds[position]]
+      );
+    }
+    await touchList(q, listId, now);
+
+    return getInventoryList(listId, q);
+  });
+}
+
+// A saved master list item (see masterListItems.normalizeItems) merged onto the stored item it
+// replaces, validated; fields the saved item leaves out keep their stored value
+function mergeListItem(item, stored) {
+  const current = stored || { baseUnit: null, packSizes: {}, parLevel: null, reorderPoint: null, vendor: null, category: null, sku: null };
+  const pick = (value, storedValue) => (value !== undefined ? value : storedValue);
+
+  return {
+    name: validateName(item.name, 'Item'),
+    sku: validateSku(pick(item.sku, current.sku)),
+    ...validateUnits({ baseUnit: pick(item.unit, current.baseUnit), packSizes: current.packSizes }),
+    ...validateOrdering({
+      parLevel: pick(item.par, current.parLevel),
+      reorderPoint: current.reorderPoint,
+      vendor: pick(item.vendor, current.vendor)
+    }),
+    category: validateCategory(pick(item.category, current.category))
+  };
+}
+
+// True if a merged item differs from its stored item (position included)
+function listItemChanged(merged, stored, position) {
+  return ['name', 'sku', 'baseUnit', 'parLevel', 'reorderPoint', 'vendor', 'category']
+    .some(field => merged[field] !== stored[field]) ||
+    JSON.stringify(merged.packSizes) !== JSON.stringify(stored.packSizes) ||
+    Number(stored.position) !== position;
+}
+
+// Write a list's items from saved master list items: items matched by id, or else by name
+// (case-insensitive), are updated in place and keep their item_id; removed items matched the same
+// way come back (see removeListItems); the rest are added, and stored items not saved are removed.
+// A cost differing from the item's current cost is recorded from today. Returns true if any item
+// changed (costs aside).
+async function writeListItems(q, listId, storedItems, items, now) {
+  const names = items.map(item => validateName(item.name, 'Item'));
+  assertUniqueNames(names);
+
+  const removedItems = await getRemovedItems(q, listId);
+  const byId = new Map([...removedItems, ...storedItems].map(item => [item.itemId, item]));
+  const byName = new Map([...removedItems].reverse().concat(storedItems).map(item => [item.name.toLowerCase(), item]));
+  const keptIds = new Set();
+  const savedIds = [];
+  let changed = storedItems.length !== items.length;
+
+  for (let position = 0; position < items.length; position++) {
+    const item = items[position];
+    if (item.id !== undefined && item.id !== null && !byId.has(item.id)) {
+      throw new HttpError(400, `Item id "${item.id}" is not in this list`);
+    }
+    let stored = item.id ? byId.get(item.id) : byName.get(names[position].toLowerCase());
+    if (stored && keptIds.has(stored.itemId)) {
+      stored = null;
+    }
+
+    const values = mergeListItem(item, stored);
+    const columns = [
+      values.name, position, values.baseUnit, JSON.stringify(values.packSizes), values.parLevel,
+      values.reorderPoint, values.vendor, values.category, values.sku
+    ];
+    if (stored) {
+      keptIds.add(stored.itemId);
+      savedIds.push(stored.itemId);
+      if (removedItems.includes(stored) || listItemChanged(values, stored, position)) {
+        changed = true;
+      }
+      await updateListItem(q, stored.itemId, columns, now);
+    } else {
+      changed = true;
+      const itemId = uuidv4();
+      savedIds.push(itemId);
+      await q(
+        `INSERT INTO inventory_items (item_id, list_id, name, position, base_unit, pack_sizes,
+           par_level, reorder_point, vendor, category, sku, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [itemId, listId, ...columns, now, now]
+      );
+    }
+  }
+
+  const dropped = storedItems.filter(stored => !keptIds.has(stored.itemId)).map(stored => stored.itemId);
+  if (dropped.length > 0) {
+    changed = true;
+    await removeListItems(q, dropped, now);
+  }
+
+  const costs = await itemCostStore.getCostsOn(listId, now.substring(0, 10), q);
+  for (let position = 0; position < items.length; position++) {
+    const cost = items[position].cost;
+    const current = costs.get(savedIds[position]);
+    if (cost !== undefined && cost !== null && (!current || current.unitCost !== Number(cost))) {
+      await itemCostStore.setItemCost(listId, savedIds[position], { unitCost: cost }, q);
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * Replace a list's items from saved master list items (names and/or structured items, see
+ * masterListItems.normalizeItems). Items matched by id, or else by name (case-insensitive),
+ * keep their item_id and any field the saved item leaves out.
+ * @param {Function} q - Query function (inside a transaction)
+ * @param {string} listId - List id
+ * @param {Array<string|Object>} items - Items in order
+ * @param {string} now - ISO timestamp
+ * @returns {Promise<Object|null>} The new version (see masterListVersionStore.recordVersion), or null if nothing changed
+ */
+async function syncListItems(q, listId, items, now) {
+  const list = await getInventoryList(listId, q);
+  const changed = await writeListItems(q, listId, list.items, masterListItems.normalizeItems(items), now);
+
+  // Re-saving an unchanged list keeps its version
+  if (changed) {
+    return touchList(q, listId, now);
+  }
+  await q('UPDATE inventory_lists SET updated_at = ? WHERE list_id = ?', [now, listId]);
+  return null;
+}
+
+/**
+ * Roll a list back to an earlier version: its items are restored with their old names, order,
+ * units, ordering fields, categories and SKUs, items added since are removed (see removeListItems) and removed
+ * items come back under their old item_id, with their counts and costs. The rollback is saved as a new version.
+ * @param {string} listId - List id
+ * @param {number} version - Version to restore
+ * @returns {Promise<Object|null>} { list, version } (the new version, see masterListVersionStore.recordVersion) or null if the list or version is not found
+ * @throws {HttpError} 409 if the list is already at that version or a count is open on it
+ */
+async function rollbackList(listId, version) {
+  return database.transaction(async (q) => {
+    const list = await getInventoryList(listId, q);
+    const target = list && await masterListVersionStore.getVersion(listId, version, q);
+    if (!target) {
+      return null;
+    }
+    if (target.version === list.version) {
+      throw new HttpError(409, `List is already at version ${list.version}`);
+    }
+    if (await sessionStore.findOpenSession(listId, q)) {
+      throw new HttpError(409, 'Finish or close the open count on this list before rolling it back');
+    }
+
+    const now = new Date().toISOString();
+    const targetIds = new Set(target.items.map(item => item.itemId));
+    await removeListItems(q, list.items.filter(item => !targetIds.has(item.itemId)).map(item => item.itemId), now);
+
+    // Items deleted before removed items were kept are added back under their old item_id
+    const knownIds = new Set([...list.items, ...await getRemovedItems(q, listId)].map(item => item.itemId));
+    for (let position = 0; position < target.items.length; position++) {
+      const item = target.items[position];
+      const values = [
+        item.name, position, item.baseUnit, JSON.stringify(item.packSizes || {}),
+        item.parLevel, item.reorderPoint, item.vendor, item.category, item.sku || null
+      ];
+      if (knownIds.has(item.itemId)) {
+        await updateListItem(q, item.itemId, values, now);
+      } else {
+        await q(
+          `INSERT INTO inventory_items (item_id, list_id, name, position, base_unit, pack_sizes,
+             par_level, reorder_point, vendor, category, sku, created_at, updated_at)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [item.itemId, listId, ...values, now, now]
+        );
+      }
+    }
+
+    const restored = await touchList(q, listId, now, { restoredVersion: target.version });
+    return { list: await getInventoryList(listId, q), version: restored };
+  });
+}
+
+/**
+ * Save the current items of lists that have no saved versions yet (lists created before
+ * versions were kept) as their current version. Runs at startup; a no-op once every list has one.
+ * @returns {Promise<number>} Number of lists recorded
+ */
+async function recordListBaselines() {
+  const rows = await database.query(
+    `SELECT l.list_id FROM inventory_lists l
+     WHERE NOT EXISTS (SELECT 1 FROM master_list_versions v WHERE v.list_id = l.list_id)`
+  );
+
+  for (const row of rows) {
+    await database.transaction(async (q) => {
+      await masterListVersionStore.recordVersion(q, await getInventoryList(row.list_id, q));
+    });
+  }
+  if (rows.length > 0) {
+    console.log(`✓ Recorded ${rows.length} master list version baseline(s)`);
+  }
+
+  return rows.length;
+}
+
+module.exports = {
+  getInventoryList,
+  getProjectList,
+  findListItem,
+  listInventoryLists,
+  createInventoryList,
+  cloneInventoryList,
+  updateInventoryList,
+  deleteInventoryList,
+  addInventoryItem,
+  updateInventoryItem,
+  deleteInventoryItem,
+  removeListItems,
+  reorderInventoryItems,
+  syncListItems,
+  rollbackList,
+  recordListBaselines
+};
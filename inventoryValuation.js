@@ -0,0 +1,111 @@
+// inventoryValuation.js - Value of a finalized count at each item's unit cost, subtotalled by category
+const { toCSV } = require('./utils');
+
+const UNCATEGORIZED = 'Uncategorized';
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Value a count: quantity (in base units) x the unit cost in effect on the count date.
+ * Counted items are matched to the master list by item id, then by name, for their category;
+ * items without a cost are listed with a null value and left out of the totals.
+ * @param {Object} snapshot - Finalized count (see countHistoryStore.getSnapshot)
+ * @param {Array<Object>} items - Current master list items (see inventoryStore.getInventoryList)
+ * @param {Map<string, Object>} costs - itemId -> { unitCost, effectiveDate } (see itemCostStore.getCostsOn)
+ * @returns {Object} { count, summary, categories: [{ category, value, itemCount, items }] }
+ */
+function buildValuation(snapshot, items, costs) {
+  const itemsById = new Map(items.map(item => [item.itemId, item]));
+  const itemsByName = new Map(items.map(item => [item.name.toLowerCase(), item]));
+  const categories = new Map();
+  let uncostedCount = 0;
+
+  snapshot.items.forEach(counted => {
+    const item = itemsById.get(counted.itemId) || itemsByName.get(counted.item.toLowerCase());
+    const cost = item ? costs.get(item.itemId) : null;
+    const category = (item && item.category) || UNCATEGORIZED;
+    if (!cost) {
+      uncostedCount++;
+    }
+
+    if (!categories.has(category)) {
+      categories.set(category, []);
+    }
+    categories.get(category).push({
+      itemId: item ? item.itemId : counted.itemId,
+      item: counted.item,
+      category,
+      quantity: counted.quantity,
+      baseUnit: counted.baseUnit || (item && item.baseUnit) || 'each',
+      unitCost: cost ? cost.unitCost : null,
+      costEffectiveDate: cost ? cost.effectiveDate : null,
+      value: cost ? round2(counted.quantity * cost.unitCost) : null
+    });
+  });
+
+  // Named categories alphabetically, uncategorized items last
+  const categoryNames = [...categories.keys()].sort((a, b) => {
+    if (a === UNCATEGORIZED) return 1;
+    if (b === UNCATEGORIZED) return -1;
+    return a.localeCompare(b);
+  });
+
+  const groups = categoryNames.map(category => {
+    const categoryItems = categories.get(category);
+    return {
+      category,
+      value: round2(categoryItems.reduce((sum, item) => sum + (item.value || 0), 0)),
+      itemCount: categoryItems.length,
+      items: categoryItems
+    };
+  });
+
+  return {
+    count: {
+      snapshotId: snapshot.snapshotId,
+      sessionId: snapshot.sessionId,
+      countedAt: snapshot.countedAt,
+      listVersion: snapshot.listVersion
+    },
+    summary: {
+      totalValue: round2(groups.reduce((sum, group) => sum + group.value, 0)),
+      itemCount: snapshot.items.length,
+      uncostedCount,
+      categoryCount: groups.length
+    },
+    categories: groups
+  };
+}
+
+/**
+ * Render a valuation as CSV: one row per item, a subtotal row after each category and a grand total
+ * @param {Object} valuation - Result of buildValuation
+ * @returns {string} CSV text
+ */
+function valuationToCSV(valuation) {
+  const header = ['Category', 'ItemName', 'Quantity', 'BaseUnit', 'UnitCost', 'CostEffectiveDate', 'Value'];
+  const rows = [];
+  valuation.categories.forEach(group => {
+    group.items.forEach(item => {
+      rows.push([
+        group.category,
+        item.item,
+        item.quantity,
+        item.baseUnit,
+        item.unitCost,
+        item.costEffectiveDate,
+        item.value
+      ]);
+    });
+    rows.push([group.category, `Subtotal: ${group.category}`, null, null, null, null, group.value]);
+  });
+  rows.push([null, 'Total', null, null, null, null, valuation.summary.totalValue]);
+  return toCSV(header, rows);
+}
+
+module.exports = {
+  buildValuation,
+  valuationToCSV
+};
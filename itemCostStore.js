@@ -0,0 +1,119 @@
+// itemCostStore.js - Per-item unit costs with effective dates (inventory valuation)
+const { v4: uuidv4 } = require('uuid');
+const database = require('./database');
+const { toIso, HttpError } = require('./utils');
+
+function toCost(row) {
+  return {
+    unitCost: Number(row.unit_cost),
+    effectiveDate: row.effective_date,
+    createdAt: toIso(row.created_at)
+  };
+}
+
+// Today's date as YYYY-MM-DD (UTC, like the dates of count timestamps)
+function today() {
+  return new Date().toISOString().substring(0, 10);
+}
+
+/**
+ * Validate a unit cost entry
+ * @param {Object} data - { unitCost, effectiveDate } (effectiveDate YYYY-MM-DD, defaults to today)
+ * @returns {Object} { unitCost, effectiveDate }
+ */
+function validateCost(data) {
+  const unitCost = Number(data.unitCost);
+  if (data.unitCost === null || data.unitCost === undefined || data.unitCost === '' ||
+      !Number.isFinite(unitCost) || unitCost < 0) {
+    throw new HttpError(400, 'unitCost must be a non-negative number');
+  }
+
+  const effectiveDate = data.effectiveDate || today();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(effectiveDate) || isNaN(Date.parse(effectiveDate))) {
+    throw new HttpError(400, 'effectiveDate must be a date (YYYY-MM-DD)');
+  }
+  return { unitCost, effectiveDate };
+}
+
+/**
+ * List an item's cost history, most recent effective date first
+ * @param {string} listId - List id
+ * @param {string} itemId - Item id
+ * @returns {Promise<Array<Object>|null>} [{ unitCost, effectiveDate, createdAt }] or null if item not found
+ */
+async function listItemCosts(listId, itemId) {
+  const items = await database.query(
+    'SELECT item_id FROM inventory_items WHERE list_id = ? AND item_id = ? AND removed_at IS NULL',
+    [listId, itemId]
+  );
+  if (items.length === 0) {
+    return null;
+  }
+
+  const rows = await database.query(
+    'SELECT unit_cost, effective_date, created_at FROM item_costs WHERE item_id = ? ORDER BY effective_date DESC',
+    [itemId]
+  );
+  return rows.map(toCost);
+}
+
+/**
+ * Record an item's unit cost from a date on (replaces a cost already set for that date)
+ * @param {string} listId - List id
+ * @param {string} itemId - Item id
+ * @param {Object} data - { unitCost, effectiveDate } (unitCost per base unit)
+ * @param {Function} q - Query function (defaults to running in a new transaction)
+ * @returns {Promise<Object|null>} { unitCost, effectiveDate, createdAt } or null if item not found
+ */
+async function setItemCost(listId, itemId, data, q) {
+  if (!q) {
+    return database.transaction(txQuery => setItemCost(listId, itemId, data, txQuery));
+  }
+
+  const { unitCost, effectiveDate } = validateCost(data);
+  const items = await q('SELECT item_id FROM inventory_items WHERE list_id = ? AND item_id = ? AND removed_at IS NULL', [listId, itemId]);
+  if (items.length === 0) {
+    return null;
+  }
+
+  await q('DELETE FROM item_costs WHERE item_id = ? AND effective_date = ?', [itemId, effectiveDate]);
+  await q(
+    'INSERT INTO item_costs (cost_id, item_id, unit_cost, effective_date, created_at) VALUES (?, ?, ?, ?, ?)',
+    [uuidv4(), itemId, unitCost, effectiveDate, new Date().toISOString()]
+  );
+
+  const rows = await q(
+    'SELECT unit_cost, effective_date, created_at FROM item_costs WHERE item_id = ? AND effective_date = ?',
+    [itemId, effectiveDate]
+  );
+  return toCost(rows[0]);
+}
+
+/**
+ * Each item's cost in effect on a date (its latest cost effective on or before it)
+ * @param {string} listId - List id
+ * @param {string} date - YYYY-MM-DD
+ * @param {Function} q - Query function (defaults to database.query)
+ * @returns {Promise<Map<string, Object>>} itemId -> { unitCost, effectiveDate }
+ */
+async function getCostsOn(listId, date, q = database.query) {
+  const rows = await q(
+    `SELECT c.item_id, c.unit_cost, c.effective_date FROM item_costs c
+     JOIN inventory_items i ON i.item_id = c.item_id
+     WHERE i.list_id = ? AND c.effective_date <= ?
+     ORDER BY c.effective_date`,
+    [listId, date]
+  );
+
+  const costs = new Map();
+  rows.forEach(row => {
+    costs.set(row.item_id, { unitCost: Number(row.unit_cost), effectiveDate: row.effective_date });
+  });
+  return costs;
+}
+
+module.exports = {
+  listItemCosts,
+  setItemCost,
+  getCostsOn
+};
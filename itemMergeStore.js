@@ -0,0 +1,313 @@
+// itemMergeStore.js - Merge near-duplicate master list items into one surviving item
+const { v4: uuidv4 } = require('uuid');
+const database = require('./database');
+const inventoryStore = require('./inventoryStore');
+const masterListVersionStore = require('./masterListVersionStore');
+const sessionStore = require('./sessionStore');
+const { toIso, HttpError } = require('./utils');
+
+// Survivor fields filled in from a merged item when the survivor has none (column, item field)
+const FILL_FIELDS = [
+  ['base_unit', 'baseUnit'],
+  ['par_level', 'parLevel'],
+  ['reorder_point', 'reorderPoint'],
+  ['vendor', 'vendor'],
+  ['category', 'category'],
+  ['sku', 'sku']
+];
+
+function toMerge(row) {
+  return {
+    mergeId: row.merge_id,
+    listId: row.list_id,
+    survivor: { itemId: row.survivor_id, name: row.survivor_name },
+    merged: JSON.parse(row.merged_items),
+    moved: row.moved ? JSON.parse(row.moved) : {},
+    listVersion: Number(row.list_version),
+    mergedBy: row.merged_by,
+    createdAt: toIso(row.created_at)
+  };
+}
+
+function validateMerge(data) {
+  if (!data.survivorId || typeof data.survivorId !== 'string') {
+    throw new HttpError(400, 'survivorId is required');
+  }
+  if (!Array.isArray(data.itemIds) || data.itemIds.length === 0 || data.itemIds.some(id => !id || typeof id !== 'string')) {
+    throw new HttpError(400, 'itemIds must be a non-empty array of item ids');
+  }
+  if (data.itemIds.includes(data.survivorId)) {
+    throw new HttpError(400, 'itemIds must not include the survivor');
+  }
+  if (new Set(data.itemIds).size !== data.itemIds.length) {
+    throw new HttpError(400, 'itemIds must not repeat an item');
+  }
+
+  const mergedBy = typeof data.mergedBy === 'string' ? data.mergedBy.trim() : '';
+  if (!mergedBy) {
+    throw new HttpError(400, 'mergedBy is required');
+  }
+  if (mergedBy.length > 100) {
+    throw new HttpError(400, 'mergedBy must be 100 characters or fewer');
+  }
+  return mergedBy;
+}
+
+// Fold one item's entry in a snapshot into another's (quantities, zones and units summed)
+function combineSnapshotItems(into, from) {
+  const zones = new Map((into.zones || []).map(zone => [zone.zone || null, zone.quantity]));
+  (from.zones || []).forEach(zone => {
+    zones.set(zone.zone || null, (zones.get(zone.zone || null) || 0) + zone.quantity);
+  });
+
+  const itemUnits = { ...(into.units || {}) };
+  Object.entries(from.units || {}).forEach(([unit, quantity]) => {
+    itemUnits[unit] = (itemUnits[unit] || 0) + quantity;
+  });
+
+  return {
+    ...into,
+    quantity: into.quantity + from.quantity,
+    baseUnit: into.baseUnit || from.baseUnit || null,
+    zones: [...zones.entries()].map(([zone, quantity]) => ({ zone, quantity })),
+    units: itemUnits
+  };
+}
+
+// Move per-session totals (item and zone) from merged items onto the survivor, adding where both were counted
+async function moveSessionTotals(q, survivorId, mergedIds) {
+  let moved = 0;
+  for (const itemId of mergedIds) {
+    const totals = await q('SELECT session_id, quantity FROM session_totals WHERE item_id = ?', [itemId]);
+    for (const total of totals) {
+      await q(
+        `INSERT INTO session_totals (total_id, session_id, item_id, quantity) VALUES (?, ?, ?, ?)
+         ON CONFLICT (session_id, item_id) DO UPDATE SET quantity = session_totals.quantity + excluded.quantity`,
+        [uuidv4(), total.session_id, survivorId, Number(total.quantity)]
+      );
+    }
+
+    const zoneTotals = await q('SELECT session_id, zone, quantity FROM session_zone_totals WHERE item_id = ?', [itemId]);
+    for (const zoneTotal of zoneTotals) {
+      await q(
+        `INSERT INTO session_zone_totals (session_id, item_id, zone, quantity) VALUES (?, ?, ?, ?)
+         ON CONFLICT (session_id, item_id, zone) DO UPDATE SET quantity = session_zone_totals.quantity + excluded.quantity`,
+        [zoneTotal.session_id, survivorId, zoneTotal.zone, Number(zoneTotal.quantity)]
+      );
+    }
+    await q('DELETE FROM session_zone_totals WHERE item_id = ?', [itemId]);
+    await q('DELETE FROM session_totals WHERE item_id = ?', [itemId]);
+    moved += totals.length;
+  }
+  return moved;
+}
+
+// Re-point merged items' costs to the survivor on the days the survivor has no cost of its own
+async function moveCosts(q, survivorId, mergedIds) {
+  const own = await q('SELECT effective_date FROM item_costs WHERE item_id = ?', [survivorId]);
+  const dates = new Set(own.map(row => row.effective_date));
+
+  let moved = 0;
+  for (const itemId of mergedIds) {
+    const costs = await q('SELECT cost_id, effective_date FROM item_costs WHERE item_id = ? ORDER BY effective_date', [itemId]);
+    for (const cost of costs) {
+      if (!dates.has(cost.effective_date)) {
+        await q('UPDATE item_costs SET item_id = ? WHERE cost_id = ?', [survivorId, cost.cost_id]);
+        dates.add(cost.effective_date);
+        moved++;
+      }
+    }
+  }
+  return moved;
+}
+
+// Combine merged items into the survivor in the count history snapshots of the list's project
+async function moveSnapshotItems(q, projectId, survivor, mergedIds) {
+  const merged = new Set(mergedIds);
+  const snapshots = await q('SELECT snapshot_id, items FROM count_snapshots WHERE project_id = ?', [projectId]);
+
+  let moved = 0;
+  for (const snapshot of snapshots) {
+    const items = JSON.parse(snapshot.items);
+    if (!items.some(item => merged.has(item.itemId))) {
+      continue;
+    }
+
+    const combined = [];
+    let survivorIndex = -1;
+    items.forEach(item => {
+      const isSurvivor = item.itemId === survivor.itemId;
+      if (!isSurvivor && !merged.has(item.itemId)) {
+        combined.push(item);
+        return;
+      }
+      const entry = { ...item, itemId: survivor.itemId, item: survivor.name };
+      if (survivorIndex < 0) {
+        survivorIndex = combined.length;
+        combined.push(entry);
+      } else {
+        combined[survivorIndex] = combineSnapshotItems(combined[survivorIndex], entry);
+      }
+    });
+
+    await q(
+      'UPDATE count_snapshots SET items = ?, item_count = ? WHERE snapshot_id = ?',
+      [JSON.stringify(combined), combined.length, snapshot.snapshot_id]
+    );
+    moved++;
+  }
+  return moved;
+}
+
+// Aliases of merged items become the survivor's, and the merged names are kept as aliases of it
+async function moveAliases(q, projectId, survivorName, mergedNames) {
+  const now = new Date().toISOString();
+  let moved = 0;
+  for (const name of mergedNames) {
+    const aliases = await q(
+      'SELECT alias FROM project_aliases WHERE project_id = ? AND canonical_item = ?',
+      [projectId, name]
+    );
+    for (const alias of [...aliases.map(row => row.alias), name]) {
+      if (alias.toLowerCase() === survivorName.toLowerCase()) {
+        continue;
+      }
+      await q(
+        'INSERT OR IGNORE INTO project_aliases (project_id, canonical_item, alias, updated_at) VALUES (?, ?, ?, ?)',
+        [projectId, survivorName, alias, now]
+      );
+      moved++;
+    }
+    await q('DELETE FROM project_aliases WHERE project_id = ? AND canonical_item = ?', [projectId, name]);
+  }
+  return moved;
+}
+
+/**
+ * Merge items of a list into one surviving item. The survivor keeps its name and position and takes
+ * the fields it has no value for (unit, par, vendor, category, SKU...) from the merged items. Their
+ * session totals are added to the survivor's, their hot list entries, receipts, waste entries and
+ * costs (on days the survivor has none) are re-pointed to it, their ledger events are kept as recorded
+ * (they count toward the survivor, see sessionStore.replaySession), their entries in past count
+ * snapshots are combined into its entry, and their project aliases - and their names - become aliases
+ * of the survivor. The merged items are then removed (see inventoryStore.removeListItems; saved as a new master
+ * list version) and the merge is recorded.
+ * @param {string} listId - List id
+ * @param {Object} data - { survivorId, itemIds: [item ids merged into the survivor], mergedBy }
+ * @returns {Promise<Object|null>} { merge, list } or null if the list is not found
+ * @throws {HttpError} 400 for unknown items, 409 if a count is open on the list or the items have different base units
+ */
+async function mergeItems(listId, data) {
+  const mergedBy = validateMerge(data);
+
+  return database.transaction(async (q) => {
+    const list = await inventoryStore.getInventoryList(listId, q);
+    if (!list) {
+      return null;
+    }
+
+    const survivor = list.items.find(item => item.itemId === data.survivorId);
+    if (!survivor) {
+      throw new HttpError(400, `Item ${data.survivorId} is not on this list`);
+    }
+    const merged = data.itemIds.map(itemId => {
+      const item = list.items.find(listItem => listItem.itemId === itemId);
+      if (!item) {
+        throw new HttpError(400, `Item ${itemId} is not on this list`);
+      }
+      return item;
+    });
+
+    if (await sessionStore.findOpenSession(listId, q)) {
+      throw new HttpError(409, 'Finish or close the open count on this list before merging items');
+    }
+    const baseUnits = new Set([survivor, ...merged].map(item => item.baseUnit).filter(Boolean));
+    if (baseUnits.size > 1) {
+      throw new HttpError(409, `Items counted in different base units cannot be merged (${[...baseUnits].join(', ')})`);
+    }
+
+    const now = new Date().toISOString();
+    const mergedIds = merged.map(item => item.itemId);
+    const placeholders = mergedIds.map(() => '?').join(', ');
+
+    const filled = FILL_FIELDS.filter(([, field]) => survivor[field] === null)
+      .map(([column, field]) => [column, merged.map(item => item[field]).find(value => value !== null)])
+      .filter(([, value]) => value !== undefined);
+    if (Object.keys(survivor.packSizes).length === 0) {
+      const packSizes = merged.map(item => item.packSizes).find(sizes => Object.keys(sizes).length > 0);
+      if (packSizes) {
+        filled.push(['pack_sizes', JSON.stringify(packSizes)]);
+      }
+    }
+    if (filled.length > 0) {
+      await q(
+        `UPDATE inventory_items SET ${filled.map(([column]) => `${column} = ?`).join(', ')}, updated_at = ? WHERE item_id = ?`,
+        [...filled.map(([, value]) => value), now, survivor.itemId]
+      );
+    }
+
+    const projects = await q('SELECT project_id FROM inventory_lists WHERE list_id = ?', [listId]);
+    const projectId = projects[0].project_id;
+
+    // Ledger events are left as recorded; replays add them up in the survivor (see sessionStore.replaySession)
+    const moved = { sessionTotals: await moveSessionTotals(q, survivor.itemId, mergedIds) };
+    await q(`UPDATE hot_list_entries SET item_id = ? WHERE item_id IN (${placeholders})`, [survivor.itemId, ...mergedIds]);
+
+    for (const table of ['receipts', 'waste_entries']) {
+      const rows = await q(`SELECT COUNT(*) AS count FROM ${table} WHERE item_id IN (${placeholders})`, mergedIds);
+      await q(
+        `UPDATE ${table} SET item_id = ?, item_name = ? WHERE item_id IN (${placeholders})`,
+        [survivor.itemId, survivor.name, ...mergedIds]
+      );
+      moved[table === 'receipts' ? 'receipts' : 'wasteEntries'] = Number(rows[0].count);
+    }
+
+    moved.costs = await moveCosts(q, survivor.itemId, mergedIds);
+    moved.snapshots = projectId ? await moveSnapshotItems(q, projectId, survivor, mergedIds) : 0;
+    moved.aliases = projectId ? await moveAliases(q, projectId, survivor.name, merged.map(item => item.name)) : 0;
+
+    await inventoryStore.removeListItems(q, mergedIds, now);
+    const remaining = list.items.filter(item => !mergedIds.includes(item.itemId));
+    for (let position = 0; position < remaining.length; position++) {
+      if (remaining[position].position !== position) {
+        await q('UPDATE inventory_items SET position = ? WHERE item_id = ?', [position, remaining[position].itemId]);
+      }
+    }
+
+    await q('UPDATE inventory_lists SET updated_at = ?, version = version + 1 WHERE list_id = ?', [now, listId]);
+    const updated = await inventoryStore.getInventoryList(listId, q);
+    await masterListVersionStore.recordVersion(q, updated);
+
+    const mergeId = uuidv4();
+    await q(
+      `INSERT INTO item_merges (merge_id, list_id, survivor_id, survivor_name, merged_items, moved, list_version, merged_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        mergeId, listId, survivor.itemId, survivor.name,
+        JSON.stringify(merged.map(item => ({ itemId: item.itemId, name: item.name }))),
+        JSON.stringify(moved), updated.version, mergedBy, now
+      ]
+    );
+
+    const rows = await q('SELECT * FROM item_merges WHERE merge_id = ?', [mergeId]);
+    return { merge: toMerge(rows[0]), list: updated };
+  });
+}
+
+/**
+ * List the merges made on a list, most recent first
+ * @param {string} listId - List id
+ * @returns {Promise<Array<Object>>} Merges [{ mergeId, survivor, merged, moved, listVersion, mergedBy, createdAt }]
+ */
+async function listMerges(listId) {
+  const rows = await database.query(
+    'SELECT * FROM item_merges WHERE list_id = ? ORDER BY created_at DESC',
+    [listId]
+  );
+  return rows.map(toMerge);
+}
+
+module.exports = {
+  mergeItems,
+  listMerges
+};
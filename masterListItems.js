@@ -0,0 +1,99 @@
+// masterListItems.js - Master list item schema { id, name, sku, vendor, unit, category, par, cost }
+const { HttpError } = require('./utils');
+
+// Fields of a structured item besides its name
+const FIELDS = ['id', 'sku', 'vendor', 'unit', 'category', 'par', 'cost'];
+
+/**
+ * Upgrade master list items to the structured form: a legacy item name becomes { name }.
+ * Fields left out of an item keep their saved value when the list is saved; null clears them.
+ * Values are validated when the list is saved (see inventoryStore.syncListItems).
+ * @param {Array<string|Object>} items - Item names and/or { id, name, sku, vendor, unit, category, par, cost }
+ * @returns {Array<Object>} [{ name, ...fields given }]
+ * @throws {HttpError} 400 if an item is neither a name nor an item object, or has unknown fields
+ */
+function normalizeItems(items) {
+  if (!Array.isArray(items)) {
+    throw new HttpError(400, 'items must be an array');
+  }
+
+  return items.map((item, index) => {
+    if (typeof item === 'string') {
+      return { name: item };
+    }
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      throw new HttpError(400, `items[${index}] must be an item name or { name, ${FIELDS.join(', ')} }`);
+    }
+
+    const unknown = Object.keys(item).filter(key => key !== 'name' && !FIELDS.includes(key));
+    if (unknown.length > 0) {
+      throw new HttpError(400, `items[${index}] has unknown field(s): ${unknown.join(', ')} (use name, ${FIELDS.join(', ')})`);
+    }
+
+    const normalized = { name: item.name };
+    FIELDS.forEach(field => {
+      if (item[field] !== undefined) {
+        normalized[field] = item[field];
+      }
+    });
+    return normalized;
+  });
+}
+
+/**
+ * Merge a { name: category } map (e.g. the section headers of a scanned sheet) into master list items.
+ * An item's own category wins; names not in the map keep theirs, and a null category clears it.
+ * @param {Array<string|Object>} items - Item names and/or structured items
+ * @param {Object} categories - { item name: category }
+ * @returns {Array<Object>} Structured items (see normalizeItems)
+ * @throws {HttpError} 400 if categories is not an object of { item: category }
+ */
+function applyCategories(items, categories) {
+  if (!categories || typeof categories !== 'object' || Array.isArray(categories)) {
+    throw new HttpError(400, 'categories must be an object of { item: category }');
+  }
+
+  return normalizeItems(items).map(item => {
+    if (item.category !== undefined || !Object.prototype.hasOwnProperty.call(categories, item.name)) {
+      return item;
+    }
+    return { ...item, category: categories[item.name] };
+  });
+}
+
+/**
+ * Item names of a master list in either form - all the resolution engine is given
+ * @param {Array<string|Object>} items - Item names and/or structured items
+ * @returns {Array<string>} Names (entries without one are left out)
+ */
+function toNames(items) {
+  return (Array.isArray(items) ? items : [])
+    .map(item => (item && typeof item === 'object' ? item.name : item))
+    .filter(name => typeof name === 'string' && name.trim());
+}
+
+/**
+ * Structured item for a stored master list item
+ * @param {Object} item - Item (see inventoryStore.getInventoryList)
+ * @param {Object} cost - Its current cost { unitCost } (see itemCostStore.getCostsOn), if it has one
+ * @returns {Object} { id, name, sku, vendor, unit, category, par, cost }
+ */
+function fromListItem(item, cost) {
+  return {
+    id: item.itemId,
+    name: item.name,
+    sku: item.sku,
+    vendor: item.vendor,
+    unit: item.baseUnit,
+    category: item.category,
+    par: item.parLevel,
+    cost: cost ? cost.unitCost : null
+  };
+}
+
+module.exports = {
+  normalizeItems,
+  applyCategories,
+  toNames,
+  fromListItem
+};
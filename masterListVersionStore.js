@@ -0,0 +1,164 @@
+// masterListVersionStore.js - Saved versions of master lists, each with a diff against the one before
+const database = require('./database');
+const { toIso } = require('./utils');
+
+// Item fields compared for 'updated' (name and position are reported as renamed / reordered)
+const ITEM_FIELDS = ['sku', 'baseUnit', 'packSizes', 'parLevel', 'reorderPoint', 'vendor', 'category'];
+
+function toVersionSummary(row) {
+  return {
+    listId: row.list_id,
+    version: Number(row.version),
+    itemCount: Number(row.item_count),
+    restoredVersion: row.restored_version === null || row.restored_version === undefined ? null : Number(row.restored_version),
+    diff: row.diff ? JSON.parse(row.diff) : null,
+    createdAt: toIso(row.created_at)
+  };
+}
+
+// Ids of the longest run of items kept in their previous relative order; among equally long runs,
+// the one keeping the most items at their old position (so those are not reported as moved)
+function longestOrderedRun(items, previousById) {
+  const order = items.map(item => previousById.get(item.itemId).index);
+  const stayed = items.map(item => (previousById.get(item.itemId).item.position === item.position ? 1 : 0));
+  const best = items.map((item, i) => ({ length: 1, stayed: stayed[i], parent: -1 }));
+
+  for (let i = 0; i < items.length; i++) {
+    for (let j = 0; j < i; j++) {
+      if (order[j] < order[i]) {
+        const length = best[j].length + 1;
+        const kept = best[j].stayed + stayed[i];
+        if (length > best[i].length || (length === best[i].length && kept > best[i].stayed)) {
+          best[i] = { length, stayed: kept, parent: j };
+        }
+      }
+    }
+  }
+
+  let i = -1;
+  best.forEach((run, index) => {
+    if (i < 0 || run.length > best[i].length || (run.length === best[i].length && run.stayed > best[i].stayed)) {
+      i = index;
+    }
+  });
+  const kept = new Set();
+  for (; i >= 0; i = best[i].parent) {
+    kept.add(items[i].itemId);
+  }
+  return kept;
+}
+
+/**
+ * Diff two versions of a list's items, matched by item id (so renames are not add + remove).
+ * reordered lists only the items that moved: items shifted by an insert, removal or another
+ * item's move are not counted.
+ * @param {Array<Object>} previous - Earlier items (see inventoryStore.getInventoryList), in list order
+ * @param {Array<Object>} items - Later items, in list order
+ * @returns {Object} { added, removed, renamed, reordered, updated, changeCount }
+ */
+function diffItems(previous, items) {
+  const previousById = new Map(previous.map(item => [item.itemId, item]));
+  const currentIds = new Set(items.map(item => item.itemId));
+
+  const added = items
+    .filter(item => !previousById.has(item.itemId))
+    .map(item => ({ itemId: item.itemId, name: item.name, position: item.position }));
+  const removed = previous
+    .filter(item => !currentIds.has(item.itemId))
+    .map(item => ({ itemId: item.itemId, name: item.name, position: item.position }));
+
+  const common = items.filter(item => previousById.has(item.itemId));
+  const renamed = common
+    .filter(item => previousById.get(item.itemId).name !== item.name)
+    .map(item => ({ itemId: item.itemId, from: previousById.get(item.itemId).name, to: item.name }));
+
+  const inOrder = longestOrderedRun(
+    common,
+    new Map(previous.map((item, index) => [item.itemId, { item, index }]))
+  );
+  const reordered = common
+    .filter(item => !inOrder.has(item.itemId))
+    .map(item => ({ itemId: item.itemId, name: item.name, from: previousById.get(item.itemId).position, to: item.position }));
+
+  const updated = [];
+  common.forEach(item => {
+    const before = previousById.get(item.itemId);
+    const fields = ITEM_FIELDS.filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(item[field] ?? null));
+    if (fields.length > 0) {
+      updated.push({ itemId: item.itemId, name: item.name, fields });
+    }
+  });
+
+  return {
+    added,
+    removed,
+    renamed,
+    reordered,
+    updated,
+    changeCount: added.length + removed.length + renamed.length + reordered.length + updated.length
+  };
+}
+
+/**
+ * Save a list's current items as its current version, with the diff against the previous version
+ * @param {Function} q - Query function (inside the transaction that changed the list)
+ * @param {Object} list - List with items (see inventoryStore.getInventoryList)
+ * @param {Object} options - { restoredVersion } when the change is a rollback
+ * @returns {Promise<Object>} Version summary { listId, version, itemCount, restoredVersion, diff, createdAt }
+ */
+async function recordVersion(q, list, options = {}) {
+  const previous = await q(
+    'SELECT items FROM master_list_versions WHERE list_id = ? AND version < ? ORDER BY version DESC LIMIT 1',
+    [list.listId, list.version]
+  );
+  const diff = previous.length > 0 ? diffItems(JSON.parse(previous[0].items), list.items) : null;
+
+  await q('DELETE FROM master_list_versions WHERE list_id = ? AND version = ?', [list.listId, list.version]);
+  await q(
+    `INSERT INTO master_list_versions (list_id, version, items, item_count, diff, restored_version, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      list.listId, list.version, JSON.stringify(list.items), list.items.length,
+      diff ? JSON.stringify(diff) : null, options.restoredVersion || null, list.updatedAt || new Date().toISOString()
+    ]
+  );
+
+  const rows = await q('SELECT * FROM master_list_versions WHERE list_id = ? AND version = ?', [list.listId, list.version]);
+  return toVersionSummary(rows[0]);
+}
+
+/**
+ * List a list's versions, newest first (without items)
+ * @param {string} listId - List id
+ * @returns {Promise<Array<Object>>} Version summaries with their diffs
+ */
+async function listVersions(listId) {
+  const rows = await database.query(
+    `SELECT list_id, version, item_count, diff, restored_version, created_at
+     FROM master_list_versions WHERE list_id = ? ORDER BY version DESC`,
+    [listId]
+  );
+  return rows.map(toVersionSummary);
+}
+
+/**
+ * Load one version of a list with its items
+ * @param {string} listId - List id
+ * @param {number} version - Version number
+ * @param {Function} q - Query function (defaults to database.query)
+ * @returns {Promise<Object|null>} Version summary with items, or null
+ */
+async function getVersion(listId, version, q = database.query) {
+  const rows = await q('SELECT * FROM master_list_versions WHERE list_id = ? AND version = ?', [listId, version]);
+  if (rows.length === 0) {
+    return null;
+  }
+  return { ...toVersionSummary(rows[0]), items: JSON.parse(rows[0].items) };
+}
+
+module.exports = {
+  diffItems,
+  recordVersion,
+  listVersions,
+  getVersion
+};
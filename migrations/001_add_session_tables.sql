@@ -11,6 +11,20 @@ CREATE TABLE IF NOT EXISTS users (
 -- Ensure default user exists
 INSERT OR IGNORE INTO users (user_id) VALUES ('default_user');
 
+-- Inventory lists/items referenced by the session tables below
+-- (PostgreSQL rejects a foreign key to a table that does not exist yet)
+CREATE TABLE IF NOT EXISTS inventory_lists (
+  list_id VARCHAR(36) PRIMARY KEY,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS inventory_items (
+  item_id VARCHAR(36) PRIMARY KEY,
+  list_id VARCHAR(36) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (list_id) REFERENCES inventory_lists(list_id) ON DELETE CASCADE
+);
+
 -- Count Sessions V2
 CREATE TABLE IF NOT EXISTS count_sessions_v2 (
   session_id VARCHAR(36) PRIMARY KEY,
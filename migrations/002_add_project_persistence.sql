@@ -0,0 +1,50 @@
+-- Migration: Move project data out of data/*.json into the database
+-- Safe to run multiple times (IF NOT EXISTS)
+
+-- Projects (project_key is the old data/projects directory name)
+CREATE TABLE IF NOT EXISTS projects (
+  project_id VARCHAR(36) PRIMARY KEY,
+  project_name VARCHAR(100) NOT NULL,
+  project_key VARCHAR(100) NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Master lists (items stored as a JSON array, as in master_list.json)
+CREATE TABLE IF NOT EXISTS project_master_lists (
+  project_id VARCHAR(36) PRIMARY KEY,
+  items TEXT NOT NULL,
+  item_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (project_id) REFERENCES projects(project_id) ON DELETE CASCADE
+);
+
+-- Global aliases (one row per canonical item / spoken alias pair)
+CREATE TABLE IF NOT EXISTS global_aliases (
+  canonical_item VARCHAR(255) NOT NULL,
+  alias VARCHAR(255) NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (canonical_item, alias)
+);
+
+-- Project-specific aliases (legacy)
+CREATE TABLE IF NOT EXISTS project_aliases (
+  project_id VARCHAR(36) NOT NULL,
+  canonical_item VARCHAR(255) NOT NULL,
+  alias VARCHAR(255) NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (project_id, canonical_item, alias),
+  FOREIGN KEY (project_id) REFERENCES projects(project_id) ON DELETE CASCADE
+);
+
+-- Live Count saves (one autosave and one manual save per project)
+CREATE TABLE IF NOT EXISTS live_count_saves (
+  project_id VARCHAR(36) NOT NULL,
+  save_type VARCHAR(20) NOT NULL CHECK(save_type IN ('autosave', 'manual')),
+  master_list TEXT,
+  counts TEXT,
+  client_timestamp VARCHAR(40),
+  saved_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (project_id, save_type),
+  FOREIGN KEY (project_id) REFERENCES projects(project_id) ON DELETE CASCADE
+);
@@ -0,0 +1,15 @@
+-- Migration: Inventory lists and items become the store for master lists
+-- Each item keeps a stable item_id, so counts stay attached when it is renamed
+
+-- A list with a project_id is that project's master list (one per project)
+ALTER TABLE inventory_lists ADD COLUMN project_id VARCHAR(36) REFERENCES projects(project_id) ON DELETE CASCADE;
+ALTER TABLE inventory_lists ADD COLUMN name VARCHAR(255) NOT NULL DEFAULT '';
+ALTER TABLE inventory_lists ADD COLUMN updated_at TIMESTAMP;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_inventory_lists_project ON inventory_lists(project_id);
+
+ALTER TABLE inventory_items ADD COLUMN name VARCHAR(255) NOT NULL DEFAULT '';
+ALTER TABLE inventory_items ADD COLUMN position INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE inventory_items ADD COLUMN updated_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_inventory_items_list_position ON inventory_items(list_id, position);
@@ -0,0 +1,5 @@
+-- Migration: Server-side count sessions
+-- Look up the open session for a list so a second device can pick it up
+
+CREATE INDEX IF NOT EXISTS idx_sessions_list_status ON count_sessions_v2(list_id, status);
+CREATE INDEX IF NOT EXISTS idx_totals_session ON session_totals(session_id);
@@ -0,0 +1,24 @@
+-- Migration: Immutable count event ledger
+-- Every applied ADD/SUBTRACT/SET/ERASE is recorded; session_totals can be rebuilt by replay.
+-- item_id has no foreign key and item_name is copied so history survives item deletes.
+
+CREATE TABLE IF NOT EXISTS count_events (
+  event_id VARCHAR(36) PRIMARY KEY,
+  session_id VARCHAR(36) NOT NULL,
+  sequence INTEGER NOT NULL,
+  item_id VARCHAR(36) NOT NULL,
+  item_name VARCHAR(255) NOT NULL,
+  operation VARCHAR(10) NOT NULL CHECK(operation IN ('ADD', 'SUBTRACT', 'SET', 'ERASE')),
+  quantity DECIMAL(10,2) NOT NULL DEFAULT 0,
+  previous_quantity DECIMAL(10,2) NOT NULL DEFAULT 0,
+  new_quantity DECIMAL(10,2) NOT NULL DEFAULT 0,
+  transcript TEXT,
+  stt_alternatives TEXT,
+  decision_state VARCHAR(30),
+  resolver_source VARCHAR(30),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (session_id) REFERENCES count_sessions_v2(session_id) ON DELETE CASCADE,
+  UNIQUE(session_id, sequence)
+);
+
+CREATE INDEX IF NOT EXISTS idx_count_events_item ON count_events(session_id, item_id, sequence);
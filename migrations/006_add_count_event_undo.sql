@@ -0,0 +1,6 @@
+-- Migration: Undo/redo for count events
+-- Undo and redo are appended as SET events pointing at the event they revert or re-apply,
+-- so the ledger stays append-only and replay needs no special handling.
+
+ALTER TABLE count_events ADD COLUMN undo_action VARCHAR(10) CHECK(undo_action IN ('undo', 'redo'));
+ALTER TABLE count_events ADD COLUMN target_event_id VARCHAR(36);
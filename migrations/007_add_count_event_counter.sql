@@ -0,0 +1,4 @@
+-- Migration: Multi-device counting
+-- Name of the counter (device) that applied each event, so every device can show who counted what
+
+ALTER TABLE count_events ADD COLUMN counted_by VARCHAR(100);
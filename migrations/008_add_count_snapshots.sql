@@ -0,0 +1,22 @@
+-- Migration: Count history
+-- Every finalized count session is kept as an immutable, dated snapshot of its totals,
+-- tagged with the master list version it was counted against.
+
+-- Bumped whenever a list's items change (added, removed, renamed or reordered)
+ALTER TABLE inventory_lists ADD COLUMN version INTEGER NOT NULL DEFAULT 1;
+
+-- items is a JSON array of { itemId, item, quantity } in master list order
+CREATE TABLE IF NOT EXISTS count_snapshots (
+  snapshot_id VARCHAR(36) PRIMARY KEY,
+  project_id VARCHAR(36) NOT NULL,
+  session_id VARCHAR(36),
+  list_version INTEGER NOT NULL,
+  items TEXT NOT NULL,
+  item_count INTEGER NOT NULL DEFAULT 0,
+  total_quantity DECIMAL(12,2) NOT NULL DEFAULT 0,
+  counted_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (project_id) REFERENCES projects(project_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_count_snapshots_project ON count_snapshots(project_id, counted_at);
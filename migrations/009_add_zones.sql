@@ -0,0 +1,34 @@
+-- Migration: Zones (walk-in, freezer, line...) with per-zone subtotals
+-- session_totals stays the per-item total; session_zone_totals holds its breakdown by zone.
+-- zone '' is quantity counted without a zone.
+
+CREATE TABLE IF NOT EXISTS project_zones (
+  zone_id VARCHAR(36) PRIMARY KEY,
+  project_id VARCHAR(36) NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  position INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (project_id) REFERENCES projects(project_id) ON DELETE CASCADE,
+  UNIQUE(project_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS session_zone_totals (
+  session_id VARCHAR(36) NOT NULL,
+  item_id VARCHAR(36) NOT NULL,
+  zone VARCHAR(100) NOT NULL DEFAULT '',
+  quantity DECIMAL(10,2) NOT NULL DEFAULT 0,
+  last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (session_id, item_id, zone),
+  FOREIGN KEY (session_id) REFERENCES count_sessions_v2(session_id) ON DELETE CASCADE,
+  FOREIGN KEY (item_id) REFERENCES inventory_items(item_id) ON DELETE CASCADE
+);
+
+-- Existing totals were counted without a zone
+INSERT INTO session_zone_totals (session_id, item_id, zone, quantity)
+  SELECT session_id, item_id, '', quantity FROM session_totals;
+
+-- Zone each count event applied to (NULL = no zone)
+ALTER TABLE count_events ADD COLUMN zone VARCHAR(100);
+
+-- Zone breakdown saved with Live Count state ({ item: { zone: quantity } })
+ALTER TABLE live_count_saves ADD COLUMN zone_counts TEXT;
@@ -0,0 +1,10 @@
+-- Migration: Units of measure and pack sizes for master list items
+-- Counts are kept in each item's base unit; pack_sizes converts spoken units
+-- ("2 cases") into it, as JSON { "case": 24, "sleeve": 50 }.
+
+ALTER TABLE inventory_items ADD COLUMN base_unit VARCHAR(30);
+ALTER TABLE inventory_items ADD COLUMN pack_sizes TEXT;
+
+-- What was actually said: counted_quantity in counted_unit (quantity stays in base units)
+ALTER TABLE count_events ADD COLUMN counted_unit VARCHAR(30);
+ALTER TABLE count_events ADD COLUMN counted_quantity DECIMAL(10,2);
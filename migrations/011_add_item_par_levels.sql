@@ -0,0 +1,6 @@
+-- Migration: Par levels, reorder points and vendors for master list items (order suggestions)
+-- Quantities are in the item's base unit, like counts.
+
+ALTER TABLE inventory_items ADD COLUMN par_level DECIMAL(10,2);
+ALTER TABLE inventory_items ADD COLUMN reorder_point DECIMAL(10,2);
+ALTER TABLE inventory_items ADD COLUMN vendor VARCHAR(100);
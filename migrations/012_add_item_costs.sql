@@ -0,0 +1,15 @@
+-- Migration: Unit costs with effective dates, and item categories (inventory valuation)
+-- A count is valued at each item's cost in effect on the day it was counted.
+
+ALTER TABLE inventory_items ADD COLUMN category VARCHAR(100);
+
+-- unit_cost is per base unit; effective_date is YYYY-MM-DD (one cost per item per day)
+CREATE TABLE IF NOT EXISTS item_costs (
+  cost_id VARCHAR(36) PRIMARY KEY,
+  item_id VARCHAR(36) NOT NULL,
+  unit_cost DECIMAL(12,4) NOT NULL,
+  effective_date VARCHAR(10) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (item_id) REFERENCES inventory_items(item_id) ON DELETE CASCADE,
+  UNIQUE(item_id, effective_date)
+);
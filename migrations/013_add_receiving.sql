@@ -0,0 +1,19 @@
+-- Migration: Receiving log (deliveries per item)
+-- Usage between two counts = opening count + received - closing count.
+
+-- quantity is in the item's base unit; unit_cost is per base unit (optional)
+CREATE TABLE IF NOT EXISTS receipts (
+  receipt_id VARCHAR(36) PRIMARY KEY,
+  project_id VARCHAR(36) NOT NULL,
+  item_id VARCHAR(36),
+  item_name VARCHAR(255) NOT NULL,
+  quantity DECIMAL(10,2) NOT NULL,
+  unit_cost DECIMAL(12,4),
+  vendor VARCHAR(100),
+  received_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (project_id) REFERENCES projects(project_id) ON DELETE CASCADE,
+  FOREIGN KEY (item_id) REFERENCES inventory_items(item_id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_receipts_project ON receipts(project_id, received_at);
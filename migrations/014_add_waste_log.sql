@@ -0,0 +1,23 @@
+-- Migration: Waste log
+-- Product thrown out during service is logged with a reason code; it does not change the shelf count.
+
+-- quantity is in the item's base unit; counted_quantity/counted_unit are what was said ("1 case")
+CREATE TABLE IF NOT EXISTS waste_entries (
+  waste_id VARCHAR(36) PRIMARY KEY,
+  project_id VARCHAR(36) NOT NULL,
+  item_id VARCHAR(36),
+  item_name VARCHAR(255) NOT NULL,
+  quantity DECIMAL(10,2) NOT NULL,
+  counted_unit VARCHAR(30),
+  counted_quantity DECIMAL(10,2),
+  reason VARCHAR(30) NOT NULL,
+  transcript TEXT,
+  user_id VARCHAR(100),
+  zone VARCHAR(100),
+  logged_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (project_id) REFERENCES projects(project_id) ON DELETE CASCADE,
+  FOREIGN KEY (item_id) REFERENCES inventory_items(item_id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_waste_entries_project ON waste_entries(project_id, logged_at);
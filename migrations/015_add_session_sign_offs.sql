@@ -0,0 +1,22 @@
+-- Migration: Count finalize / manager sign-off / reopen
+-- A finalized session is locked; it only takes edits again after a manager reopens it.
+-- Every finalize and reopen is kept in session_sign_offs.
+
+ALTER TABLE count_sessions_v2 ADD COLUMN finalized_by VARCHAR(100);
+ALTER TABLE count_sessions_v2 ADD COLUMN finalized_at TIMESTAMP;
+
+-- action is 'finalize' or 'reopen'; discarded is a JSON array of the unresolved voice commands
+-- thrown away at finalize; snapshot_id is the count history snapshot created (finalize) or removed (reopen)
+CREATE TABLE IF NOT EXISTS session_sign_offs (
+  sign_off_id VARCHAR(36) PRIMARY KEY,
+  session_id VARCHAR(36) NOT NULL,
+  action VARCHAR(20) NOT NULL,
+  signed_by VARCHAR(100) NOT NULL,
+  reason TEXT,
+  discarded TEXT,
+  snapshot_id VARCHAR(36),
+  created_at TIMESTAMP NOT NULL,
+  FOREIGN KEY (session_id) REFERENCES count_sessions_v2(session_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_sign_offs_session ON session_sign_offs(session_id, created_at);
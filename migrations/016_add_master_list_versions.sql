@@ -0,0 +1,21 @@
+-- Migration: Master list versions
+-- Every change to a master list (inventory_lists.version) keeps a copy of its items and a diff
+-- against the previous version (added, removed, renamed, reordered, updated), so lists can be
+-- compared and rolled back and old counts can be read against the list they were taken on.
+
+-- items is a JSON array of items in list order; diff is null for the first recorded version;
+-- restored_version is set when the version is a rollback
+CREATE TABLE IF NOT EXISTS master_list_versions (
+  list_id VARCHAR(36) NOT NULL,
+  version INTEGER NOT NULL,
+  items TEXT NOT NULL,
+  item_count INTEGER NOT NULL DEFAULT 0,
+  diff TEXT,
+  restored_version INTEGER,
+  created_at TIMESTAMP NOT NULL,
+  PRIMARY KEY (list_id, version),
+  FOREIGN KEY (list_id) REFERENCES inventory_lists(list_id) ON DELETE CASCADE
+);
+
+-- Master list version a count session was started on
+ALTER TABLE count_sessions_v2 ADD COLUMN list_version INTEGER;
@@ -0,0 +1,5 @@
+-- Migration: Item SKUs
+-- Master list items are structured ({ id, name, sku, vendor, unit, category, par, cost });
+-- the SKU is the vendor's product code for the item.
+
+ALTER TABLE inventory_items ADD COLUMN sku VARCHAR(50);
@@ -0,0 +1,20 @@
+-- Migration: Master list item merges
+-- Merging near-duplicate items (e.g. "CHICKEN BREAST" and "CHKN BREAST") keeps one surviving item;
+-- the merged items' counts, ledger events, receipts, waste, costs and aliases move to it.
+
+-- merged_items is a JSON array of the removed items [{ itemId, name }]; moved holds how many rows
+-- were re-pointed per table; list_version is the master list version the merge created
+CREATE TABLE IF NOT EXISTS item_merges (
+  merge_id VARCHAR(36) PRIMARY KEY,
+  list_id VARCHAR(36) NOT NULL,
+  survivor_id VARCHAR(36) NOT NULL,
+  survivor_name VARCHAR(255) NOT NULL,
+  merged_items TEXT NOT NULL,
+  moved TEXT,
+  list_version INTEGER NOT NULL,
+  merged_by VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP NOT NULL,
+  FOREIGN KEY (list_id) REFERENCES inventory_lists(list_id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_item_merges_list ON item_merges(list_id, created_at);
@@ -0,0 +1,5 @@
+-- Migration: Archived projects
+-- An archived project (e.g. a closed location) keeps its data but is left out of the project list
+-- and takes no new counts or master list saves until it is restored.
+
+ALTER TABLE projects ADD COLUMN archived_at TIMESTAMP;
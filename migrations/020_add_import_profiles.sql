@@ -0,0 +1,16 @@
+-- Migration: Order guide import profiles
+-- A profile saves how one distributor lays out its order guide (which column holds the SKU, pack,
+-- description, price and category) so the next guide from that vendor imports without re-mapping.
+
+-- profile_key is the lowercased name; columns is a JSON object { field: header name, letter or number };
+-- header_row is 1-based (0 = no header row, null = found from the headers)
+CREATE TABLE IF NOT EXISTS import_profiles (
+  profile_id VARCHAR(36) PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  profile_key VARCHAR(100) NOT NULL UNIQUE,
+  vendor VARCHAR(100),
+  columns TEXT NOT NULL,
+  header_row INTEGER,
+  created_at TIMESTAMP NOT NULL,
+  updated_at TIMESTAMP NOT NULL
+);
@@ -0,0 +1,55 @@
+-- Migration: Removed master list items are kept (tombstoned), not deleted
+-- An item dropped from a master list gets removed_at and keeps its item_id, counts and costs,
+-- so adding it back (or rolling the list back) brings them back with it.
+-- Count totals and costs no longer cascade from inventory_items: an item holding either
+-- cannot be deleted out from under them.
+
+ALTER TABLE inventory_items ADD COLUMN removed_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_inventory_items_removed ON inventory_items(list_id, removed_at);
+
+-- Tables are rebuilt to change their foreign keys (SQLite cannot alter a constraint)
+CREATE TABLE session_totals_new (
+  total_id VARCHAR(36) PRIMARY KEY,
+  session_id VARCHAR(36) NOT NULL,
+  item_id VARCHAR(36) NOT NULL,
+  quantity DECIMAL(10,2) NOT NULL DEFAULT 0,
+  last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (session_id) REFERENCES count_sessions_v2(session_id) ON DELETE CASCADE,
+  FOREIGN KEY (item_id) REFERENCES inventory_items(item_id),
+  UNIQUE(session_id, item_id)
+);
+INSERT INTO session_totals_new (total_id, session_id, item_id, quantity, last_updated)
+  SELECT total_id, session_id, item_id, quantity, last_updated FROM session_totals;
+DROP TABLE session_totals;
+ALTER TABLE session_totals_new RENAME TO session_totals;
+CREATE INDEX IF NOT EXISTS idx_totals_session ON session_totals(session_id);
+
+CREATE TABLE session_zone_totals_new (
+  session_id VARCHAR(36) NOT NULL,
+  item_id VARCHAR(36) NOT NULL,
+  zone VARCHAR(100) NOT NULL DEFAULT '',
+  quantity DECIMAL(10,2) NOT NULL DEFAULT 0,
+  last_updated TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (session_id, item_id, zone),
+  FOREIGN KEY (session_id) REFERENCES count_sessions_v2(session_id) ON DELETE CASCADE,
+  FOREIGN KEY (item_id) REFERENCES inventory_items(item_id)
+);
+INSERT INTO session_zone_totals_new (session_id, item_id, zone, quantity, last_updated)
+  SELECT session_id, item_id, zone, quantity, last_updated FROM session_zone_totals;
+DROP TABLE session_zone_totals;
+ALTER TABLE session_zone_totals_new RENAME TO session_zone_totals;
+
+CREATE TABLE item_costs_new (
+  cost_id VARCHAR(36) PRIMARY KEY,
+  item_id VARCHAR(36) NOT NULL,
+  unit_cost DECIMAL(12,4) NOT NULL,
+  effective_date VARCHAR(10) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (item_id) REFERENCES inventory_items(item_id),
+  UNIQUE(item_id, effective_date)
+);
+INSERT INTO item_costs_new (cost_id, item_id, unit_cost, effective_date, created_at)
+  SELECT cost_id, item_id, unit_cost, effective_date, created_at FROM item_costs;
+DROP TABLE item_costs;
+ALTER TABLE item_costs_new RENAME TO item_costs;
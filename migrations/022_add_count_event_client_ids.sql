@@ -0,0 +1,7 @@
+-- Migration: Client mutation ids on count events
+-- Devices keep mutations they could not send and retry them; the id they generate for each
+-- mutation makes a retry of one the server already applied a no-op instead of a second count.
+
+ALTER TABLE count_events ADD COLUMN client_mutation_id VARCHAR(64);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_count_events_client_mutation ON count_events(session_id, client_mutation_id);
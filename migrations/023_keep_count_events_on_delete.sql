@@ -0,0 +1,43 @@
+-- Migration: The count event ledger is not deleted with its session
+-- count_events referenced count_sessions_v2 with ON DELETE CASCADE, so deleting a list or
+-- project silently took its audit ledger with it. A session with events can no longer be
+-- deleted: lists and projects that were counted are archived, not deleted (see
+-- inventoryStore.deleteInventoryList), and abandoned-session cleanup skips sessions with events.
+
+-- The table is rebuilt to change its foreign key (SQLite cannot alter a constraint)
+CREATE TABLE count_events_new (
+  event_id VARCHAR(36) PRIMARY KEY,
+  session_id VARCHAR(36) NOT NULL,
+  sequence INTEGER NOT NULL,
+  item_id VARCHAR(36) NOT NULL,
+  item_name VARCHAR(255) NOT NULL,
+  operation VARCHAR(10) NOT NULL CHECK(operation IN ('ADD', 'SUBTRACT', 'SET', 'ERASE')),
+  quantity DECIMAL(10,2) NOT NULL DEFAULT 0,
+  previous_quantity DECIMAL(10,2) NOT NULL DEFAULT 0,
+  new_quantity DECIMAL(10,2) NOT NULL DEFAULT 0,
+  transcript TEXT,
+  stt_alternatives TEXT,
+  decision_state VARCHAR(30),
+  resolver_source VARCHAR(30),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  undo_action VARCHAR(10) CHECK(undo_action IN ('undo', 'redo')),
+  target_event_id VARCHAR(36),
+  counted_by VARCHAR(100),
+  zone VARCHAR(100),
+  counted_unit VARCHAR(30),
+  counted_quantity DECIMAL(10,2),
+  client_mutation_id VARCHAR(64),
+  FOREIGN KEY (session_id) REFERENCES count_sessions_v2(session_id),
+  UNIQUE(session_id, sequence)
+);
+INSERT INTO count_events_new (event_id, session_id, sequence, item_id, item_name, operation, quantity,
+    previous_quantity, new_quantity, transcript, stt_alternatives, decision_state, resolver_source, created_at,
+    undo_action, target_event_id, counted_by, zone, counted_unit, counted_quantity, client_mutation_id)
+  SELECT event_id, session_id, sequence, item_id, item_name, operation, quantity,
+    previous_quantity, new_quantity, transcript, stt_alternatives, decision_state, resolver_source, created_at,
+    undo_action, target_event_id, counted_by, zone, counted_unit, counted_quantity, client_mutation_id
+  FROM count_events;
+DROP TABLE count_events;
+ALTER TABLE count_events_new RENAME TO count_events;
+CREATE INDEX IF NOT EXISTS idx_count_events_item ON count_events(session_id, item_id, sequence);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_count_events_client_mutation ON count_events(session_id, client_mutation_id);
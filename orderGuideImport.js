@@ -0,0 +1,300 @@
+// orderGuideImport.js - Distributor order guide (CSV) import into a master list, with preview and per-row validation
+const XLSX = require('xlsx');
+const spreadsheetImport = require('./spreadsheetImport');
+const duplicateFinder = require('./duplicateFinder');
+const units = require('./units');
+const { HttpError } = require('./utils');
+
+// Headers that identify order guide columns when the mapping leaves them out
+const ORDER_GUIDE_HEADERS = {
+  sku: { include: /\bsku\b|\b(item|product)\s*(#|no\b|number\b|code\b)|\bcode\b/i, exclude: /\b(description|name|upc|gtin)\b/i },
+  name: spreadsheetImport.COLUMN_HEADERS.name,
+  pack: { include: /\b(pack|pk|size)\b/i, exclude: /\b(price|cost)\b/i },
+  unit: spreadsheetImport.COLUMN_HEADERS.unit,
+  price: { include: /\b(price|cost)\b/i, exclude: /\b(total|extended|ext)\b/i },
+  category: spreadsheetImport.COLUMN_HEADERS.category
+};
+
+// Similarity a description needs to be taken for an existing item (as in scan-to-master alignment)
+const DEFAULT_THRESHOLD = 0.85;
+
+// Pack words for "each" that are not spoken units
+const COUNT_WORDS = ['ct', 'count'];
+
+/**
+ * Read a pack column ("6/5 LB", "4/1 GAL", "1/10#", "50 LB", "24 CT")
+ * @param {string} text - Pack text
+ * @returns {Object|null} { count, size, unit, quantity } (quantity = base units per case), or null if not understood
+ */
+function parsePack(text) {
+  const pack = String(text || '').toLowerCase().replace(/(\d)\s*#/g, '$1 lb').trim();
+  const match = pack.match(/^(?:(\d+(?:\.\d+)?)\s*\/\s*)?(\d+(?:\.\d+)?)\s*([a-z]+)\.?$/);
+  if (!match) {
+    return null;
+  }
+
+  const unit = COUNT_WORDS.includes(match[3]) ? 'each' : units.normalizeUnit(match[3]);
+  if (!unit) {
+    return null;
+  }
+  const count = match[1] ? Number(match[1]) : 1;
+  const size = Number(match[2]);
+  if (!(count > 0) || !(size > 0)) {
+    return null;
+  }
+  return { count, size, unit, quantity: Math.round(count * size * 10000) / 10000 };
+}
+
+// Money cell ("$1,234.50") as a number; NaN if not a price
+function parsePrice(text) {
+  return Number(text.replace(/[$,\s]/g, ''));
+}
+
+// One order guide row as a master list item, with what is wrong with it (errors skip the row)
+// and what could not be used (warnings)
+function readRow(values, vendor) {
+  const errors = [];
+  const warnings = [];
+
+  const name = values.name;
+  if (!name) {
+    errors.push('Missing item name');
+  } else if (name.length > 255) {
+    errors.push('Item name must be 255 characters or fewer');
+  }
+  if (values.sku.length > 50) {
+    errors.push('SKU must be 50 characters or fewer');
+  }
+  if (values.category.length > 100) {
+    errors.push('Category must be 100 characters or fewer');
+  }
+
+  let price = null;
+  if (values.price) {
+    price = parsePrice(values.price);
+    if (!Number.isFinite(price) || price < 0) {
+      errors.push(`Price "${values.price}" is not a non-negative number`);
+      price = null;
+    }
+  }
+
+  const pack = values.pack ? parsePack(values.pack) : null;
+  if (values.pack && !pack) {
+    warnings.push(`Pack "${values.pack}" not understood`);
+  }
+  // Unit column: the unit the price is quoted in (defaults to the case when there is a pack)
+  let priceUnit = null;
+  if (values.unit) {
+    priceUnit = COUNT_WORDS.includes(values.unit.toLowerCase()) ? 'each' : units.normalizeUnit(values.unit);
+    if (!priceUnit) {
+      warnings.push(`Unit "${values.unit}" not understood`);
+    }
+  }
+
+  const unit = pack ? pack.unit : (priceUnit && priceUnit !== 'case' ? priceUnit : null);
+  let cost = null;
+  if (price !== null) {
+    if (pack && (!priceUnit || priceUnit === 'case')) {
+      cost = Math.round((price / pack.quantity) * 10000) / 10000;
+    } else if (priceUnit === unit || (!pack && !values.unit)) {
+      cost = price;
+    } else {
+      warnings.push(`Price per ${priceUnit || values.unit} cannot be turned into a cost per ${unit || 'unit'}; cost not set`);
+    }
+  }
+
+  return {
+    item: {
+      name,
+      sku: values.sku || null,
+      vendor: vendor || null,
+      unit,
+      category: values.category || null,
+      cost
+    },
+    pack,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * Read an order guide with a column mapping. Columns the mapping leaves out are found by their
+ * header ("Item #", "Pack", "Description", "Price", "Category"...); the item name column is required.
+ * Prices are per case when the guide has a pack size (or the unit column says case) and are
+ * converted to a cost per base unit: "6/5 LB" at $45.00 is pound at $1.50.
+ * @param {Buffer} buffer - CSV (or workbook) contents
+ * @param {Object} mapping - { vendor, columns: { sku, name, pack, unit, price, category }, headerRow } (see importProfileStore.validateMapping)
+ * @returns {Object} { headerRow, columns: { field: letter }, rows: [{ row, values, item, pack, errors, warnings }] }
+ *   (row is the sheet row number; blank rows are left out)
+ * @throws {HttpError} 400 if the file cannot be read or a mapped column does not exist
+ */
+function readOrderGuide(buffer, mapping) {
+  const { rows } = spreadsheetImport.readSheet(buffer, { raw: true });
+  const headerIndex = spreadsheetImport.findHeaderRow(rows, mapping.headerRow);
+  const headers = headerIndex >= 0 ? rows[headerIndex].map(spreadsheetImport.cellText) : [];
+
+  const columns = {};
+  Object.entries(ORDER_GUIDE_HEADERS).forEach(([field, rule]) => {
+    const spec = mapping.columns[field];
+    let column = spec
+      ? spreadsheetImport.resolveColumn(spec, headers, field)
+      : headers.findIndex(header => spreadsheetImport.matchesHeader(header, rule));
+    // A header taken by an earlier field ("Item #" as the SKU) is not used again
+    if (!spec && Object.values(columns).includes(column)) {
+      column = headers.findIndex((header, c) => spreadsheetImport.matchesHeader(header, rule) && !Object.values(columns).includes(c));
+    }
+    if (column >= 0) {
+      columns[field] = column;
+    }
+  });
+  if (columns.name === undefined) {
+    throw new HttpError(400, 'No item name column found; map one with columns.name');
+  }
+
+  const guideRows = [];
+  for (let r = headerIndex + 1; r < rows.length; r++) {
+    const cells = rows[r];
+    if (!cells.some(cell => spreadsheetImport.cellText(cell))) {
+      continue;
+    }
+    const values = {};
+    Object.keys(ORDER_GUIDE_HEADERS).forEach(field => {
+      values[field] = columns[field] === undefined ? '' : spreadsheetImport.cellText(cells[columns[field]]);
+    });
+    if (headerIndex >= 0 && values.name === headers[columns.name]) {
+      continue;
+    }
+    guideRows.push({ row: r + 1, values, ...readRow(values, mapping.vendor) });
+  }
+
+  const letters = {};
+  Object.entries(columns).forEach(([field, column]) => {
+    letters[field] = XLSX.utils.encode_col(column);
+  });
+  return { headerRow: headerIndex >= 0 ? headerIndex + 1 : null, columns: letters, rows: guideRows };
+}
+
+// Existing item a row is for: same SKU, same name, or a name at least threshold alike
+function findMatch(item, listItems, threshold) {
+  if (item.sku) {
+    const bySku = listItems.find(listItem => listItem.sku && listItem.sku.toLowerCase() === item.sku.toLowerCase());
+    if (bySku) {
+      return { item: bySku, matchType: 'sku', similarity: 1 };
+    }
+  }
+
+  const name = item.name.toLowerCase();
+  const byName = listItems.find(listItem => listItem.name.toLowerCase() === name);
+  if (byName) {
+    return { item: byName, matchType: 'exact', similarity: 1 };
+  }
+
+  const normalized = duplicateFinder.normalizeName(item.name);
+  let best = null;
+  listItems.forEach(listItem => {
+    const similarity = duplicateFinder.calculateSimilarity(normalized, duplicateFinder.normalizeName(listItem.name));
+    if (similarity >= threshold && (!best || similarity > best.similarity)) {
+      best = { item: listItem, matchType: 'fuzzy', similarity: Math.round(similarity * 1000) / 1000 };
+    }
+  });
+  return best;
+}
+
+/**
+ * Plan merging an order guide into a master list. A row for an existing item (matched by SKU, name,
+ * or a name at least threshold alike - see duplicateFinder.calculateSimilarity) fills the fields the item
+ * has no value for and updates its cost; any other row adds an item. Rows with errors, and rows
+ * matching an item or name an earlier row already took, are skipped.
+ * @param {Array<Object>} rows - Rows from readOrderGuide
+ * @param {Array<Object>} listItems - Current master list items (see inventoryStore.getInventoryList), or [] for a new list
+ * @param {Map} costs - Current costs by item id (see itemCostStore.getCostsOn)
+ * @param {Object} options - { threshold } (default 0.85)
+ * @returns {Object} { rows: [{ row, status, item, match, changes, errors, warnings }], summary }
+ *   (status: add, update, unchanged or error; changes are the fields an update sets)
+ */
+function planImport(rows, listItems, costs, options = {}) {
+  const threshold = options.threshold === undefined ? DEFAULT_THRESHOLD : options.threshold;
+  const claimed = new Map();
+  const added = new Map();
+
+  const planned = rows.map(row => {
+    const result = { row: row.row, status: 'error', item: row.item, match: null, changes: {}, errors: [...row.errors], warnings: [...row.warnings] };
+    if (result.errors.length > 0) {
+      return result;
+    }
+
+    const match = findMatch(row.item, listItems, threshold);
+    if (match) {
+      result.match = { itemId: match.item.itemId, name: match.item.name, matchType: match.matchType, similarity: match.similarity };
+      if (claimed.has(match.item.itemId)) {
+        result.errors.push(`Matches "${match.item.name}", already matched by row ${claimed.get(match.item.itemId)}`);
+        return result;
+      }
+      claimed.set(match.item.itemId, row.row);
+
+      const existing = match.item;
+      const fill = { sku: 'sku', vendor: 'vendor', category: 'category', unit: 'baseUnit' };
+      Object.entries(fill).forEach(([field, itemField]) => {
+        if (row.item[field] && existing[itemField] === null) {
+          result.changes[field] = row.item[field];
+        }
+      });
+      if (row.item.cost !== null) {
+        const current = costs.get(existing.itemId);
+        if (existing.baseUnit && row.item.unit && existing.baseUnit !== row.item.unit) {
+          result.warnings.push(`"${existing.name}" is counted in ${existing.baseUnit}, not ${row.item.unit}; cost not updated`);
+        } else if (!current || current.unitCost !== row.item.cost) {
+          result.changes.cost = row.item.cost;
+        }
+      }
+      result.status = Object.keys(result.changes).length > 0 ? 'update' : 'unchanged';
+      return result;
+    }
+
+    const key = row.item.name.toLowerCase();
+    if (added.has(key)) {
+      result.errors.push(`Duplicate of row ${added.get(key)}`);
+      return result;
+    }
+    added.set(key, row.row);
+    result.status = 'add';
+    return result;
+  });
+
+  const summary = { rows: planned.length, add: 0, update: 0, unchanged: 0, error: 0 };
+  planned.forEach(row => { summary[row.status]++; });
+  return { rows: planned, summary };
+}
+
+/**
+ * Master list items to save for a plan (see projectStore.saveMasterList): every current item by id,
+ * with the plan's changes, then the added items
+ * @param {Object} plan - Plan from planImport
+ * @param {Array<Object>} listItems - Current master list items
+ * @returns {Array<Object>} Structured items (see masterListItems.normalizeItems)
+ */
+function toMasterListItems(plan, listItems) {
+  const changes = new Map();
+  plan.rows.filter(row => row.status === 'update').forEach(row => changes.set(row.match.itemId, row.changes));
+
+  const items = listItems.map(item => ({ id: item.itemId, name: item.name, ...(changes.get(item.itemId) || {}) }));
+  plan.rows.filter(row => row.status === 'add').forEach(row => {
+    const item = { name: row.item.name };
+    ['sku', 'vendor', 'unit', 'category', 'cost'].forEach(field => {
+      if (row.item[field] !== null) {
+        item[field] = row.item[field];
+      }
+    });
+    items.push(item);
+  });
+  return items;
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  parsePack,
+  readOrderGuide,
+  planImport,
+  toMasterListItems
+};
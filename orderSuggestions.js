@@ -0,0 +1,130 @@
+// orderSuggestions.js - Suggested order per vendor from a finalized count and the items' par levels
+const { toCSV } = require('./utils');
+
+const UNASSIGNED_VENDOR = 'Unassigned';
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// The pack an item is ordered in: its largest pack size (a case over a sleeve), or single base units
+function orderPack(item) {
+  const packs = Object.entries(item.packSizes || {}).sort((a, b) => b[1] - a[1]);
+  return packs.length > 0 ? { unit: packs[0][0], size: packs[0][1] } : null;
+}
+
+/**
+ * Work out what to order after a count.
+ * Needed = par level - on hand, rounded up to whole packs (see orderPack).
+ * Items above their reorder point are not ordered yet (at or below it they are); items without a par level,
+ * or not counted in the snapshot, are skipped.
+ * @param {Object} snapshot - Finalized count (see countHistoryStore.getSnapshot)
+ * @param {Array<Object>} items - Current master list items (see inventoryStore.getInventoryList)
+ * @returns {Object} { count, summary, vendors: [{ vendor, items, itemCount }] }
+ */
+function buildOrderSuggestions(snapshot, items) {
+  const countedById = new Map(snapshot.items.map(counted => [counted.itemId, counted]));
+  const countedByName = new Map(snapshot.items.map(counted => [counted.item.toLowerCase(), counted]));
+  const vendors = new Map();
+  let notCountedCount = 0;
+
+  items
+    .filter(item => item.parLevel !== null)
+    .forEach(item => {
+      const counted = countedById.get(item.itemId) || countedByName.get(item.name.toLowerCase());
+      if (!counted) {
+        notCountedCount++;
+        return;
+      }
+
+      const onHand = counted.quantity;
+      if (item.reorderPoint !== null && onHand > item.reorderPoint) {
+        return;
+      }
+      const needed = round2(item.parLevel - onHand);
+      if (needed <= 0) {
+        return;
+      }
+
+      const pack = orderPack(item);
+      const packs = pack ? Math.ceil(needed / pack.size) : null;
+      const vendor = item.vendor || UNASSIGNED_VENDOR;
+      if (!vendors.has(vendor)) {
+        vendors.set(vendor, []);
+      }
+      vendors.get(vendor).push({
+        itemId: item.itemId,
+        item: item.name,
+        baseUnit: item.baseUnit || 'each',
+        onHand,
+        parLevel: item.parLevel,
+        reorderPoint: item.reorderPoint,
+        needed,
+        orderUnit: pack ? pack.unit : item.baseUnit || 'each',
+        packSize: pack ? pack.size : 1,
+        packs: pack ? packs : Math.ceil(needed),
+        orderQuantity: pack ? round2(packs * pack.size) : Math.ceil(needed)
+      });
+    });
+
+  // Named vendors alphabetically, items without a vendor last
+  const vendorNames = [...vendors.keys()].sort((a, b) => {
+    if (a === UNASSIGNED_VENDOR) return 1;
+    if (b === UNASSIGNED_VENDOR) return -1;
+    return a.localeCompare(b);
+  });
+
+  return {
+    count: {
+      snapshotId: snapshot.snapshotId,
+      countedAt: snapshot.countedAt,
+      listVersion: snapshot.listVersion
+    },
+    summary: {
+      vendorCount: vendorNames.length,
+      itemCount: vendorNames.reduce((sum, vendor) => sum + vendors.get(vendor).length, 0),
+      notCountedCount
+    },
+    vendors: vendorNames.map(vendor => ({
+      vendor,
+      items: vendors.get(vendor),
+      itemCount: vendors.get(vendor).length
+    }))
+  };
+}
+
+/**
+ * Render order suggestions as CSV, one row per item grouped by vendor
+ * @param {Object} suggestions - Result of buildOrderSuggestions
+ * @returns {string} CSV text
+ */
+function orderSuggestionsToCSV(suggestions) {
+  const header = [
+    'Vendor', 'ItemName', 'OnHand', 'ParLevel', 'ReorderPoint', 'Needed', 'BaseUnit',
+    'OrderQuantity', 'OrderUnit', 'PackSize', 'TotalBaseUnits'
+  ];
+  const rows = [];
+  suggestions.vendors.forEach(group => {
+    group.items.forEach(item => {
+      rows.push([
+        group.vendor,
+        item.item,
+        item.onHand,
+        item.parLevel,
+        item.reorderPoint,
+        item.needed,
+        item.baseUnit,
+        item.packs,
+        item.orderUnit,
+        item.packSize,
+        item.orderQuantity
+      ]);
+    });
+  });
+  return toCSV(header, rows);
+}
+
+module.exports = {
+  buildOrderSuggestions,
+  orderSuggestionsToCSV
+};
@@ -0,0 +1,666 @@
+// projectStore.js - Project, master list, alias and live count persistence
+const { v4: uuidv4 } = require('uuid');
+const database = require('./database');
+const inventoryStore = require('./inventoryStore');
+const sessionStore = require('./sessionStore');
+const itemCostStore = require('./itemCostStore');
+const masterListItems = require('./masterListItems');
+const { toIso, HttpError } = require('./utils');
+
+/**
+ * Derive the stable project key (matches the old data/projects directory name)
+ * @param {string} projectName - Project name as entered by the user
+ * @returns {string} Project key
+ */
+function projectKey(projectName) {
+  return projectName.replace(/\s+/g, '_');
+}
+
+/**
+ * Find a project by name
+ * @param {string} projectName - Project name
+ * @param {Function} q - Query function (defaults to database.query)
+ * @returns {Promise<Object|null>} Project row or null
+ */
+async function findProject(projectName, q = database.query) {
+  const rows = await q(
+    'SELECT project_id, project_name, project_key, archived_at, created_at, updated_at FROM projects WHERE project_key = ?',
+    [projectKey(projectName)]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Find a project by name, creating it if it does not exist
+ * @param {string} projectName - Project name
+ * @param {Function} q - Query function (defaults to database.query)
+ * @returns {Promise<Object>} Project row
+ */
+async function ensureProject(projectName, q = database.query) {
+  const now = new Date().toISOString();
+  await q(
+    'INSERT OR IGNORE INTO projects (project_id, project_name, project_key, created_at, updated_at) VALUES (?, ?, ?, ?, ?)',
+    [uuidv4(), projectName, projectKey(projectName), now, now]
+  );
+  return findProject(projectName, q);
+}
+
+// ============================================================================
+// MASTER LISTS (stored as the project's inventory list, see inventoryStore.js)
+// ============================================================================
+
+/**
+ * Save (replace) a project's master list, creating the project if needed.
+ * Items saved with their id, or under the same name, keep their item_id.
+ * @param {string} projectName - Project name
+ * @param {Array<string|Object>} items - Item names and/or { id, name, sku, vendor, unit, category, par, cost }
+ *   (see masterListItems.normalizeItems)
+ * @param {Object} options - { createdAt } to preserve an imported timestamp
+ * @returns {Promise<Object>} { projectName, items, createdAt, itemCount, version, diff }
+ *   (diff against the previous version, see masterListVersionStore.diffItems; null for a new list or an unchanged save)
+ */
+async function saveMasterList(projectName, items, options = {}) {
+  const createdAt = options.createdAt || new Date().toISOString();
+
+  return database.transaction(async (q) => {
+    const project = await ensureProject(projectName, q);
+    assertWritable(project);
+
+    await q(
+      'UPDATE projects SET project_name = ?, updated_at = ? WHERE project_id = ?',
+      [projectName, createdAt, project.project_id]
+    );
+
+    const list = await inventoryStore.getProjectList(project.project_id, q);
+    let version = 1;
+    let diff = null;
+    if (list) {
+      await q('UPDATE inventory_lists SET name = ? WHERE list_id = ?', [projectName, list.listId]);
+      const saved = await inventoryStore.syncListItems(q, list.listId, items, createdAt);
+      version = saved ? saved.version : list.version;
+      diff = saved ? saved.diff : null;
+    } else {
+      await inventoryStore.createInventoryList({ name: projectName, projectId: project.project_id, items, createdAt }, q);
+    }
+
+    return { projectName, items, createdAt, itemCount: items.length, version, diff };
+  });
+}
+
+/**
+ * Load a project's master list
+ * @param {string} projectName - Project name
+ * @returns {Promise<Object|null>} { projectName, listId, version, items, units, categories, createdAt, itemCount, archivedAt } or null
+ *   (items: [{ id, name, sku, vendor, unit, category, par, cost }] with today's cost, see masterListItems.fromListItem;
+ *   units: { item: { baseUnit, packSizes } } for items with a unit set, categories: { item: category } for items with one)
+ */
+async function getMasterList(projectName) {
+  const project = await findProject(projectName);
+  const list = project && await inventoryStore.getProjectList(project.project_id);
+  if (!list) {
+    return null;
+  }
+
+  const costs = await itemCostStore.getCostsOn(list.listId, new Date().toISOString().substring(0, 10));
+  const units = {};
+  const categories = {};
+  list.items.forEach(item => {
+    if (item.baseUnit || Object.keys(item.packSizes).length > 0) {
+      units[item.name] = { baseUnit: item.baseUnit, packSizes: item.packSizes };
+    }
+    if (item.category) {
+      categories[item.name] = item.category;
+    }
+  });
+
+  return {
+    projectName: project.project_name,
+    listId: list.listId,
+    version: list.version,
+    items: list.items.map(item => masterListItems.fromListItem(item, costs.get(item.itemId))),
+    units,
+    categories,
+    createdAt: list.updatedAt,
+    itemCount: list.itemCount,
+    archivedAt: toIso(project.archived_at)
+  };
+}
+
+/**
+ * List projects that have a saved master list, most recent first
+ * @param {Object} filter - { archived: true } to list archived projects instead of active ones
+ * @returns {Promise<Array<Object>>} [{ name, itemCount, createdAt, archivedAt }]
+ */
+async function listProjects(filter = {}) {
+  const rows = await database.query(
+    `SELECT p.project_name, p.archived_at, l.updated_at,
+       (SELECT COUNT(*) FROM inventory_items i WHERE i.list_id = l.list_id AND i.removed_at IS NULL) AS item_count
+     FROM inventory_lists l JOIN projects p ON p.project_id = l.project_id
+     WHERE p.archived_at IS ${filter.archived ? 'NOT NULL' : 'NULL'}
+     ORDER BY l.updated_at DESC`
+  );
+
+  return rows.map(row => ({
+    name: row.project_name,
+    itemCount: Number(row.item_count),
+    createdAt: toIso(row.updated_at),
+    archivedAt: toIso(row.archived_at)
+  }));
+}
+
+/**
+ * Move master lists saved as JSON in project_master_lists (migration 002)
+ * into inventory lists. Runs at startup; a no-op once nothing is left.
+ * @returns {Promise<number>} Number of master lists moved
+ */
+async function upgradeLegacyMasterLists() {
+  const rows = await database.query(
+    `SELECT p.project_name, m.items, m.created_at
+     FROM project_master_lists m JOIN projects p ON p.project_id = m.project_id
+     WHERE NOT EXISTS (SELECT 1 FROM inventory_lists l WHERE l.project_id = m.project_id)`
+  );
+
+  for (const row of rows) {
+    await saveMasterList(row.project_name, JSON.parse(row.items), { createdAt: toIso(row.created_at) });
+  }
+  if (rows.length > 0) {
+    await database.query('DELETE FROM project_master_lists');
+    console.log(`✓ Moved ${rows.length} master list(s) into inventory lists`);
+  }
+
+  return rows.length;
+}
+
+// ============================================================================
+// PROJECT LIFECYCLE (rename, clone, archive, delete)
+// ============================================================================
+
+function archivedMessage(projectName) {
+  return `Project "${projectName}" is archived; restore it first`;
+}
+
+/**
+ * Refuse changes to an archived project: it is read-only until restored
+ * @param {Object} project - Project row (see findProject)
+ * @throws {HttpError} 409 if the project is archived
+ */
+function assertWritable(project) {
+  if (project.archived_at) {
+    throw new HttpError(409, archivedMessage(project.project_name));
+  }
+}
+
+/**
+ * Refuse changes to an inventory list whose project is archived
+ * @param {string} listId - List id
+ * @param {Function} q - Query function (defaults to database.query)
+ * @throws {HttpError} 409 if the list belongs to an archived project
+ */
+async function assertListWritable(listId, q = database.query) {
+  const rows = await q(
+    `SELECT p.project_name, p.archived_at FROM inventory_lists l
+     JOIN projects p ON p.project_id = l.project_id
+     WHERE l.list_id = ?`,
+    [listId]
+  );
+  if (rows.length > 0) {
+    assertWritable(rows[0]);
+  }
+}
+
+// The project named newName must not exist yet (a project may take a new spelling of its own name)
+async function assertNameFree(q, newName, projectId) {
+  const existing = await findProject(newName, q);
+  if (existing && existing.project_id !== projectId) {
+    throw new HttpError(409, `A project named "${existing.project_name}" already exists`);
+  }
+}
+
+/**
+ * Rename a project. Its master list, aliases, zones, autosaves, counts and history stay attached.
+ * @param {string} projectName - Current project name
+ * @param {string} newName - New project name
+ * @returns {Promise<Object|null>} { projectName, previousName } or null if project missing
+ * @throws {HttpError} 409 if the project is archived, or another project already has the new name
+ */
+async function renameProject(projectName, newName) {
+  return database.transaction(async (q) => {
+    const project = await findProject(projectName, q);
+    if (!project) {
+      return null;
+    }
+    assertWritable(project);
+    await assertNameFree(q, newName, project.project_id);
+
+    await q(
+      'UPDATE projects SET project_name = ?, project_key = ?, updated_at = ? WHERE project_id = ?',
+      [newName, projectKey(newName), new Date().toISOString(), project.project_id]
+    );
+    await q('UPDATE inventory_lists SET name = ? WHERE project_id = ?', [newName, project.project_id]);
+
+    return { projectName: newName, previousName: project.project_name };
+  });
+}
+
+/**
+ * Create a new project from an existing one as a template: its master list (see
+ * inventoryStore.cloneInventoryList), zones and project aliases are copied. Counts, autosaves,
+ * receiving and waste are not.
+ * @param {string} projectName - Project to copy
+ * @param {string} newName - Name of the new project
+ * @returns {Promise<Object|null>} { projectName, sourceName, itemCount, zoneCount, aliasCount } or null if project missing
+ * @throws {HttpError} 409 if the project is archived, or a project already has the new name
+ */
+async function cloneProject(projectName, newName) {
+  return database.transaction(async (q) => {
+    const source = await findProject(projectName, q);
+    if (!source) {
+      return null;
+    }
+    assertWritable(source);
+    await assertNameFree(q, newName, null);
+    const project = await ensureProject(newName, q);
+
+    const list = await inventoryStore.getProjectList(source.project_id, q);
+    const copy = list
+      ? await inventoryStore.cloneInventoryList(list.listId, { name: newName, projectId: project.project_id }, q)
+      : null;
+
+    const now = new Date().toISOString();
+    const zones = await q('SELECT name, position FROM project_zones WHERE project_id = ?', [source.project_id]);
+    for (const zone of zones) {
+      await q(
+        'INSERT INTO project_zones (zone_id, project_id, name, position, created_at) VALUES (?, ?, ?, ?, ?)',
+        [uuidv4(), project.project_id, zone.name, zone.position, now]
+      );
+    }
+
+    const aliases = await q('SELECT canonical_item, alias FROM project_aliases WHERE project_id = ?', [source.project_id]);
+    for (const alias of aliases) {
+      await q(
+        'INSERT INTO project_aliases (project_id, canonical_item, alias, updated_at) VALUES (?, ?, ?, ?)',
+        [project.project_id, alias.canonical_item, alias.alias, now]
+      );
+    }
+
+    return {
+      projectName: newName,
+      sourceName: source.project_name,
+      itemCount: copy ? copy.itemCount : 0,
+      zoneCount: zones.length,
+      aliasCount: aliases.length
+    };
+  });
+}
+
+/**
+ * Archive a project (e.g. a closed location), or restore an archived one. An archived project is
+ * read-only (see assertWritable) until it is restored.
+ * @param {string} projectName - Project name
+ * @param {boolean} archived - True to archive, false to restore
+ * @returns {Promise<Object|null>} { projectName, archivedAt } or null if project missing
+ * @throws {HttpError} 409 if the project is already in that state, or a count is open on its master list
+ */
+async function setProjectArchived(projectName, archived) {
+  return database.transaction(async (q) => {
+    const project = await findProject(projectName, q);
+    if (!project) {
+      return null;
+    }
+    if (!!project.archived_at === archived) {
+      throw new HttpError(409, `Project "${project.project_name}" is ${archived ? 'already' : 'not'} archived`);
+    }
+
+    const list = await inventoryStore.getProjectList(project.project_id, q);
+    if (archived && list && await sessionStore.findOpenSession(list.listId, q)) {
+      throw new HttpError(409, 'Finish or close the open count before archiving the project');
+    }
+
+    const now = new Date().toISOString();
+    const archivedAt = archived ? now : null;
+    await q(
+      'UPDATE projects SET archived_at = ?, updated_at = ? WHERE project_id = ?',
+      [archivedAt, now, project.project_id]
+    );
+
+    return { projectName: project.project_name, archivedAt };
+  });
+}
+
+/**
+ * Delete an archived project with everything saved under it: master list and its versions,
+ * aliases, zones, autosaves, count sessions, count history, receiving and waste. A project whose
+ * list has recorded count events stays archived instead (see inventoryStore.deleteInventoryList).
+ * @param {string} projectName - Project name
+ * @returns {Promise<boolean|null>} True if deleted, null if project missing
+ * @throws {HttpError} 409 if the project is not archived or has been counted
+ */
+async function deleteProject(projectName) {
+  return database.transaction(async (q) => {
+    const project = await findProject(projectName, q);
+    if (!project) {
+      return null;
+    }
+    if (!project.archived_at) {
+      throw new HttpError(409, `Archive project "${project.project_name}" before deleting it`);
+    }
+
+    // The master list goes with its items, costs, versions, sessions and merges; the rest cascades from the project
+    const list = await inventoryStore.getProjectList(project.project_id, q);
+    if (list) {
+      await inventoryStore.deleteInventoryList(list.listId, q);
+    }
+    const result = await q('DELETE FROM projects WHERE project_id = ?', [project.project_id]);
+    return !!result[0]?.changes;
+  });
+}
+
+// ============================================================================
+// ALIASES ({ canonicalItem: [alias, ...] })
+// ============================================================================
+
+// Group alias rows into the { canonicalItem: [alias, ...] } shape the client uses
+function groupAliasRows(rows) {
+  const aliases = {};
+  let updatedAt = null;
+
+  rows.forEach(row => {
+    if (!aliases[row.canonical_item]) {
+      aliases[row.canonical_item] = [];
+    }
+    aliases[row.canonical_item].push(row.alias);
+
+    const rowUpdatedAt = toIso(row.updated_at);
+    if (!updatedAt || rowUpdatedAt > updatedAt) {
+      updatedAt = rowUpdatedAt;
+    }
+  });
+
+  return { aliases, updatedAt };
+}
+
+// Flatten { canonicalItem: [alias, ...] } into [canonicalItem, alias] pairs
+function flattenAliases(aliases) {
+  const pairs = [];
+  Object.entries(aliases).forEach(([canonicalItem, list]) => {
+    const values = Array.isArray(list) ? list : [list];
+    values
+      .filter(alias => typeof alias === 'string' && alias.trim())
+      .forEach(alias => pairs.push([canonicalItem, alias]));
+  });
+  return pairs;
+}
+
+/**
+ * Load global aliases
+ * @returns {Promise<Object>} { aliases, updatedAt }
+ */
+async function getGlobalAliases() {
+  const rows = await database.query(
+    'SELECT canonical_item, alias, updated_at FROM global_aliases ORDER BY canonical_item, updated_at'
+  );
+  return groupAliasRows(rows);
+}
+
+/**
+ * Replace all global aliases
+ * @param {Object} aliases - { canonicalItem: [alias, ...] }
+ * @returns {Promise<Object>} { aliases, updatedAt }
+ */
+async function replaceGlobalAliases(aliases) {
+  const updatedAt = new Date().toISOString();
+
+  await database.transaction(async (q) => {
+    await q('DELETE FROM global_aliases');
+    for (const [canonicalItem, alias] of flattenAliases(aliases)) {
+      await q(
+        'INSERT OR IGNORE INTO global_aliases (canonical_item, alias, updated_at) VALUES (?, ?, ?)',
+        [canonicalItem, alias, updatedAt]
+      );
+    }
+  });
+
+  return { aliases, updatedAt };
+}
+
+/**
+ * Add aliases for one canonical item, keeping existing ones
+ * @param {string} canonicalItem - Master list item name
+ * @param {Array<string>} aliases - Aliases to add
+ * @returns {Promise<Array<string>>} Aliases that were not already saved
+ */
+async function addGlobalAliases(canonicalItem, aliases) {
+  const updatedAt = new Date().toISOString();
+
+  return database.transaction(async (q) => {
+    const existing = await q(
+      'SELECT alias FROM global_aliases WHERE canonical_item = ?',
+      [canonicalItem]
+    );
+    const existingSet = new Set(existing.map(row => row.alias));
+    const added = [];
+
+    for (const alias of aliases) {
+      if (existingSet.has(alias)) {
+        continue;
+      }
+      await q(
+        'INSERT OR IGNORE INTO global_aliases (canonical_item, alias, updated_at) VALUES (?, ?, ?)',
+        [canonicalItem, alias, updatedAt]
+      );
+      existingSet.add(alias);
+      added.push(alias);
+    }
+
+    return added;
+  });
+}
+
+/**
+ * Load project-specific aliases
+ * @param {string} projectName - Project name
+ * @returns {Promise<Object>} { projectName, aliases, updatedAt }
+ */
+async function getProjectAliases(projectName) {
+  const rows = await database.query(
+    `SELECT a.canonical_item, a.alias, a.updated_at
+     FROM project_aliases a JOIN projects p ON p.project_id = a.project_id
+     WHERE p.project_key = ?
+     ORDER BY a.canonical_item, a.updated_at`,
+    [projectKey(projectName)]
+  );
+  return { projectName, ...groupAliasRows(rows) };
+}
+
+/**
+ * Replace project-specific aliases
+ * @param {string} projectName - Project name (must already exist)
+ * @param {Object} aliases - { canonicalItem: [alias, ...] }
+ * @returns {Promise<Object|null>} { projectName, aliases, updatedAt } or null if project missing
+ * @throws {HttpError} 409 if the project is archived
+ */
+async function replaceProjectAliases(projectName, aliases) {
+  const updatedAt = new Date().toISOString();
+
+  return database.transaction(async (q) => {
+    const project = await findProject(projectName, q);
+    if (!project) {
+      return null;
+    }
+    assertWritable(project);
+
+    await q('DELETE FROM project_aliases WHERE project_id = ?', [project.project_id]);
+    for (const [canonicalItem, alias] of flattenAliases(aliases)) {
+      await q(
+        'INSERT OR IGNORE INTO project_aliases (project_id, canonical_item, alias, updated_at) VALUES (?, ?, ?, ?)',
+        [project.project_id, canonicalItem, alias, updatedAt]
+      );
+    }
+
+    return { projectName, aliases, updatedAt };
+  });
+}
+
+// ============================================================================
+// ZONES (where items are counted: walk-in, freezer, line...)
+// ============================================================================
+
+/**
+ * Load a project's zones in display order
+ * @param {string} projectName - Project name
+ * @param {Function} q - Query function (defaults to database.query)
+ * @returns {Promise<Array<string>|null>} Zone names or null if project missing
+ */
+async function getZones(projectName, q = database.query) {
+  const project = await findProject(projectName, q);
+  if (!project) {
+    return null;
+  }
+
+  const rows = await q(
+    'SELECT name FROM project_zones WHERE project_id = ? ORDER BY position',
+    [project.project_id]
+  );
+  return rows.map(row => row.name);
+}
+
+/**
+ * Replace a project's zones. Counts already taken in a removed zone keep its name.
+ * @param {string} projectName - Project name (must already exist)
+ * @param {Array<string>} zones - Zone names in display order
+ * @returns {Promise<Array<string>|null>} Saved zone names or null if project missing
+ * @throws {HttpError} 409 if the project is archived
+ */
+async function replaceZones(projectName, zones) {
+  if (!Array.isArray(zones)) {
+    throw new HttpError(400, 'zones must be an array of names');
+  }
+
+  const names = zones.map(zone => (typeof zone === 'string' ? zone.trim() : ''));
+  const seen = new Set();
+  names.forEach(name => {
+    if (!name || name.length > 100) {
+      throw new HttpError(400, 'Zone names must be 1-100 characters');
+    }
+    if (seen.has(name.toLowerCase())) {
+      throw new HttpError(409, `Duplicate zone name: "${name}"`);
+    }
+    seen.add(name.toLowerCase());
+  });
+
+  return database.transaction(async (q) => {
+    const project = await findProject(projectName, q);
+    if (!project) {
+      return null;
+    }
+    assertWritable(project);
+
+    await q('DELETE FROM project_zones WHERE project_id = ?', [project.project_id]);
+    for (let position = 0; position < names.length; position++) {
+      await q(
+        'INSERT INTO project_zones (zone_id, project_id, name, position, created_at) VALUES (?, ?, ?, ?, ?)',
+        [uuidv4(), project.project_id, names[position], position, new Date().toISOString()]
+      );
+    }
+
+    return names;
+  });
+}
+
+// ============================================================================
+// LIVE COUNT SAVES
+// ============================================================================
+
+/**
+ * Save Live Count state ('autosave' or 'manual'), replacing the previous one
+ * @param {string} projectName - Project name
+ * @param {string} saveType - 'autosave' or 'manual'
+ * @param {Object} state - { masterList, counts, zoneCounts, timestamp, savedAt }
+ * @returns {Promise<Object>} { projectName, masterList, counts, zoneCounts, timestamp, savedAt }
+ * @throws {HttpError} 409 if the project is archived
+ */
+async function saveLiveCount(projectName, saveType, state) {
+  const savedAt = state.savedAt || new Date().toISOString();
+
+  await database.transaction(async (q) => {
+    const project = await ensureProject(projectName, q);
+    assertWritable(project);
+    await q(
+      `INSERT INTO live_count_saves (project_id, save_type, master_list, counts, zone_counts, client_timestamp, saved_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT (project_id, save_type) DO UPDATE SET master_list = excluded.master_list, counts = excluded.counts,
+         zone_counts = excluded.zone_counts, client_timestamp = excluded.client_timestamp, saved_at = excluded.saved_at`,
+      [
+        project.project_id,
+        saveType,
+        JSON.stringify(state.masterList || null),
+        JSON.stringify(state.counts || null),
+        JSON.stringify(state.zoneCounts || null),
+        state.timestamp || null,
+        savedAt
+      ]
+    );
+  });
+
+  return {
+    projectName,
+    masterList: state.masterList,
+    counts: state.counts,
+    zoneCounts: state.zoneCounts || null,
+    timestamp: state.timestamp,
+    savedAt
+  };
+}
+
+/**
+ * Load saved Live Count state
+ * @param {string} projectName - Project name
+ * @param {string} saveType - 'autosave' or 'manual'
+ * @returns {Promise<Object|null>} { projectName, masterList, counts, zoneCounts, timestamp, savedAt } or null
+ */
+async function getLiveCount(projectName, saveType) {
+  const rows = await database.query(
+    `SELECT p.project_name, s.master_list, s.counts, s.zone_counts, s.client_timestamp, s.saved_at
+     FROM live_count_saves s JOIN projects p ON p.project_id = s.project_id
+     WHERE p.project_key = ? AND s.save_type = ?`,
+    [projectKey(projectName), saveType]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return {
+    projectName: rows[0].project_name,
+    masterList: JSON.parse(rows[0].master_list),
+    counts: JSON.parse(rows[0].counts),
+    zoneCounts: rows[0].zone_counts ? JSON.parse(rows[0].zone_counts) : null,
+    timestamp: rows[0].client_timestamp,
+    savedAt: toIso(rows[0].saved_at)
+  };
+}
+
+module.exports = {
+  projectKey,
+  findProject,
+  ensureProject,
+  saveMasterList,
+  getMasterList,
+  listProjects,
+  upgradeLegacyMasterLists,
+  renameProject,
+  cloneProject,
+  setProjectArchived,
+  assertWritable,
+  assertListWritable,
+  deleteProject,
+  getGlobalAliases,
+  replaceGlobalAliases,
+  addGlobalAliases,
+  getProjectAliases,
+  replaceProjectAliases,
+  getZones,
+  replaceZones,
+  saveLiveCount,
+  getLiveCount
+};
@@ -0,0 +1,145 @@
+// receivingStore.js - Receiving log: deliveries per master list item (for actual-usage reports)
+const { v4: uuidv4 } = require('uuid');
+const database = require('./database');
+const inventoryStore = require('./inventoryStore');
+const units = require('./units');
+const { toIso, toTimestamp, HttpError } = require('./utils');
+
+function toReceipt(row) {
+  return {
+    receiptId: row.receipt_id,
+    itemId: row.item_id || null,
+    item: row.item_name,
+    quantity: Number(row.quantity),
+    unitCost: row.unit_cost === null || row.unit_cost === undefined ? null : Number(row.unit_cost),
+    vendor: row.vendor || null,
+    receivedAt: toIso(row.received_at),
+    createdAt: toIso(row.created_at)
+  };
+}
+
+// An optional non-negative number (null when not given)
+function optionalAmount(value, label) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new HttpError(400, `${label} must be a non-negative number`);
+  }
+  return amount;
+}
+
+/**
+ * Validate a delivery and convert its quantity to the item's base unit
+ * @param {Object} data - { quantity, unit?, unitCost?, vendor?, receivedAt? }
+ * @param {Object} item - Master list item (see inventoryStore.getInventoryList)
+ * @returns {Object} { quantity, unitCost, vendor, receivedAt }
+ */
+function validateReceipt(data, item) {
+  const counted = Number(data.quantity);
+  if (data.quantity === null || data.quantity === undefined || data.quantity === '' ||
+      !Number.isFinite(counted) || counted <= 0) {
+    throw new HttpError(400, 'quantity must be a positive number');
+  }
+
+  let unit = null;
+  if (data.unit) {
+    unit = units.normalizeUnit(data.unit);
+    if (!unit) {
+      throw new HttpError(400, `Unknown unit "${data.unit}"`);
+    }
+  }
+  const quantity = units.toBaseQuantity(counted, unit, item);
+  if (quantity === null) {
+    throw new HttpError(400, `"${item.name}" has no ${unit} pack size`);
+  }
+
+  // A unit cost given for a pack is converted to a cost per base unit
+  let unitCost = optionalAmount(data.unitCost, 'unitCost');
+  if (unitCost !== null && unit && unit !== (item.baseUnit || 'each')) {
+    unitCost = Math.round((unitCost * counted / quantity) * 10000) / 10000;
+  }
+
+  const vendor = data.vendor === undefined || data.vendor === null ? item.vendor : String(data.vendor).trim() || null;
+  if (vendor && vendor.length > 100) {
+    throw new HttpError(400, 'Vendor must be 100 characters or fewer');
+  }
+
+  return {
+    quantity,
+    unitCost,
+    vendor: vendor || null,
+    receivedAt: data.receivedAt ? toTimestamp(data.receivedAt, 'receivedAt') : new Date().toISOString()
+  };
+}
+
+/**
+ * Record a delivery of a master list item
+ * @param {string} projectId - Project id
+ * @param {Object} data - { itemId or item (name), quantity, unit?, unitCost?, vendor? (default: the item's vendor), receivedAt? (default: now) }
+ * @returns {Promise<Object>} Receipt { receiptId, itemId, item, quantity, unitCost, vendor, receivedAt, createdAt }
+ */
+async function recordReceipt(projectId, data) {
+  const list = await inventoryStore.getProjectList(projectId);
+  if (!list) {
+    throw new HttpError(400, 'Project has no master list');
+  }
+
+  const item = inventoryStore.findListItem(list, data);
+  const receipt = validateReceipt(data, item);
+  const receiptId = uuidv4();
+  await database.query(
+    `INSERT INTO receipts (receipt_id, project_id, item_id, item_name, quantity, unit_cost, vendor, received_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      receiptId, projectId, item.itemId, item.name, receipt.quantity, receipt.unitCost, receipt.vendor,
+      receipt.receivedAt, new Date().toISOString()
+    ]
+  );
+
+  const rows = await database.query('SELECT * FROM receipts WHERE receipt_id = ?', [receiptId]);
+  return toReceipt(rows[0]);
+}
+
+/**
+ * List a project's deliveries, oldest first
+ * @param {string} projectId - Project id
+ * @param {Object} range - { after, until } ISO timestamps (received after `after`, up to and including `until`)
+ * @returns {Promise<Array<Object>>} Receipts
+ */
+async function listReceipts(projectId, range = {}) {
+  const params = [projectId];
+  let where = 'WHERE project_id = ?';
+  if (range.after) {
+    where += ' AND received_at > ?';
+    params.push(toTimestamp(range.after, 'after'));
+  }
+  if (range.until) {
+    where += ' AND received_at <= ?';
+    params.push(toTimestamp(range.until, 'until'));
+  }
+
+  const rows = await database.query(`SELECT * FROM receipts ${where} ORDER BY received_at, created_at`, params);
+  return rows.map(toReceipt);
+}
+
+/**
+ * Delete a delivery
+ * @param {string} projectId - Project id
+ * @param {string} receiptId - Receipt id
+ * @returns {Promise<boolean>} True if it was deleted
+ */
+async function deleteReceipt(projectId, receiptId) {
+  const result = await database.query(
+    'DELETE FROM receipts WHERE project_id = ? AND receipt_id = ?',
+    [projectId, receiptId]
+  );
+  return !!result[0]?.changes;
+}
+
+module.exports = {
+  recordReceipt,
+  listReceipts,
+  deleteReceipt
+};
@@ -0,0 +1,114 @@
+// import-json-data.js - One-time import of legacy data/*.json files into the database
+//
+// Usage: node scripts/import-json-data.js [dataDir] [--force]
+//   dataDir  defaults to ./data (the old BASE_DATA_DIR)
+//   --force  overwrite master lists and Live Count saves that already exist in the database
+//
+// Safe to run more than once: existing rows are skipped unless --force is given,
+// and global aliases are merged rather than replaced.
+const fs = require('fs');
+const path = require('path');
+const database = require('../database');
+const projectStore = require('../projectStore');
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const dataDir = path.resolve(args.find(arg => !arg.startsWith('--')) || path.join(__dirname, '..', 'data'));
+const projectsDir = path.join(dataDir, 'projects');
+
+function readJson(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+async function importGlobalAliases(summary) {
+  const data = readJson(path.join(dataDir, 'global_aliases.json'));
+  if (!data || !data.aliases) {
+    return;
+  }
+
+  for (const [canonicalItem, aliases] of Object.entries(data.aliases)) {
+    const added = await projectStore.addGlobalAliases(canonicalItem, Array.isArray(aliases) ? aliases : [aliases]);
+    summary.globalAliases += added.length;
+  }
+}
+
+async function importProject(dirName, summary) {
+  const projectDir = path.join(projectsDir, dirName);
+  const masterData = readJson(path.join(projectDir, 'master_list.json'));
+  const projectName = (masterData && masterData.projectName) || dirName.replace(/_/g, ' ');
+
+  if (masterData && Array.isArray(masterData.items)) {
+    const existing = await projectStore.getMasterList(projectName);
+    if (existing && !force) {
+      console.log(`  ⏭️  ${projectName}: master list already in database`);
+    } else {
+      await projectStore.saveMasterList(projectName, masterData.items, { createdAt: masterData.createdAt });
+      summary.masterLists++;
+      console.log(`  ✅ ${projectName}: master list (${masterData.items.length} items)`);
+    }
+  }
+
+  const aliasData = readJson(path.join(projectDir, 'aliases.json'));
+  if (aliasData && aliasData.aliases) {
+    await projectStore.ensureProject(projectName);
+    const existing = await projectStore.getProjectAliases(projectName);
+    if (Object.keys(existing.aliases).length > 0 && !force) {
+      console.log(`  ⏭️  ${projectName}: project aliases already in database`);
+    } else {
+      await projectStore.replaceProjectAliases(projectName, aliasData.aliases);
+      summary.projectAliases++;
+      console.log(`  ✅ ${projectName}: project aliases`);
+    }
+  }
+
+  const liveCountFiles = { autosave: 'live_count_autosave.json', manual: 'live_count.json' };
+  for (const [saveType, fileName] of Object.entries(liveCountFiles)) {
+    const state = readJson(path.join(projectDir, fileName));
+    if (!state) {
+      continue;
+    }
+
+    const existing = await projectStore.getLiveCount(projectName, saveType);
+    if (existing && !force) {
+      console.log(`  ⏭️  ${projectName}: ${saveType} Live Count already in database`);
+      continue;
+    }
+
+    await projectStore.saveLiveCount(projectName, saveType, state);
+    summary.liveCounts++;
+    console.log(`  ✅ ${projectName}: ${saveType} Live Count`);
+  }
+}
+
+async function main() {
+  console.log(`Importing legacy JSON data from ${dataDir}`);
+  await database.initialize();
+
+  const summary = { masterLists: 0, projectAliases: 0, liveCounts: 0, globalAliases: 0 };
+
+  await importGlobalAliases(summary);
+
+  if (fs.existsSync(projectsDir)) {
+    const dirNames = fs.readdirSync(projectsDir)
+      .filter(name => fs.statSync(path.join(projectsDir, name)).isDirectory());
+
+    for (const dirName of dirNames) {
+      await importProject(dirName, summary);
+    }
+  }
+
+  console.log('');
+  console.log(`✓ Imported ${summary.masterLists} master list(s), ${summary.projectAliases} project alias set(s), ` +
+    `${summary.liveCounts} Live Count save(s), ${summary.globalAliases} global alias(es)`);
+}
+
+main()
+  .then(() => database.close())
+  .catch(async (err) => {
+    console.error('Import failed:', err);
+    await database.close();
+    process.exit(1);
+  });
@@ -0,0 +1,34 @@
+// migrate.js - Apply or inspect database migrations
+//
+// Usage: node scripts/migrate.js [status|--dry-run]
+//   (no args)  apply pending migrations
+//   status     show applied / pending / drifted migrations
+//   --dry-run  list pending migrations without applying them
+const database = require('../database');
+
+async function main() {
+  const command = process.argv[2];
+
+  if (command === 'status') {
+    const status = await database.migrationStatus();
+    if (status.length === 0) {
+      console.log('No migrations found');
+    }
+    status.forEach(m => {
+      const appliedAt = m.appliedAt ? ` (${m.appliedAt instanceof Date ? m.appliedAt.toISOString() : m.appliedAt})` : '';
+      console.log(`  ${m.status.padEnd(8)} ${m.version}_${m.name}${appliedAt}`);
+    });
+    return;
+  }
+
+  await database.initialize({ dryRun: command === '--dry-run' });
+}
+
+main()
+  .then(() => database.close())
+  .catch(async (err) => {
+    console.error(err.message);
+    (err.details || []).forEach(detail => console.error(`  - ${detail}`));
+    await database.close();
+    process.exit(1);
+  });
@@ -4,8 +4,33 @@ const vision = require('@google-cloud/vision');
 const speech = require('@google-cloud/speech');
 const Anthropic = require('@anthropic-ai/sdk');
 const { v4: uuidv4 } = require('uuid');
-const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
+const database = require('./database');
+const projectStore = require('./projectStore');
+const inventoryStore = require('./inventoryStore');
+const sessionStore = require('./sessionStore');
+const countBroadcaster = require('./countBroadcaster');
+const countHistoryStore = require('./countHistoryStore');
+const varianceReport = require('./varianceReport');
+const orderSuggestions = require('./orderSuggestions');
+const itemCostStore = require('./itemCostStore');
+const inventoryValuation = require('./inventoryValuation');
+const receivingStore = require('./receivingStore');
+const usageReport = require('./usageReport');
+const wasteStore = require('./wasteStore');
+const wasteReport = require('./wasteReport');
+const wasteReasons = require('./wasteReasons');
+const masterListVersionStore = require('./masterListVersionStore');
+const masterListItems = require('./masterListItems');
+const duplicateFinder = require('./duplicateFinder');
+const itemMergeStore = require('./itemMergeStore');
+const spreadsheetImport = require('./spreadsheetImport');
+const importProfileStore = require('./importProfileStore');
+const orderGuideImport = require('./orderGuideImport');
+const countSheet = require('./countSheet');
+const units = require('./units');
+const spokenNumbers = require('./spokenNumbers');
+const { escapeCSV } = require('./utils');
 
 const app = express();
 const upload = multer({ limits: { fileSize: 8 * 1024 * 1024 } });
@@ -80,25 +105,34 @@ try {
 }
 
 app.use(express.json());
-app.use(express.static(__dirname));
+
+// Only the client's files are served from the app root, which also holds the server code, .env and
+// the SQLite database
+const CLIENT_FILES = new Set([
+    '/', '/index.html', '/units.js', '/spokenNumbers.js', '/wasteReasons.js',
+    '/logo.svg', '/logo.png', '/new_project.svg', '/voice_mapping.svg', '/live_count.svg'
+]);
+const serveClient = express.static(__dirname);
+app.use((req, res, next) => (CLIENT_FILES.has(req.path) ? serveClient(req, res, next) : next()));
 
 // Server-side KrushProfile and Project Memory
 let krushProfile = { aliases: {} }; // { "alias": "canonicalName" }
 let activeProjects = {}; // { projectId: { masterList: [], counts: {} } }
 
 // Vision OCR scan storage (in-memory MVP)
-let scanResults = {}; // { scanId: { scanId, items, pages, createdAt, filenames } }
+let scanResults = {}; // { scanId: { scanId, items, categories, pages, createdAt, filenames } }
 
 // Initialize with test data for verification
 scanResults['test-scan-123'] = {
     scanId: 'test-scan-123',
     items: [
-        { id: 'shrimp_skewer_sk', name: 'SHRIMP SKEWER (SK)', count: 0, page: 1, sourceLine: 15 },
-        { id: 'chicken_breast', name: 'CHICKEN BREAST', count: 0, page: 1, sourceLine: 16 },
-        { id: 'salmon_fillet_po', name: 'SALMON FILLET (PO)', count: 0, page: 1, sourceLine: 17 },
-        { id: 'beef_tenderloin', name: 'BEEF TENDERLOIN', count: 0, page: 1, sourceLine: 18 },
-        { id: 'pork_chop', name: 'PORK CHOP', count: 0, page: 1, sourceLine: 19 }
+        { id: 'shrimp_skewer_sk', name: 'SHRIMP SKEWER (SK)', category: 'PROTEIN', count: 0, page: 1, sourceLine: 15 },
+        { id: 'chicken_breast', name: 'CHICKEN BREAST', category: 'PROTEIN', count: 0, page: 1, sourceLine: 16 },
+        { id: 'salmon_fillet_po', name: 'SALMON FILLET (PO)', category: 'PROTEIN', count: 0, page: 1, sourceLine: 17 },
+        { id: 'beef_tenderloin', name: 'BEEF TENDERLOIN', category: 'PROTEIN', count: 0, page: 1, sourceLine: 18 },
+        { id: 'pork_chop', name: 'PORK CHOP', category: 'PROTEIN', count: 0, page: 1, sourceLine: 19 }
     ],
+    categories: ['PROTEIN'],
     pages: [{ filename: 'count_sheet.jpg', text: 'PROTEIN\n15 SHRIMP SKEWER (SK) 7\n16 CHICKEN BREAST 52\n17 SALMON FILLET (PO) 2\n18 BEEF TENDERLOIN 156\n19 PORK CHOP 23' }],
     createdAt: new Date().toISOString(),
     filenames: ['count_sheet.jpg']
@@ -200,20 +234,25 @@ async function formatItemsWithLLM(rawOcrText) {
 INPUT: raw OCR text from restaurant inventory/count sheets.
 
 GOAL:
-Extract ONLY the inventory ITEM NAMES and output them as a single vertical list,
-top-to-bottom, exactly in the order they appear.
+Extract ONLY the inventory ITEM NAMES and the SECTION HEADERS they are listed under,
+and output them as a single vertical list, top-to-bottom, exactly in the order they appear.
 
 RULES:
 1) Item names only - PRESERVE any parenthetical codes like (SK), (PO), (FR)
 2) Preserve order exactly as it appears
 3) No inference
 4) Minimal typo fixes only
-5) Exclude row numbers, quantities, and section headers like "PROTEIN" or "VEGETABLES"
-6) One item per line, no bullets or numbering
-7) Do NOT add any preamble or explanation - output ONLY the item names
+5) Exclude row numbers and quantities
+6) Keep section headers like "PROTEIN" or "VEGETABLES" on their own line, prefixed with "## "
+7) Do NOT invent section headers - if the sheet has none, output only item names
+8) One item per line, no bullets or numbering
+9) Do NOT add any preamble or explanation - output ONLY the section headers and item names
 
 OUTPUT FORMAT:
+## <section header>
+<item name>
 <item name>
+## <section header>
 <item name>
 
 RAW OCR TEXT:
@@ -239,16 +278,26 @@ ${rawOcrText}`;
 }
 
 // Stage 3: Post-LLM Validation
+// Returns [{ name, category }]: "## HEADER" lines set the category of the items below them
 function validateLLMOutput(llmOutput) {
     const lines = llmOutput.trim().split('\n').filter(l => l.trim());
     
     console.log(`[Validation] Checking ${lines.length} lines`);
     
     const validItems = [];
+    let category = null;
     
     for (let i = 0; i < lines.length; i++) {
         const line = lines[i].trim();
         
+        // Section header: category for the items that follow
+        const header = line.match(/^#{2,}\s*(.*?)\s*:?$/);
+        if (header) {
+            category = header[1].substring(0, 100) || null;
+            console.log(`[Validation] Section header: "${category}"`);
+            continue;
+        }
+        
         // Skip preamble text (conversational phrases)
         if (/^(here|this|the following|below|above|note|please|i have|i've|let me)/i.test(line)) {
             console.log(`[Validation] Skipping preamble: "${line}"`);
@@ -273,11 +322,11 @@ function validateLLMOutput(llmOutput) {
             continue;
         }
         
-        // Section headers should already be filtered by LLM
+        // Section headers are marked with "##" by the LLM (handled above)
         // Keep all remaining lines as valid items
         
         // This is a valid item name
-        validItems.push(line);
+        validItems.push({ name: line, category });
     }
     
     console.log(`[Validation] ${validItems.length} valid items extracted from ${lines.length} lines`);
@@ -316,7 +365,7 @@ function alignWithMasterList(scannedItems, masterList) {
         let bestSimilarity = 0;
 
         masterList.forEach(masterItem => {
-            const similarity = calculateSimilarity(scannedName, masterItem.toLowerCase().trim());
+            const similarity = duplicateFinder.calculateSimilarity(scannedName, masterItem.toLowerCase().trim());
             if (similarity > bestSimilarity) {
                 bestSimilarity = similarity;
                 bestMatch = masterItem;
@@ -348,23 +397,58 @@ function alignWithMasterList(scannedItems, masterList) {
     return { matched, unmatched };
 }
 
-// Simple string similarity calculation (Dice coefficient)
-function calculateSimilarity(str1, str2) {
-    if (str1 === str2) return 1.0;
-    if (str1.length < 2 || str2.length < 2) return 0;
-
-    const bigrams1 = new Set();
-    for (let i = 0; i < str1.length - 1; i++) {
-        bigrams1.add(str1.substring(i, i + 2));
+// The master list version a scanned count sheet was printed from, by the marker on its pages:
+// { listId, version, projectName, currentVersion, items } (items: [{ itemId, name }] as printed on the sheet),
+// or null for other documents and for lists or versions that no longer exist
+async function findCountSheetVersion(text) {
+    const marker = countSheet.parseSheetMarker(text);
+    if (!marker) {
+        return null;
     }
 
-    const bigrams2 = new Set();
-    for (let i = 0; i < str2.length - 1; i++) {
-        bigrams2.add(str2.substring(i, i + 2));
+    const list = await inventoryStore.getInventoryList(marker.listId);
+    const printed = list ? await masterListVersionStore.getVersion(marker.listId, marker.version) : null;
+    if (!printed) {
+        console.log(`[Vision OCR] Count sheet marker for unknown list ${marker.listId} v${marker.version}`);
+        return null;
     }
 
-    const intersection = new Set([...bigrams1].filter(x => bigrams2.has(x)));
-    return (2.0 * intersection.size) / (bigrams1.size + bigrams2.size);
+    console.log(`[Vision OCR] Count sheet for "${list.projectName}" v${marker.version} (current v${list.version})`);
+    return {
+        listId: list.listId,
+        version: marker.version,
+        projectName: list.projectName,
+        currentVersion: list.version,
+        items: printed.items.map(item => ({ itemId: item.itemId, name: item.name }))
+    };
+}
+
+// Align a scanned count sheet with the current master list. The sheet was read with the names printed
+// on it, so scanned names are matched against those first and each match takes its item's current name
+// (by item id): items renamed since line up, items removed since are unmatched. Names matching nothing
+// printed (written in by hand) are matched against the current list.
+function alignCountSheet(scannedItems, printed, currentItems) {
+    const currentNames = new Map(currentItems.map(item => [item.id, item.name]));
+    const printedIds = new Map(printed.items.map(item => [item.name, item.itemId]));
+    const onSheet = alignWithMasterList(scannedItems, printed.items.map(item => item.name));
+
+    const matched = [];
+    const unmatched = [];
+    onSheet.matched.forEach(match => {
+        const masterName = currentNames.get(printedIds.get(match.masterName));
+        if (!masterName) {
+            console.log(`[Alignment] REMOVED: "${match.masterName}" is no longer on the master list`);
+            unmatched.push({ scannedName: match.scannedName, suggestedMatch: null, confidence: 0 });
+            return;
+        }
+        matched.push(masterName === match.masterName ? match : { ...match, masterName, printedName: match.masterName });
+    });
+
+    const handwritten = alignWithMasterList(onSheet.unmatched.map(item => item.scannedName), [...currentNames.values()]);
+    return {
+        matched: [...matched, ...handwritten.matched],
+        unmatched: [...unmatched, ...handwritten.unmatched]
+    };
 }
 
 // Google Cloud Vision OCR endpoint for document scanning
@@ -414,23 +498,28 @@ app.post('/vision/parse', upload.array('images', 30), async (req, res) => {
         const rawOcrText = pages.map(p => p.text).join('\n\n');
         console.log(`[Stage 1 Complete] Extracted ${rawOcrText.length} characters from ${pages.length} page(s)`);
 
+        // A printed count sheet names the master list version it came from (see countSheet.sheetMarker)
+        const sheet = await findCountSheetVersion(rawOcrText);
+
         // Stage 2: LLM Formatter (TEXT ONLY)
         console.log('[Stage 2] Sending raw OCR text to LLM formatter...');
-        const llmOutput = await formatItemsWithLLM(rawOcrText);
+        const llmOutput = await formatItemsWithLLM(sheet ? countSheet.stripSheetMarker(rawOcrText) : rawOcrText);
         console.log('[Stage 2 Complete] LLM formatting complete');
 
         // Stage 3: Validation
         console.log('[Stage 3] Validating LLM output...');
-        const itemNames = validateLLMOutput(llmOutput);
-        console.log(`[Stage 3 Complete] Validated ${itemNames.length} items`);
+        const validItems = validateLLMOutput(llmOutput);
+        console.log(`[Stage 3 Complete] Validated ${validItems.length} items`);
 
-        // Stage 4: Prepare response
-        const items = itemNames.map((name, index) => ({
+        // Stage 4: Prepare response (category: the section header the item was listed under, or null)
+        const items = validItems.map((item, index) => ({
             id: `item_${index}`,
-            name: name,
+            name: item.name,
+            category: item.category,
             count: 0
         }));
-        console.log(`[Stage 4] Prepared ${items.length} items for UI`);
+        const categories = [...new Set(items.map(item => item.category).filter(Boolean))];
+        console.log(`[Stage 4] Prepared ${items.length} items in ${categories.length} categories for UI`);
 
         // Generate scanId and store results
         const scanId = uuidv4();
@@ -439,7 +528,9 @@ app.post('/vision/parse', upload.array('images', 30), async (req, res) => {
         scanResults[scanId] = {
             scanId,
             items,
+            categories,
             pages,
+            countSheet: sheet,
             createdAt: new Date().toISOString(),
             filenames
         };
@@ -449,7 +540,9 @@ app.post('/vision/parse', upload.array('images', 30), async (req, res) => {
         res.json({
             scanId,
             items,
-            pages
+            categories,
+            pages,
+            countSheet: sheet
         });
     } catch (error) {
         console.error(`[Error] ${error.stage || 'unknown'} stage failed:`, error.message);
@@ -508,17 +601,10 @@ app.get('/vision/download.csv', (req, res) => {
         
         console.log(`[Vision OCR] Downloading CSV for scan ${scanId}`);
         
-        // Generate CSV content: Single column with ItemName header and quoted values
-        // Requirement: Every item name must be quoted, commas preserved, quotes escaped
-        const escapeCSV = (value) => {
-            // Escape double quotes by doubling them
-            const escaped = value.replace(/"/g, '""');
-            // Always wrap in double quotes
-            return `"${escaped}"`;
-        };
-        
-        const header = 'ItemName';
-        const rows = scan.items.map(item => escapeCSV(item.name || ''));
+        // Generate CSV content: ItemName and Category (the sheet's section header) columns with quoted values
+        // Requirement: Every value must be quoted, commas preserved, quotes escaped (see utils.escapeCSV)
+        const header = 'ItemName,Category';
+        const rows = scan.items.map(item => `${escapeCSV(item.name)},${escapeCSV(item.category)}`);
         const csv = [header, ...rows].join('\n');
         
         // Set download headers
@@ -559,148 +645,1424 @@ app.get('/vision/download.json', (req, res) => {
     }
 });
 
-// Excel parsing endpoint (placeholder - requires xlsx library)
+// Value a finalized count at the unit costs in effect on its count date:
+// ?projectName= (required), and ?snapshotId= or ?sessionId= (default: the most recent count)
+async function buildProjectValuation(req, res) {
+    const { projectName, snapshotId, sessionId } = req.query;
+
+    if (!projectName) {
+        res.status(400).json({ error: 'projectName parameter required' });
+        return null;
+    }
+    if (!validateProjectName(projectName)) {
+        res.status(400).json({ error: 'Invalid project name' });
+        return null;
+    }
+
+    const project = await projectStore.findProject(projectName);
+    if (!project) {
+        res.status(404).json({ error: 'Project not found' });
+        return null;
+    }
+
+    let countId = snapshotId;
+    if (!countId) {
+        const history = await countHistoryStore.listSnapshots(project.project_id);
+        const count = sessionId ? history.find(entry => entry.sessionId === sessionId) : history[0];
+        if (!count) {
+            res.status(sessionId ? 404 : 400).json({
+                error: sessionId ? 'No finalized count for that session' : 'Finalize a count before valuing inventory'
+            });
+            return null;
+        }
+        countId = count.snapshotId;
+    }
+
+    const snapshot = await countHistoryStore.getSnapshot(project.project_id, countId);
+    if (!snapshot) {
+        res.status(404).json({ error: 'Count not found' });
+        return null;
+    }
+
+    const list = await inventoryStore.getProjectList(project.project_id);
+    const costs = list
+        ? await itemCostStore.getCostsOn(list.listId, (snapshot.countedAt || new Date().toISOString()).substring(0, 10))
+        : new Map();
+    return {
+        projectName: project.project_name,
+        ...inventoryValuation.buildValuation(snapshot, list ? list.items : [], costs)
+    };
+}
+
+// Download inventory valuation as CSV (items with category subtotals)
+app.get('/valuation/download.csv', async (req, res) => {
+    try {
+        const valuation = await buildProjectValuation(req, res);
+        if (!valuation) return;
+
+        const fileName = `valuation_${projectStore.projectKey(valuation.projectName)}_${(valuation.count.countedAt || '').substring(0, 10)}.csv`;
+
+        console.log(`[Valuation] Downloading CSV for "${valuation.projectName}" (${valuation.summary.itemCount} items, total ${valuation.summary.totalValue})`);
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(inventoryValuation.valuationToCSV(valuation));
+
+    } catch (error) {
+        console.error('[Valuation] CSV download error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Download inventory valuation as JSON
+app.get('/valuation/download.json', async (req, res) => {
+    try {
+        const valuation = await buildProjectValuation(req, res);
+        if (!valuation) return;
+
+        const fileName = `valuation_${projectStore.projectKey(valuation.projectName)}_${(valuation.count.countedAt || '').substring(0, 10)}.json`;
+
+        console.log(`[Valuation] Downloading JSON for "${valuation.projectName}"`);
+
+        res.setHeader('Content-Type', 'application/json; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.json(valuation);
+
+    } catch (error) {
+        console.error('[Valuation] JSON download error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Excel import (.xlsx, .xls, .ods): items from one sheet in the /vision/parse shape, stored as a scan
+// (so the CSV/JSON downloads and master list alignment work on it). Optional form fields: sheet,
+// headerRow, nameColumn, categoryColumn, unitColumn (see spreadsheetImport.parseWorkbook)
 app.post('/parse-excel', upload.single('file'), async (req, res) => {
     try {
-        // For now, return error indicating xlsx support needed
-        res.status(501).json({ 
-            error: 'Excel parsing not yet implemented',
-            message: 'Please install xlsx library: npm install xlsx'
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        const body = req.body || {};
+        const workbook = spreadsheetImport.parseWorkbook(req.file.buffer, {
+            sheet: body.sheet,
+            headerRow: body.headerRow,
+            nameColumn: body.nameColumn,
+            categoryColumn: body.categoryColumn,
+            unitColumn: body.unitColumn
+        });
+
+        const items = workbook.items.map((item, index) => ({
+            id: `item_${index}`,
+            name: item.name,
+            category: item.category,
+            unit: item.unit,
+            count: 0
+        }));
+        const categories = [...new Set(items.map(item => item.category).filter(Boolean))];
+
+        const scanId = uuidv4();
+        scanResults[scanId] = {
+            scanId,
+            items,
+            categories,
+            pages: 1,
+            createdAt: new Date().toISOString(),
+            filenames: [req.file.originalname]
+        };
+
+        console.log(`[Excel] Read ${items.length} items from "${req.file.originalname}" sheet "${workbook.sheet}" (name column ${workbook.nameColumn}), stored as scan ${scanId}`);
+        res.json({
+            scanId,
+            items,
+            categories,
+            pages: 1,
+            sheets: workbook.sheets,
+            sheet: workbook.sheet,
+            headerRow: workbook.headerRow,
+            columns: workbook.columns,
+            nameColumn: workbook.nameColumn,
+            categoryColumn: workbook.categoryColumn,
+            unitColumn: workbook.unitColumn,
+            skipped: workbook.skipped,
+            unknownUnits: workbook.unknownUnits,
+            // Ready for /projects/save-master-list
+            masterList: workbook.items.map(item => ({
+                name: item.name,
+                ...(item.category ? { category: item.category } : {}),
+                ...(item.unit ? { unit: item.unit } : {})
+            }))
+        });
+
+    } catch (error) {
+        console.error('[Excel] Parse error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// MASTER LIST PERSISTENCE ENDPOINTS
+// ============================================
+
+// Projects, master lists, aliases and Live Count saves are stored in the
+// database (see projectStore.js). Legacy data/*.json files can be imported
+// once with: npm run import-json
+
+// Validate project name (prevent path traversal)
+function validateProjectName(name) {
+    if (!name || typeof name !== 'string') {
+        return false;
+    }
+    // Only allow letters, numbers, dash, underscore, and spaces
+    const validPattern = /^[a-zA-Z0-9_\-\s]+$/;
+    return validPattern.test(name) && name.length > 0 && name.length <= 100;
+}
+
+// Save master list to server
+app.post('/projects/save-master-list', express.json(), async (req, res) => {
+    try {
+        const { projectName, categories } = req.body;
+        let { items } = req.body;
+        
+        // Validate project name
+        if (!validateProjectName(projectName)) {
+            return res.status(400).json({ 
+                error: 'Invalid project name. Use only letters, numbers, dashes, underscores, and spaces.' 
+            });
+        }
+        
+        // Validate items: names (legacy) and/or { id, name, sku, vendor, unit, category, par, cost }
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ error: 'Items must be a non-empty array' });
+        }
+
+        // Optional { item: category } (e.g. the section headers of a scanned sheet), merged into the items
+        if (categories !== undefined) {
+            items = masterListItems.applyCategories(items, categories);
+        }
+        
+        const saved = await projectStore.saveMasterList(projectName, items);
+        
+        console.log(`[Master List] Saved: ${projectName} (${items.length} items, version ${saved.version})`);
+        res.json({ success: true, projectName, itemCount: items.length, version: saved.version, diff: saved.diff });
+        
+    } catch (error) {
+        console.error('[Master List] Save error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Retrieve master list from server
+app.get('/projects/:projectName/master-list', async (req, res) => {
+    try {
+        const { projectName } = req.params;
+
+        // Validate project name
+        if (!validateProjectName(projectName)) {
+            return res.status(400).json({ error: 'Invalid project name' });
+        }
+
+        const data = await projectStore.getMasterList(projectName);
+        if (!data) {
+            return res.status(404).json({ error: 'Master list not found' });
+        }
+
+        res.json(data);
+
+    } catch (error) {
+        console.error('[Master List] Retrieve error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// List a project's master list versions, newest first, each with its diff against the one before
+app.get('/projects/:projectName/master-list/versions', async (req, res) => {
+    try {
+        const project = await findProjectOrRespond(req, res);
+        if (!project) return;
+
+        const list = await inventoryStore.getProjectList(project.project_id);
+        if (!list) {
+            return res.status(404).json({ error: 'Master list not found' });
+        }
+
+        const versions = await masterListVersionStore.listVersions(list.listId);
+        res.json({ projectName: project.project_name, listId: list.listId, currentVersion: list.version, versions });
+
+    } catch (error) {
+        console.error('[Master List] Versions error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Get one master list version with its items
+app.get('/projects/:projectName/master-list/versions/:version', async (req, res) => {
+    try {
+        const project = await findProjectOrRespond(req, res);
+        if (!project) return;
+
+        const list = await inventoryStore.getProjectList(project.project_id);
+        if (!list) {
+            return res.status(404).json({ error: 'Master list not found' });
+        }
+
+        const version = await masterListVersionStore.getVersion(list.listId, Number(req.params.version));
+        if (!version) {
+            return res.status(404).json({ error: 'Master list version not found' });
+        }
+        res.json({ projectName: project.project_name, currentVersion: list.version, ...version });
+
+    } catch (error) {
+        console.error('[Master List] Version error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Roll the master list back to an earlier version (saved as a new version)
+app.post('/projects/:projectName/master-list/versions/:version/rollback', async (req, res) => {
+    try {
+        const project = await findProjectOrRespond(req, res, { writable: true });
+        if (!project) return;
+
+        const list = await inventoryStore.getProjectList(project.project_id);
+        if (!list) {
+            return res.status(404).json({ error: 'Master list not found' });
+        }
+
+        const result = await inventoryStore.rollbackList(list.listId, Number(req.params.version));
+        if (!result) {
+            return res.status(404).json({ error: 'Master list version not found' });
+        }
+
+        console.log(`[Master List] Rolled "${project.project_name}" back to version ${req.params.version} (now version ${result.version.version})`);
+        res.json({ success: true, projectName: project.project_name, list: result.list, version: result.version });
+
+    } catch (error) {
+        console.error('[Master List] Rollback error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Find likely duplicate items on the master list, or with ?with=OtherProject between two projects' lists
+// (only items of different projects are paired); ?threshold= similarity from 0 to 1 (default 0.65)
+app.get('/projects/:projectName/master-list/duplicates', async (req, res) => {
+    try {
+        const project = await findProjectOrRespond(req, res);
+        if (!project) return;
+
+        const threshold = req.query.threshold === undefined ? duplicateFinder.DEFAULT_THRESHOLD : Number(req.query.threshold);
+        if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+            return res.status(400).json({ error: 'threshold must be a number above 0 and at most 1' });
+        }
+
+        const projects = [project];
+        if (req.query.with !== undefined) {
+            if (!validateProjectName(req.query.with)) {
+                return res.status(400).json({ error: 'Invalid project name in with' });
+            }
+            const other = await projectStore.findProject(req.query.with);
+            if (!other) {
+                return res.status(404).json({ error: `Project "${req.query.with}" not found` });
+            }
+            if (other.project_id === project.project_id) {
+                return res.status(400).json({ error: 'with must name a different project' });
+            }
+            projects.push(other);
+        }
+
+        const items = [];
+        for (const { project_id: projectId, project_name: projectName } of projects) {
+            const list = await inventoryStore.getProjectList(projectId);
+            if (!list) {
+                return res.status(404).json({ error: `Master list not found for "${projectName}"` });
+            }
+            list.items.forEach(item => items.push({ itemId: item.itemId, name: item.name, projectName }));
+        }
+
+        const clusters = duplicateFinder.findDuplicateClusters(items, { threshold, crossProject: projects.length > 1 });
+        res.json({
+            projectName: project.project_name,
+            withProject: projects.length > 1 ? projects[1].project_name : null,
+            threshold,
+            itemCount: items.length,
+            clusters
         });
+
+    } catch (error) {
+        console.error('[Master List] Duplicates error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Merge duplicate items into one: { survivorId, itemIds, mergedBy }
+app.post('/projects/:projectName/master-list/merge', express.json(), async (req, res) => {
+    try {
+        const project = await findProjectOrRespond(req, res, { writable: true });
+        if (!project) return;
+
+        const list = await inventoryStore.getProjectList(project.project_id);
+        if (!list) {
+            return res.status(404).json({ error: 'Master list not found' });
+        }
+
+        const result = await itemMergeStore.mergeItems(list.listId, req.body || {});
+        console.log(`[Master List] Merged ${result.merge.merged.length} item(s) into "${result.merge.survivor.name}" on "${project.project_name}" (version ${result.merge.listVersion})`);
+        res.json({ success: true, projectName: project.project_name, merge: result.merge, list: result.list });
+
+    } catch (error) {
+        console.error('[Master List] Merge error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// List the item merges made on the master list (most recent first)
+app.get('/projects/:projectName/master-list/merges', async (req, res) => {
+    try {
+        const project = await findProjectOrRespond(req, res);
+        if (!project) return;
+
+        const list = await inventoryStore.getProjectList(project.project_id);
+        if (!list) {
+            return res.status(404).json({ error: 'Master list not found' });
+        }
+
+        const merges = await itemMergeStore.listMerges(list.listId);
+        res.json({ projectName: project.project_name, listId: list.listId, merges });
+
+    } catch (error) {
+        console.error('[Master List] Merges error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// List all saved projects (most recent first); ?archived=true lists archived projects instead
+app.get('/projects/list', async (req, res) => {
+    try {
+        const projects = await projectStore.listProjects({ archived: req.query.archived === 'true' });
+        res.json({ projects });
+
+    } catch (error) {
+        console.error('[Projects] List error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// New project name from the request body ({ newName }), trimmed; responds 400 and returns null if invalid
+function newProjectNameOrRespond(req, res) {
+    const newName = typeof req.body?.newName === 'string' ? req.body.newName.trim() : '';
+    if (!validateProjectName(newName)) {
+        res.status(400).json({ error: 'Invalid new project name (letters, numbers, spaces, - and _, up to 100 characters)' });
+        return null;
+    }
+    return newName;
+}
+
+// Rename a project: { newName }
+app.post('/projects/:projectName/rename', express.json(), async (req, res) => {
+    try {
+        const project = await findProjectOrRespond(req, res, { writable: true });
+        if (!project) return;
+        const newName = newProjectNameOrRespond(req, res);
+        if (!newName) return;
+
+        const result = await projectStore.renameProject(project.project_name, newName);
+        console.log(`[Projects] Renamed "${result.previousName}" to "${result.projectName}"`);
+        res.json({ success: true, ...result });
+
+    } catch (error) {
+        console.error('[Projects] Rename error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Create a new project from this one as a template (master list, zones, aliases): { newName }
+app.post('/projects/:projectName/clone', express.json(), async (req, res) => {
+    try {
+        const project = await findProjectOrRespond(req, res, { writable: true });
+        if (!project) return;
+        const newName = newProjectNameOrRespond(req, res);
+        if (!newName) return;
+
+        const result = await projectStore.cloneProject(project.project_name, newName);
+        console.log(`[Projects] Cloned "${result.sourceName}" as "${result.projectName}" (${result.itemCount} items)`);
+        res.status(201).json({ success: true, ...result });
+
+    } catch (error) {
+        console.error('[Projects] Clone error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Archive a project (hidden from the project list, read-only: no new counts or changes), or restore it
+app.post('/projects/:projectName/:action(archive|restore)', async (req, res) => {
+    try {
+        const project = await findProjectOrRespond(req, res);
+        if (!project) return;
+
+        const archived = req.params.action === 'archive';
+        const result = await projectStore.setProjectArchived(project.project_name, archived);
+        console.log(`[Projects] ${archived ? 'Archived' : 'Restored'} "${result.projectName}"`);
+        res.json({ success: true, ...result });
+
+    } catch (error) {
+        console.error(`[Projects] ${req.params.action} error:`, error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Delete an archived project and everything saved under it (409 once it has been counted: the count ledger is kept)
+app.delete('/projects/:projectName', async (req, res) => {
+    try {
+        const project = await findProjectOrRespond(req, res);
+        if (!project) return;
+
+        await projectStore.deleteProject(project.project_name);
+        console.log(`[Projects] Deleted "${project.project_name}"`);
+        res.json({ success: true, projectName: project.project_name });
+
+    } catch (error) {
+        console.error('[Projects] Delete error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// ZONES (walk-in, freezer, line...)
+// ============================================
+
+// Get a project's zones
+app.get('/projects/:projectName/zones', async (req, res) => {
+    try {
+        const { projectName } = req.params;
+
+        if (!validateProjectName(projectName)) {
+            return res.status(400).json({ error: 'Invalid project name' });
+        }
+
+        const zones = await projectStore.getZones(projectName);
+        if (!zones) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+        res.json({ projectName, zones });
+
+    } catch (error) {
+        console.error('[Zones] Retrieve error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Replace a project's zones: { zones: ['Walk-in', 'Freezer', ...] } in display order
+app.put('/projects/:projectName/zones', express.json(), async (req, res) => {
+    try {
+        const { projectName } = req.params;
+
+        if (!validateProjectName(projectName)) {
+            return res.status(400).json({ error: 'Invalid project name' });
+        }
+
+        const zones = await projectStore.replaceZones(projectName, req.body.zones);
+        if (!zones) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        console.log(`[Zones] Saved ${zones.length} zone(s) for "${projectName}"`);
+        res.json({ success: true, projectName, zones });
+
+    } catch (error) {
+        console.error('[Zones] Save error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// COUNT HISTORY (snapshots of finalized counts)
+// ============================================
+
+// Look up a project from :projectName, sending the 400/404 response if it is invalid or missing.
+// { writable: true } for routes that change the project: archived projects are read-only (409)
+async function findProjectOrRespond(req, res, options = {}) {
+    const { projectName } = req.params;
+    if (!validateProjectName(projectName)) {
+        res.status(400).json({ error: 'Invalid project name' });
+        return null;
+    }
+
+    const project = await projectStore.findProject(projectName);
+    if (!project) {
+        res.status(404).json({ error: 'Project not found' });
+        return null;
+    }
+    if (options.writable) {
+        projectStore.assertWritable(project);
+    }
+    return project;
+}
+
+// List a project's past counts (most recent first)
+app.get('/projects/:projectName/counts', async (req, res) => {
+    try {
+        const project = await findProjectOrRespond(req, res);
+        if (!project) return;
+
+        const counts = await countHistoryStore.listSnapshots(project.project_id);
+        res.json({ projectName: project.project_name, counts });
+
+    } catch (error) {
+        console.error('[Count History] List error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Get one past count with its item quantities
+app.get('/projects/:projectName/counts/:snapshotId', async (req, res) => {
+    try {
+        const project = await findProjectOrRespond(req, res);
+        if (!project) return;
+
+        const snapshot = await countHistoryStore.getSnapshot(project.project_id, req.params.snapshotId);
+        if (!snapshot) {
+            return res.status(404).json({ error: 'Count not found' });
+        }
+        res.json({ projectName: project.project_name, ...snapshot });
+
+    } catch (error) {
+        console.error('[Count History] Retrieve error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Delete one past count (409 for a finalized count: a manager reopens it instead)
+app.delete('/projects/:projectName/counts/:snapshotId', async (req, res) => {
+    try {
+        const project = await findProjectOrRespond(req, res, { writable: true });
+        if (!project) return;
+
+        const deleted = await countHistoryStore.deleteSnapshot(project.project_id, req.params.snapshotId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Count not found' });
+        }
+
+        console.log(`[Count History] Deleted ${req.params.snapshotId} from "${project.project_name}"`);
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('[Count History] Delete error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Build a variance report between two counts: ?from=&to= snapshot ids (default: the two most recent)
+// and ?threshold= percent change to flag (default 10)
+async function buildProjectVarianceReport(req, res) {
+    const project = await findProjectOrRespond(req, res);
+    if (!project) return null;
+
+    const threshold = req.query.threshold === undefined ? varianceReport.DEFAULT_THRESHOLD_PERCENT : Number(req.query.threshold);
+    if (!Number.isFinite(threshold) || threshold < 0) {
+        res.status(400).json({ error: 'threshold must be a non-negative number' });
+        return null;
+    }
+
+    let { from, to } = req.query;
+    if (!from || !to) {
+        const history = await countHistoryStore.listSnapshots(project.project_id);
+        if (history.length < 2) {
+            res.status(400).json({ error: 'At least two counts are needed for a variance report' });
+            return null;
+        }
+        to = to || history[0].snapshotId;
+        from = from || history.find(snapshot => snapshot.snapshotId !== to).snapshotId;
+    }
+
+    const fromSnapshot = await countHistoryStore.getSnapshot(project.project_id, from);
+    const toSnapshot = await countHistoryStore.getSnapshot(project.project_id, to);
+    if (!fromSnapshot || !toSnapshot) {
+        res.status(404).json({ error: 'Count not found' });
+        return null;
+    }
+
+    return {
+        projectName: project.project_name,
+        ...varianceReport.buildVarianceReport(fromSnapshot, toSnapshot, { threshold })
+    };
+}
+
+// Count-to-count variance report (JSON)
+app.get('/projects/:projectName/variance', async (req, res) => {
+    try {
+        const report = await buildProjectVarianceReport(req, res);
+        if (!report) return;
+
+        res.json(report);
+
+    } catch (error) {
+        console.error('[Variance] Report error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Count-to-count variance report (CSV download)
+app.get('/projects/:projectName/variance.csv', async (req, res) => {
+    try {
+        const report = await buildProjectVarianceReport(req, res);
+        if (!report) return;
+
+        const fileDate = iso => (iso || '').substring(0, 10);
+        const fileName = `variance_${projectStore.projectKey(report.projectName)}_${fileDate(report.from.countedAt)}_${fileDate(report.to.countedAt)}.csv`;
+
+        console.log(`[Variance] Downloading CSV for "${report.projectName}" (${report.summary.flaggedCount} flagged)`);
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(varianceReport.varianceReportToCSV(report));
+
+    } catch (error) {
+        console.error('[Variance] CSV error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Build order suggestions from a finalized count: ?snapshot= id (default: the most recent count),
+// against the master list's current par levels
+async function buildProjectOrderSuggestions(req, res) {
+    const project = await findProjectOrRespond(req, res);
+    if (!project) return null;
+
+    let snapshotId = req.query.snapshot;
+    if (!snapshotId) {
+        const history = await countHistoryStore.listSnapshots(project.project_id);
+        if (history.length === 0) {
+            res.status(400).json({ error: 'Finalize a count before suggesting an order' });
+            return null;
+        }
+        snapshotId = history[0].snapshotId;
+    }
+
+    const snapshot = await countHistoryStore.getSnapshot(project.project_id, snapshotId);
+    if (!snapshot) {
+        res.status(404).json({ error: 'Count not found' });
+        return null;
+    }
+
+    const list = await inventoryStore.getProjectList(project.project_id);
+    return {
+        projectName: project.project_name,
+        ...orderSuggestions.buildOrderSuggestions(snapshot, list ? list.items : [])
+    };
+}
+
+// Suggested order per vendor (JSON)
+app.get('/projects/:projectName/order-suggestions', async (req, res) => {
+    try {
+        const suggestions = await buildProjectOrderSuggestions(req, res);
+        if (!suggestions) return;
+
+        res.json(suggestions);
+
+    } catch (error) {
+        console.error('[Orders] Suggestion error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Suggested order per vendor (CSV download)
+app.get('/projects/:projectName/order-suggestions.csv', async (req, res) => {
+    try {
+        const suggestions = await buildProjectOrderSuggestions(req, res);
+        if (!suggestions) return;
+
+        const fileName = `order_${projectStore.projectKey(suggestions.projectName)}_${(suggestions.count.countedAt || '').substring(0, 10)}.csv`;
+
+        console.log(`[Orders] Downloading CSV for "${suggestions.projectName}" (${suggestions.summary.itemCount} items, ${suggestions.summary.vendorCount} vendors)`);
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(orderSuggestions.orderSuggestionsToCSV(suggestions));
+
+    } catch (error) {
+        console.error('[Orders] CSV error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// RECEIVING (deliveries) AND ACTUAL USAGE
+// ============================================
+
+// List a project's deliveries: ?after=&until= dates or timestamps to restrict the range
+app.get('/projects/:projectName/receiving', async (req, res) => {
+    try {
+        const project = await findProjectOrRespond(req, res);
+        if (!project) return;
+
+        const receipts = await receivingStore.listReceipts(project.project_id, {
+            after: req.query.after,
+            until: req.query.until
+        });
+        res.json({ projectName: project.project_name, receipts });
+
+    } catch (error) {
+        console.error('[Receiving] List error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Record a delivery: { itemId or item, quantity, unit?, unitCost?, vendor?, receivedAt? }
+app.post('/projects/:projectName/receiving', express.json(), async (req, res) => {
+    try {
+        const project = await findProjectOrRespond(req, res, { writable: true });
+        if (!project) return;
+
+        const receipt = await receivingStore.recordReceipt(project.project_id, req.body);
+
+        console.log(`[Receiving] ${receipt.quantity} x "${receipt.item}" received for "${project.project_name}"`);
+        res.status(201).json(receipt);
+
+    } catch (error) {
+        console.error('[Receiving] Record error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Delete a delivery
+app.delete('/projects/:projectName/receiving/:receiptId', async (req, res) => {
+    try {
+        const project = await findProjectOrRespond(req, res, { writable: true });
+        if (!project) return;
+
+        const deleted = await receivingStore.deleteReceipt(project.project_id, req.params.receiptId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('[Receiving] Delete error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Build a usage report between two counts: ?from=&to= snapshot ids (default: the two most recent),
+// with the deliveries received after the opening count up to the closing count
+async function buildProjectUsageReport(req, res) {
+    const project = await findProjectOrRespond(req, res);
+    if (!project) return null;
+
+    let { from, to } = req.query;
+    if (!from || !to) {
+        const history = await countHistoryStore.listSnapshots(project.project_id);
+        if (history.length < 2) {
+            res.status(400).json({ error: 'At least two counts are needed for a usage report' });
+            return null;
+        }
+        to = to || history[0].snapshotId;
+        from = from || history.find(snapshot => snapshot.snapshotId !== to).snapshotId;
+    }
+
+    const opening = await countHistoryStore.getSnapshot(project.project_id, from);
+    const closing = await countHistoryStore.getSnapshot(project.project_id, to);
+    if (!opening || !closing) {
+        res.status(404).json({ error: 'Count not found' });
+        return null;
+    }
+    if (Date.parse(opening.countedAt) >= Date.parse(closing.countedAt)) {
+        res.status(400).json({ error: 'The opening count must be earlier than the closing count' });
+        return null;
+    }
+
+    const receipts = await receivingStore.listReceipts(project.project_id, {
+        after: opening.countedAt,
+        until: closing.countedAt
+    });
+    const list = await inventoryStore.getProjectList(project.project_id);
+    return {
+        projectName: project.project_name,
+        ...usageReport.buildUsageReport(opening, closing, receipts, list ? list.items : [])
+    };
+}
+
+// Actual usage between two counts (JSON)
+app.get('/projects/:projectName/usage', async (req, res) => {
+    try {
+        const report = await buildProjectUsageReport(req, res);
+        if (!report) return;
+
+        res.json(report);
+
+    } catch (error) {
+        console.error('[Usage] Report error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Actual usage between two counts (CSV download)
+app.get('/projects/:projectName/usage.csv', async (req, res) => {
+    try {
+        const report = await buildProjectUsageReport(req, res);
+        if (!report) return;
+
+        const fileDate = iso => (iso || '').substring(0, 10);
+        const fileName = `usage_${projectStore.projectKey(report.projectName)}_${fileDate(report.opening.countedAt)}_${fileDate(report.closing.countedAt)}.csv`;
+
+        console.log(`[Usage] Downloading CSV for "${report.projectName}" (${report.summary.itemCount} items, ${report.summary.receiptCount} deliveries)`);
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(usageReport.usageReportToCSV(report));
+
+    } catch (error) {
+        console.error('[Usage] CSV error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// WASTE LOG (thrown out product, by reason code)
+// ============================================
+
+// List a project's waste entries: ?after=&until= dates or timestamps to restrict the range
+app.get('/projects/:projectName/waste', async (req, res) => {
+    try {
+        const project = await findProjectOrRespond(req, res);
+        if (!project) return;
+
+        const entries = await wasteStore.listWaste(project.project_id, {
+            after: req.query.after,
+            until: req.query.until
+        });
+        res.json({ projectName: project.project_name, reasons: wasteReasons.REASONS, entries });
+
+    } catch (error) {
+        console.error('[Waste] List error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Log waste: { itemId or item, quantity, unit?, reason?, transcript?, userId?, zone?, loggedAt? }
+// (the shelf count is not changed; the next count picks it up)
+app.post('/projects/:projectName/waste', express.json(), async (req, res) => {
+    try {
+        const project = await findProjectOrRespond(req, res, { writable: true });
+        if (!project) return;
+
+        const entry = await wasteStore.recordWaste(project.project_id, req.body);
+
+        console.log(`[Waste] ${entry.quantity} x "${entry.item}" (${entry.reason}) logged for "${project.project_name}"`);
+        res.status(201).json(entry);
+
+    } catch (error) {
+        console.error('[Waste] Log error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Delete a waste entry
+app.delete('/projects/:projectName/waste/:wasteId', async (req, res) => {
+    try {
+        const project = await findProjectOrRespond(req, res, { writable: true });
+        if (!project) return;
+
+        const deleted = await wasteStore.deleteWaste(project.project_id, req.params.wasteId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Waste entry not found' });
+        }
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('[Waste] Delete error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Build a waste report: ?after=&until= range and ?period=day|week|month (default week)
+async function buildProjectWasteReport(req, res) {
+    const project = await findProjectOrRespond(req, res);
+    if (!project) return null;
+
+    const period = req.query.period || wasteReport.DEFAULT_PERIOD;
+    if (!wasteReport.PERIODS.includes(period)) {
+        res.status(400).json({ error: `period must be one of: ${wasteReport.PERIODS.join(', ')}` });
+        return null;
+    }
+
+    const range = { after: req.query.after, until: req.query.until };
+    const entries = await wasteStore.listWaste(project.project_id, range);
+    const list = await inventoryStore.getProjectList(project.project_id);
+    return {
+        projectName: project.project_name,
+        ...wasteReport.buildWasteReport(entries, { ...range, period }, list ? list.items : [])
+    };
+}
+
+// Waste by item, reason and period (JSON)
+app.get('/projects/:projectName/waste-report', async (req, res) => {
+    try {
+        const report = await buildProjectWasteReport(req, res);
+        if (!report) return;
+
+        res.json(report);
+
+    } catch (error) {
+        console.error('[Waste] Report error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Waste by item and reason (CSV download)
+app.get('/projects/:projectName/waste-report.csv', async (req, res) => {
+    try {
+        const report = await buildProjectWasteReport(req, res);
+        if (!report) return;
+
+        const fileName = `waste_${projectStore.projectKey(report.projectName)}_${new Date().toISOString().substring(0, 10)}.csv`;
+
+        console.log(`[Waste] Downloading CSV for "${report.projectName}" (${report.summary.entryCount} entries)`);
+
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(wasteReport.wasteReportToCSV(report));
+
+    } catch (error) {
+        console.error('[Waste] CSV error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// ORDER GUIDE IMPORT (distributor CSVs, mapping profiles per vendor layout)
+// ============================================
+
+// List saved mapping profiles
+app.get('/order-guide/profiles', async (req, res) => {
+    try {
+        const profiles = await importProfileStore.listProfiles();
+        res.json({ profiles, fields: importProfileStore.FIELDS });
+
+    } catch (error) {
+        console.error('[Order Guide] Profiles error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Get one mapping profile
+app.get('/order-guide/profiles/:profileName', async (req, res) => {
+    try {
+        const profile = await importProfileStore.getProfile(req.params.profileName);
+        if (!profile) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+        res.json(profile);
+
+    } catch (error) {
+        console.error('[Order Guide] Profile error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Save a mapping profile: { vendor, columns: { sku, name, pack, unit, price, category }, headerRow }
+app.put('/order-guide/profiles/:profileName', express.json(), async (req, res) => {
+    try {
+        const { profile, created } = await importProfileStore.saveProfile(req.params.profileName, req.body || {});
+        console.log(`[Order Guide] ${created ? 'Created' : 'Updated'} profile "${profile.name}"`);
+        res.status(created ? 201 : 200).json({ success: true, profile });
+
+    } catch (error) {
+        console.error('[Order Guide] Save profile error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Delete a mapping profile
+app.delete('/order-guide/profiles/:profileName', async (req, res) => {
+    try {
+        const deleted = await importProfileStore.deleteProfile(req.params.profileName);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Profile not found' });
+        }
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('[Order Guide] Delete profile error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Read an uploaded order guide (form field file) and plan merging it into the project's master list.
+// Form fields: profile (saved mapping), and/or columns (JSON { field: column }, over the profile's),
+// vendor, headerRow, threshold (name similarity from 0 to 1 to match an existing item, default 0.85)
+async function buildOrderGuidePlan(req, res) {
+    const project = await findProjectOrRespond(req, res);
+    if (!project) return null;
+
+    if (!req.file) {
+        res.status(400).json({ error: 'No file uploaded' });
+        return null;
+    }
+
+    const body = req.body || {};
+    let profile = null;
+    if (body.profile) {
+        profile = await importProfileStore.getProfile(body.profile);
+        if (!profile) {
+            res.status(404).json({ error: `Profile "${body.profile}" not found` });
+            return null;
+        }
+    }
+
+    let columns = {};
+    if (body.columns) {
+        try {
+            columns = JSON.parse(body.columns);
+        } catch (error) {
+            res.status(400).json({ error: 'columns must be JSON: { "name": "Description", ... }' });
+            return null;
+        }
+    }
+    const mapping = importProfileStore.validateMapping({
+        vendor: body.vendor !== undefined ? body.vendor : profile && profile.vendor,
+        columns: { ...(profile ? profile.columns : {}), ...columns },
+        headerRow: body.headerRow !== undefined ? body.headerRow : profile && profile.headerRow
+    });
+
+    const threshold = body.threshold === undefined ? orderGuideImport.DEFAULT_THRESHOLD : Number(body.threshold);
+    if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+        res.status(400).json({ error: 'threshold must be a number above 0 and at most 1' });
+        return null;
+    }
+
+    const list = await inventoryStore.getProjectList(project.project_id);
+    const costs = list
+        ? await itemCostStore.getCostsOn(list.listId, new Date().toISOString().substring(0, 10))
+        : new Map();
+    const guide = orderGuideImport.readOrderGuide(req.file.buffer, mapping);
+    const plan = orderGuideImport.planImport(guide.rows, list ? list.items : [], costs, { threshold });
+
+    return {
+        project,
+        list,
+        plan,
+        details: {
+            projectName: project.project_name,
+            fileName: req.file.originalname,
+            profile: profile ? profile.name : null,
+            vendor: mapping.vendor,
+            headerRow: guide.headerRow,
+            columns: guide.columns,
+            threshold
+        }
+    };
+}
+
+// Preview an order guide import: what each row would do (add, update, unchanged) and its errors
+app.post('/projects/:projectName/order-guide/preview', upload.single('file'), async (req, res) => {
+    try {
+        const result = await buildOrderGuidePlan(req, res);
+        if (!result) return;
+
+        res.json({ ...result.details, summary: result.plan.summary, rows: result.plan.rows });
+
+    } catch (error) {
+        console.error('[Order Guide] Preview error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Import an order guide into the master list (rows with errors are skipped; saved as a new version)
+app.post('/projects/:projectName/order-guide/import', upload.single('file'), async (req, res) => {
+    try {
+        const result = await buildOrderGuidePlan(req, res);
+        if (!result) return;
+
+        const { summary } = result.plan;
+        let saved = null;
+        if (summary.add + summary.update > 0) {
+            const items = orderGuideImport.toMasterListItems(result.plan, result.list ? result.list.items : []);
+            saved = await projectStore.saveMasterList(result.project.project_name, items);
+        }
+
+        console.log(`[Order Guide] Imported "${result.details.fileName}" into "${result.project.project_name}": ${summary.add} added, ${summary.update} updated, ${summary.error} skipped`);
+        res.json({
+            success: true,
+            ...result.details,
+            summary,
+            rows: result.plan.rows,
+            version: saved ? saved.version : null,
+            diff: saved ? saved.diff : null
+        });
+
+    } catch (error) {
+        console.error('[Order Guide] Import error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// PRINTABLE COUNT SHEETS (PDF)
+// ============================================
+
+// Lay out a count sheet for a project's master list: ?columns= comma-separated labels for the blank
+// count columns (default: the project's zones, or a single Count column)
+async function buildProjectCountSheet(req, res) {
+    const project = await findProjectOrRespond(req, res);
+    if (!project) return null;
+
+    const list = await inventoryStore.getProjectList(project.project_id);
+    if (!list) {
+        res.status(404).json({ error: 'Project has no master list' });
+        return null;
+    }
+
+    const columns = countSheet.parseColumns(req.query.columns);
+    const zones = columns ? [] : await projectStore.getZones(project.project_name);
+    return countSheet.buildCountSheet(list, {
+        projectName: project.project_name,
+        projectKey: projectStore.projectKey(project.project_name),
+        zones,
+        columns
+    });
+}
+
+// Count sheet layout (JSON)
+app.get('/projects/:projectName/count-sheet', async (req, res) => {
+    try {
+        const sheet = await buildProjectCountSheet(req, res);
+        if (!sheet) return;
+
+        res.json(sheet);
+
+    } catch (error) {
+        console.error('[Count Sheet] Layout error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Count sheet to print (PDF download); each page carries the list version marker read back by /vision/parse
+app.get('/projects/:projectName/count-sheet.pdf', async (req, res) => {
+    try {
+        const sheet = await buildProjectCountSheet(req, res);
+        if (!sheet) return;
+
+        const pdf = await countSheet.renderCountSheetPdf(sheet);
+        const fileName = `count_sheet_${projectStore.projectKey(sheet.projectName)}_v${sheet.version}.pdf`;
+
+        console.log(`[Count Sheet] Printing "${sheet.projectName}" v${sheet.version} (${sheet.itemCount} items, ${sheet.sections.length} sections)`);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.send(pdf);
+
+    } catch (error) {
+        console.error('[Count Sheet] PDF error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// INVENTORY LISTS / ITEMS (stable item ids)
+// ============================================
+
+// List inventory lists (optionally for one project)
+app.get('/inventory-lists', async (req, res) => {
+    try {
+        const { projectName } = req.query;
+        let projectId = null;
+
+        if (projectName) {
+            if (!validateProjectName(projectName)) {
+                return res.status(400).json({ error: 'Invalid project name' });
+            }
+            const project = await projectStore.findProject(projectName);
+            if (!project) {
+                return res.json({ lists: [] });
+            }
+            projectId = project.project_id;
+        }
+
+        const lists = await inventoryStore.listInventoryLists({ projectId });
+        res.json({ lists });
+
+    } catch (error) {
+        console.error('[Inventory] List error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Create an inventory list (as a project's master list when projectName is given)
+app.post('/inventory-lists', express.json(), async (req, res) => {
+    try {
+        const { name, projectName, items } = req.body;
+        let projectId = null;
+
+        if (projectName) {
+            if (!validateProjectName(projectName)) {
+                return res.status(400).json({ error: 'Invalid project name' });
+            }
+            const project = await projectStore.ensureProject(projectName);
+            projectStore.assertWritable(project);
+            projectId = project.project_id;
+        }
+
+        if (items !== undefined && !Array.isArray(items)) {
+            return res.status(400).json({ error: 'Items must be an array of item names or items' });
+        }
+
+        const list = await inventoryStore.createInventoryList({ name: name || projectName, projectId, items });
+
+        console.log(`[Inventory] Created list "${list.name}" (${list.itemCount} items)`);
+        res.status(201).json(list);
+
+    } catch (error) {
+        console.error('[Inventory] Create error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Get an inventory list with its items
+app.get('/inventory-lists/:listId', async (req, res) => {
+    try {
+        const list = await inventoryStore.getInventoryList(req.params.listId);
+        if (!list) {
+            return res.status(404).json({ error: 'List not found' });
+        }
+        res.json(list);
+
+    } catch (error) {
+        console.error('[Inventory] Retrieve error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Rename an inventory list
+app.put('/inventory-lists/:listId', express.json(), async (req, res) => {
+    try {
+        await projectStore.assertListWritable(req.params.listId);
+        const list = await inventoryStore.updateInventoryList(req.params.listId, req.body);
+        if (!list) {
+            return res.status(404).json({ error: 'List not found' });
+        }
+        res.json(list);
+
     } catch (error) {
-        res.status(500).json({ error: error.message });
+        console.error('[Inventory] Update error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
 });
 
-// ============================================
-// MASTER LIST PERSISTENCE ENDPOINTS
-// ============================================
-
-// Ensure data directories exist
-const BASE_DATA_DIR = path.join(__dirname, 'data');
-const DATA_DIR = path.join(__dirname, 'data', 'projects');
+// Delete an inventory list and its items (409 once it has been counted: the count ledger is kept)
+app.delete('/inventory-lists/:listId', async (req, res) => {
+    try {
+        await projectStore.assertListWritable(req.params.listId);
+        const deleted = await inventoryStore.deleteInventoryList(req.params.listId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'List not found' });
+        }
 
-if (!fs.existsSync(BASE_DATA_DIR)) {
-    fs.mkdirSync(BASE_DATA_DIR, { recursive: true });
-}
-if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-}
+        console.log(`[Inventory] Deleted list ${req.params.listId}`);
+        res.json({ success: true });
 
-// Validate project name (prevent path traversal)
-function validateProjectName(name) {
-    if (!name || typeof name !== 'string') {
-        return false;
+    } catch (error) {
+        console.error('[Inventory] Delete error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
-    // Only allow letters, numbers, dash, underscore, and spaces
-    const validPattern = /^[a-zA-Z0-9_\-\s]+$/;
-    return validPattern.test(name) && name.length > 0 && name.length <= 100;
-}
+});
 
-// Save master list to server
-app.post('/projects/save-master-list', express.json(), (req, res) => {
+// Reorder items: { itemIds: [every item id, in the new order] }
+app.put('/inventory-lists/:listId/order', express.json(), async (req, res) => {
     try {
-        const { projectName, items } = req.body;
-        
-        // Validate project name
-        if (!validateProjectName(projectName)) {
-            return res.status(400).json({ 
-                error: 'Invalid project name. Use only letters, numbers, dashes, underscores, and spaces.' 
-            });
-        }
-        
-        // Validate items
-        if (!Array.isArray(items) || items.length === 0) {
-            return res.status(400).json({ error: 'Items must be a non-empty array' });
-        }
-        
-        // Create project directory
-        const projectDir = path.join(DATA_DIR, projectName.replace(/\s+/g, '_'));
-        if (!fs.existsSync(projectDir)) {
-            fs.mkdirSync(projectDir, { recursive: true });
+        await projectStore.assertListWritable(req.params.listId);
+        const list = await inventoryStore.reorderInventoryItems(req.params.listId, req.body.itemIds);
+        if (!list) {
+            return res.status(404).json({ error: 'List not found' });
         }
-        
-        // Save master list
-        const masterListPath = path.join(projectDir, 'master_list.json');
-        const data = {
-            projectName,
-            items,
-            createdAt: new Date().toISOString(),
-            itemCount: items.length
-        };
-        
-        fs.writeFileSync(masterListPath, JSON.stringify(data, null, 2));
-        
-        console.log(`[Master List] Saved: ${projectName} (${items.length} items)`);
-        res.json({ success: true, projectName, itemCount: items.length });
-        
+        res.json(list);
+
     } catch (error) {
-        console.error('[Master List] Save error:', error);
-        res.status(500).json({ error: error.message });
+        console.error('[Inventory] Reorder error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
 });
 
-// Retrieve master list from server
-app.get('/projects/:projectName/master-list', (req, res) => {
+// Add an item: { name, position? }
+app.post('/inventory-lists/:listId/items', express.json(), async (req, res) => {
     try {
-        const { projectName } = req.params;
-
-        // Validate project name
-        if (!validateProjectName(projectName)) {
-            return res.status(400).json({ error: 'Invalid project name' });
+        await projectStore.assertListWritable(req.params.listId);
+        const item = await inventoryStore.addInventoryItem(req.params.listId, req.body);
+        if (!item) {
+            return res.status(404).json({ error: 'List not found' });
         }
+        res.status(201).json(item);
 
-        const projectDir = path.join(DATA_DIR, projectName.replace(/\s+/g, '_'));
-        const masterListPath = path.join(projectDir, 'master_list.json');
+    } catch (error) {
+        console.error('[Inventory] Add item error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
 
-        if (!fs.existsSync(masterListPath)) {
-            return res.status(404).json({ error: 'Master list not found' });
+// Rename an item (item_id and its counts are kept)
+app.put('/inventory-lists/:listId/items/:itemId', express.json(), async (req, res) => {
+    try {
+        await projectStore.assertListWritable(req.params.listId);
+        const item = await inventoryStore.updateInventoryItem(req.params.listId, req.params.itemId, req.body);
+        if (!item) {
+            return res.status(404).json({ error: 'Item not found' });
         }
-
-        const data = JSON.parse(fs.readFileSync(masterListPath, 'utf8'));
-        res.json(data);
+        res.json(item);
 
     } catch (error) {
-        console.error('[Master List] Retrieve error:', error);
-        res.status(500).json({ error: error.message });
+        console.error('[Inventory] Update item error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
 });
 
-// List all saved projects
-app.get('/projects/list', (req, res) => {
+// Delete an item
+app.delete('/inventory-lists/:listId/items/:itemId', async (req, res) => {
     try {
-        if (!fs.existsSync(DATA_DIR)) {
-            return res.json({ projects: [] });
+        await projectStore.assertListWritable(req.params.listId);
+        const deleted = await inventoryStore.deleteInventoryItem(req.params.listId, req.params.itemId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Item not found' });
         }
+        res.json({ success: true });
 
-        const projectDirs = fs.readdirSync(DATA_DIR);
-        const projects = [];
+    } catch (error) {
+        console.error('[Inventory] Delete item error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
 
-        projectDirs.forEach(dirName => {
-            const masterListPath = path.join(DATA_DIR, dirName, 'master_list.json');
-            if (fs.existsSync(masterListPath)) {
-                const data = JSON.parse(fs.readFileSync(masterListPath, 'utf8'));
-                projects.push({
-                    name: data.projectName,
-                    itemCount: data.itemCount,
-                    createdAt: data.createdAt
-                });
-            }
-        });
+// An item's unit cost history (most recent first)
+app.get('/inventory-lists/:listId/items/:itemId/costs', async (req, res) => {
+    try {
+        const costs = await itemCostStore.listItemCosts(req.params.listId, req.params.itemId);
+        if (!costs) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+        res.json({ costs });
 
-        // Sort by most recent first
-        projects.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    } catch (error) {
+        console.error('[Inventory] List costs error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
 
-        res.json({ projects });
+// Set an item's unit cost (per base unit): { unitCost, effectiveDate? (YYYY-MM-DD, default today) }
+app.post('/inventory-lists/:listId/items/:itemId/costs', express.json(), async (req, res) => {
+    try {
+        await projectStore.assertListWritable(req.params.listId);
+        const cost = await itemCostStore.setItemCost(req.params.listId, req.params.itemId, req.body);
+        if (!cost) {
+            return res.status(404).json({ error: 'Item not found' });
+        }
+        res.status(201).json(cost);
 
     } catch (error) {
-        console.error('[Projects] List error:', error);
-        res.status(500).json({ error: error.message });
+        console.error('[Inventory] Set cost error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
 });
 
 // Stage 4: Align scanned items with master list
-app.post('/vision/align-master-list', express.json(), (req, res) => {
+app.post('/vision/align-master-list', express.json(), async (req, res) => {
     try {
         const { scanId, projectName } = req.body;
 
@@ -723,33 +2085,38 @@ app.post('/vision/align-master-list', express.json(), (req, res) => {
             return res.status(400).json({ error: 'Invalid project name' });
         }
 
-        const projectDir = path.join(DATA_DIR, projectName.replace(/\s+/g, '_'));
-        const masterListPath = path.join(projectDir, 'master_list.json');
-
-        if (!fs.existsSync(masterListPath)) {
+        const masterData = await projectStore.getMasterList(projectName);
+        if (!masterData) {
             return res.status(404).json({ error: 'Master list not found for this project' });
         }
 
-        const masterData = JSON.parse(fs.readFileSync(masterListPath, 'utf8'));
-        const masterList = masterData.items;
+        // Alignment works on names only, always against the current master list; a scanned count sheet
+        // of this project is read through the version it was printed from (see alignCountSheet)
+        const printed = scan.countSheet && scan.countSheet.listId === masterData.listId ? scan.countSheet : null;
+        const masterList = masterListItems.toNames(masterData.items);
 
         // Extract scanned item names
         const scannedItemNames = scan.items.map(item => item.name);
 
         // Perform Stage 4: Master List Alignment
-        const alignment = alignWithMasterList(scannedItemNames, masterList);
+        const alignment = printed
+            ? alignCountSheet(scannedItemNames, printed, masterData.items)
+            : alignWithMasterList(scannedItemNames, masterList);
 
         // Store alignment results in scan
         scanResults[scanId].alignment = alignment;
         scanResults[scanId].projectName = projectName;
         scanResults[scanId].masterList = masterList;
 
-        console.log(`[Alignment] Completed for scan ${scanId} with project "${projectName}"`);
+        console.log(`[Alignment] Completed for scan ${scanId} with project "${projectName}"${printed ? ` (count sheet v${printed.version})` : ''}`);
 
         res.json({
             success: true,
             alignment,
-            masterList
+            masterList,
+            categories: masterData.categories,
+            masterListVersion: masterData.version,
+            countSheetVersion: printed ? printed.version : null
         });
 
     } catch (error) {
@@ -765,29 +2132,10 @@ app.post('/vision/align-master-list', express.json(), (req, res) => {
 // ========== GLOBAL ALIASES (Used across all projects) ==========
 
 // Get global aliases
-app.get('/aliases', (req, res) => {
+app.get('/aliases', async (req, res) => {
     try {
-        const globalAliasesPath = path.join(BASE_DATA_DIR, 'global_aliases.json');
-        console.log(`\n═══ GET /aliases ═══`);
-        console.log(`📂 File path: ${globalAliasesPath}`);
-        console.log(`📂 Absolute path: ${path.resolve(globalAliasesPath)}`);
-        console.log(`📂 File exists: ${fs.existsSync(globalAliasesPath)}`);
-
-        if (!fs.existsSync(globalAliasesPath)) {
-            console.log(`⚠️  File does not exist - returning empty aliases`);
-            // Return empty aliases if none saved yet
-            return res.json({ aliases: {}, updatedAt: null });
-        }
-
-        const fileContent = fs.readFileSync(globalAliasesPath, 'utf8');
-        console.log(`📄 File size: ${fileContent.length} bytes`);
-        console.log(`📄 File content preview: ${fileContent.substring(0, 200)}...`);
-
-        const data = JSON.parse(fileContent);
-        const aliasCount = Object.keys(data.aliases || {}).length;
-        console.log(`✅ Returning ${aliasCount} master items with aliases`);
-        console.log(`✅ Alias master items: ${Object.keys(data.aliases || {}).join(', ')}`);
-
+        const data = await projectStore.getGlobalAliases();
+        console.log(`[Global Aliases] Returning ${Object.keys(data.aliases).length} master items with aliases`);
         res.json(data);
 
     } catch (error) {
@@ -796,8 +2144,8 @@ app.get('/aliases', (req, res) => {
     }
 });
 
-// Save global aliases
-app.post('/aliases', express.json(), (req, res) => {
+// Save global aliases (replaces the full set)
+app.post('/aliases', express.json(), async (req, res) => {
     try {
         const { aliases } = req.body;
 
@@ -805,19 +2153,7 @@ app.post('/aliases', express.json(), (req, res) => {
             return res.status(400).json({ error: 'Aliases must be an object' });
         }
 
-        // Ensure BASE_DATA_DIR exists
-        if (!fs.existsSync(BASE_DATA_DIR)) {
-            fs.mkdirSync(BASE_DATA_DIR, { recursive: true });
-        }
-
-        // Save global aliases to file
-        const globalAliasesPath = path.join(BASE_DATA_DIR, 'global_aliases.json');
-        const data = {
-            aliases,
-            updatedAt: new Date().toISOString()
-        };
-
-        fs.writeFileSync(globalAliasesPath, JSON.stringify(data, null, 2));
+        await projectStore.replaceGlobalAliases(aliases);
 
         console.log(`[Global Aliases] Saved ${Object.keys(aliases).length} global aliases`);
 
@@ -832,7 +2168,7 @@ app.post('/aliases', express.json(), (req, res) => {
 // ========== PROJECT-SPECIFIC ALIASES (Legacy, may not be used) ==========
 
 // Save voice aliases for a project
-app.post('/projects/:projectName/aliases', express.json(), (req, res) => {
+app.post('/projects/:projectName/aliases', express.json(), async (req, res) => {
     try {
         const { projectName } = req.params;
         const { aliases } = req.body;
@@ -845,33 +2181,23 @@ app.post('/projects/:projectName/aliases', express.json(), (req, res) => {
             return res.status(400).json({ error: 'Aliases must be an object' });
         }
 
-        const projectDir = path.join(DATA_DIR, projectName.replace(/\s+/g, '_'));
-        if (!fs.existsSync(projectDir)) {
+        const saved = await projectStore.replaceProjectAliases(projectName, aliases);
+        if (!saved) {
             return res.status(404).json({ error: 'Project not found' });
         }
 
-        // Save aliases to file
-        const aliasesPath = path.join(projectDir, 'aliases.json');
-        const data = {
-            projectName,
-            aliases,
-            updatedAt: new Date().toISOString()
-        };
-
-        fs.writeFileSync(aliasesPath, JSON.stringify(data, null, 2));
-
         console.log(`[Aliases] Saved ${Object.keys(aliases).length} aliases for project "${projectName}"`);
 
         res.json({ success: true, aliasCount: Object.keys(aliases).length });
 
     } catch (error) {
         console.error('[Aliases] Save error:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
 });
 
 // Retrieve voice aliases for a project
-app.get('/projects/:projectName/aliases', (req, res) => {
+app.get('/projects/:projectName/aliases', async (req, res) => {
     try {
         const { projectName } = req.params;
 
@@ -879,15 +2205,8 @@ app.get('/projects/:projectName/aliases', (req, res) => {
             return res.status(400).json({ error: 'Invalid project name' });
         }
 
-        const projectDir = path.join(DATA_DIR, projectName.replace(/\s+/g, '_'));
-        const aliasesPath = path.join(projectDir, 'aliases.json');
-
-        if (!fs.existsSync(aliasesPath)) {
-            // Return empty aliases if none saved yet
-            return res.json({ projectName, aliases: {}, updatedAt: null });
-        }
-
-        const data = JSON.parse(fs.readFileSync(aliasesPath, 'utf8'));
+        // Returns empty aliases if none saved yet
+        const data = await projectStore.getProjectAliases(projectName);
         res.json(data);
 
     } catch (error) {
@@ -907,7 +2226,6 @@ app.post('/live-count/parse-command', express.json(), async (req, res) => {
         const {
             transcript,
             sttTopChoices,
-            masterList,
             aliasDictionary,
             parsedSlots,
             recentContext,
@@ -918,15 +2236,24 @@ app.post('/live-count/parse-command', express.json(), async (req, res) => {
             return res.status(400).json({ error: 'Transcript required' });
         }
 
-        if (!masterList || !Array.isArray(masterList)) {
+        if (!req.body.masterList || !Array.isArray(req.body.masterList)) {
             return res.status(400).json({ error: 'Master list required' });
         }
 
+        // Item names or structured items; the resolution engine only sees names
+        const masterList = masterListItems.toNames(req.body.masterList);
+
         console.log(`[Live Count Parse] Transcript: "${transcript}"`);
         console.log(`[Live Count Parse] Master list: ${masterList.length} items`);
         console.log(`[Live Count Parse] STT Top Choices: ${JSON.stringify(sttTopChoices || [])}`);
         console.log(`[Live Count Parse] Aliases: ${Object.keys(aliasDictionary || {}).length} mappings`);
 
+        // Numbers as parsed by the spoken-number grammar ("twenty three", "two and a half")
+        const slots = {
+            ...(parsedSlots || {}),
+            numberCandidates: spokenNumbers.findNumbers(transcript).map(number => number.value)
+        };
+
         // Build alias dictionary for Claude
         const aliasDictStr = aliasDictionary ? JSON.stringify(aliasDictionary, null, 2) : '{}';
 
@@ -1021,11 +2348,22 @@ If verb is ambiguous → NEEDS_CONFIRMATION.
 NUMBER RULES
 ────────────────────────────────────────
 • Use ONLY numbers in numberCandidates or explicit numeric tokens.
+• numberCandidates are already parsed from speech and may be fractional
+  ("twenty three" → 23, "two and a half" → 2.5, "half a case" → 0.5, "a dozen" → 12).
 • If exactly one number → value = that number.
 • If explicit "X plus Y" → value = X + Y.
 • If no reliable number → value = null AND NEEDS_CONFIRMATION.
 • ERASE does not require a number.
 
+────────────────────────────────────────
+UNIT RULES
+────────────────────────────────────────
+• Unit words after the number ("2 cases of shrimp", "3 pounds chicken",
+  "1 sleeve cups") describe the quantity, NOT the item.
+• Ignore the unit word when resolving canonicalItem.
+• value = the number as spoken (2 for "2 cases"). Do NOT convert units.
+• unit = the unit word as spoken (use parsedSlots.unitCandidate if given), or null if none.
+
 ────────────────────────────────────────
 DECISION STATES
 ────────────────────────────────────────
@@ -1064,6 +2402,7 @@ Return EXACTLY this schema:
   "canonicalItem": "string|UNMAPPED",
   "operation": "ADD|SUBTRACT|SET|ERASE|null",
   "value": number|null,
+  "unit": "string|null",
   "decisionState": "AUTO_COMMIT|NEEDS_CONFIRMATION|UNMAPPED",
   "topChoices": ["string","string","string"],
   "aliasToSave": "string|null"
@@ -1081,7 +2420,7 @@ Rules:
 - sttTopChoices: ${JSON.stringify(sttTopChoices || [])}
 - masterList: ${JSON.stringify(masterList)}
 - aliasDictionary: ${aliasDictStr}
-- parsedSlots: ${JSON.stringify(parsedSlots || {})}
+- parsedSlots: ${JSON.stringify(slots)}
 - recentContext: ${recentContext || 'null'}
 - allowAliasAutoSave: ${allowAliasAutoSave || false}
 
@@ -1123,6 +2462,9 @@ BEGIN PROCESSING WITH PROVIDED INPUT`;
             });
         }
 
+        // Unit the count was spoken in ("2 cases"); the client converts it to the item's base unit
+        const unit = units.normalizeUnit(parsed.unit) || units.findUnit(spokenNumbers.normalizeNumbers(transcript));
+
         // Handle UNMAPPED response
         if (parsed.canonicalItem === 'UNMAPPED' || parsed.decisionState === 'UNMAPPED') {
             console.log(`[Live Count Parse] UNMAPPED - no plausible masterList item`);
@@ -1150,8 +2492,11 @@ BEGIN PROCESSING WITH PROVIDED INPUT`;
                 item: matchedItem || parsed.canonicalItem,
                 operation: parsed.operation,
                 quantity: parsed.value,
+                unit,
                 topChoices: parsed.topChoices,
-                aliasToSave: null  // Per spec: NEEDS_CONFIRMATION → aliasToSave = null
+                aliasToSave: null,  // Per spec: NEEDS_CONFIRMATION → aliasToSave = null
+                decisionState: 'NEEDS_CONFIRMATION',
+                source: 'claude'
             });
         }
 
@@ -1170,7 +2515,7 @@ BEGIN PROCESSING WITH PROVIDED INPUT`;
                 });
             }
 
-            console.log(`[Live Count Parse] AUTO_COMMIT: ${parsed.operation} ${parsed.value} ${matchedItem}`);
+            console.log(`[Live Count Parse] AUTO_COMMIT: ${parsed.operation} ${parsed.value}${unit ? ' ' + unit : ''} ${matchedItem}`);
             console.log(`   Alias to save: ${parsed.aliasToSave || 'none'}`);
 
             res.json({
@@ -1179,8 +2524,11 @@ BEGIN PROCESSING WITH PROVIDED INPUT`;
                 item: matchedItem,
                 operation: parsed.operation,
                 quantity: parsed.value,
+                unit,
                 topChoices: parsed.topChoices,
-                aliasToSave: parsed.aliasToSave
+                aliasToSave: parsed.aliasToSave,
+                decisionState: 'AUTO_COMMIT',
+                source: 'claude'
             });
         } else {
             console.error(`[Live Count Parse] ERROR: Unknown decisionState: ${parsed.decisionState}`);
@@ -1201,7 +2549,8 @@ BEGIN PROCESSING WITH PROVIDED INPUT`;
 
 // Helper: Parse operation from transcript
 function parseOperation(transcript) {
-    const lower = transcript.toLowerCase();
+    // Numbers as digits first, so the "and" in "two and a half" is not read as ADD
+    const lower = spokenNumbers.normalizeNumbers(transcript).toLowerCase();
 
     if (/\b(erase|clear|delete|zero)\b/.test(lower)) return 'ERASE';
     if (/\b(add|plus|and)\b/.test(lower)) return 'ADD';
@@ -1212,34 +2561,9 @@ function parseOperation(transcript) {
     return 'SET';
 }
 
-// Helper: Extract number from transcript
+// Helper: Extract number from transcript ("twenty three", "two and a half", "a dozen" - see spokenNumbers.js)
 function extractNumber(transcript) {
-    // Handle written numbers
-    const numberWords = {
-        'zero': 0, 'one': 1, 'two': 2, 'three': 3, 'four': 4,
-        'five': 5, 'six': 6, 'seven': 7, 'eight': 8, 'nine': 9,
-        'ten': 10, 'eleven': 11, 'twelve': 12, 'thirteen': 13,
-        'fourteen': 14, 'fifteen': 15, 'sixteen': 16, 'seventeen': 17,
-        'eighteen': 18, 'nineteen': 19, 'twenty': 20, 'thirty': 30,
-        'forty': 40, 'fifty': 50, 'sixty': 60, 'seventy': 70,
-        'eighty': 80, 'ninety': 90, 'hundred': 100
-    };
-
-    // Try to find digit sequences first
-    const digitMatch = transcript.match(/\b\d+\b/);
-    if (digitMatch) {
-        return parseInt(digitMatch[0], 10);
-    }
-
-    // Try to find written numbers
-    const words = transcript.toLowerCase().split(/\s+/);
-    for (const word of words) {
-        if (numberWords[word] !== undefined) {
-            return numberWords[word];
-        }
-    }
-
-    return null;
+    return spokenNumbers.extractNumber(transcript);
 }
 
 // Helper: Current Protocol Resolution (simple matching)
@@ -1277,7 +2601,7 @@ function resolveCurrentProtocol(transcript, masterListCandidates, aliasDictionar
     let bestSimilarity = 0;
 
     for (const item of masterListCandidates) {
-        const similarity = calculateSimilarity(lower, item.toLowerCase());
+        const similarity = duplicateFinder.calculateSimilarity(lower, item.toLowerCase());
         if (similarity > bestSimilarity) {
             bestSimilarity = similarity;
             bestMatch = item;
@@ -1341,7 +2665,7 @@ function resolveNewProtocol(transcript, alternatives, masterListCandidates, alia
         let bestSimilarity = 0;
 
         for (const item of masterListCandidates) {
-            const similarity = calculateSimilarity(lower, item.toLowerCase());
+            const similarity = duplicateFinder.calculateSimilarity(lower, item.toLowerCase());
             if (similarity > bestSimilarity) {
                 bestSimilarity = similarity;
                 bestMatch = item;
@@ -1408,6 +2732,7 @@ function compareGoogleSttVersions(primaryTranscript, alternatives, targetItem, r
             canonicalItem: targetItem,
             operation: operation1,
             value: value1,
+            unit: units.findUnit(spokenNumbers.normalizeNumbers(version1)),
             label: 'Primary'
         },
         googleSttVersion2: {
@@ -1415,6 +2740,7 @@ function compareGoogleSttVersions(primaryTranscript, alternatives, targetItem, r
             canonicalItem: targetItem,
             operation: operation2,
             value: value2,
+            unit: units.findUnit(spokenNumbers.normalizeNumbers(version2)),
             label: 'Alternative 1'
         },
         googleSttVersion3: {
@@ -1422,6 +2748,7 @@ function compareGoogleSttVersions(primaryTranscript, alternatives, targetItem, r
             canonicalItem: targetItem,
             operation: operation3,
             value: value3,
+            unit: units.findUnit(spokenNumbers.normalizeNumbers(version3)),
             label: 'Alternative 2'
         },
         trainingItem: targetItem,
@@ -1451,6 +2778,7 @@ function compareProtocols(transcript, alternatives, masterListCandidates, aliasD
             canonicalItem: currentResult.canonicalItem,
             operation: currentOperation,
             value: currentValue,
+            unit: units.findUnit(spokenNumbers.normalizeNumbers(transcript)),
             confidence: currentResult.confidence,
             needsConfirmation: currentResult.confidence < 0.85,
             topChoices: [
@@ -1487,6 +2815,7 @@ function compareProtocols(transcript, alternatives, masterListCandidates, aliasD
             canonicalItem: newResult.canonicalItem,
             operation: newOperation,
             value: newValue,
+            unit: units.findUnit(spokenNumbers.normalizeNumbers(transcript)),
             confidence: newResult.confidence,
             needsConfirmation: newResult.confidence < 0.85,
             topChoices: newResult.topChoices
@@ -1523,10 +2852,25 @@ function compareProtocols(transcript, alternatives, masterListCandidates, aliasD
     };
 }
 
+// Counts saved while a count session is open come from the session, so devices
+// sharing it don't overwrite each other's counts (last writer no longer wins).
+// Returns { counts, zoneCounts }: item totals and their { item: { zone: quantity } } breakdown.
+async function mergeOpenSessionCounts(projectName, counts, zoneCounts) {
+    const masterList = await projectStore.getMasterList(projectName);
+    const session = masterList && await sessionStore.findOpenSession(masterList.listId);
+    if (!session) {
+        return { counts, zoneCounts: zoneCounts || null };
+    }
+    return {
+        counts: { ...(counts || {}), ...session.counts },
+        zoneCounts: { ...(zoneCounts || {}), ...session.zoneCounts }
+    };
+}
+
 // Autosave Live Count state (3-minute interval)
 app.post('/live-count/autosave', express.json(), async (req, res) => {
     try {
-        const { projectName, masterList, counts, timestamp } = req.body;
+        const { projectName, masterList, counts, zoneCounts, timestamp } = req.body;
 
         if (!projectName || !validateProjectName(projectName)) {
             return res.status(400).json({ error: 'Valid project name required' });
@@ -1534,36 +2878,25 @@ app.post('/live-count/autosave', express.json(), async (req, res) => {
 
         console.log(`[Live Count Autosave] Project: "${projectName}"`);
 
-        const projectDir = path.join(DATA_DIR, projectName.replace(/\s+/g, '_'));
-        if (!fs.existsSync(projectDir)) {
-            fs.mkdirSync(projectDir, { recursive: true });
-        }
-
-        // Save counts to autosave file
-        const autosavePath = path.join(projectDir, 'live_count_autosave.json');
-        const data = {
-            projectName,
+        const data = await projectStore.saveLiveCount(projectName, 'autosave', {
             masterList,
-            counts,
-            timestamp,
-            savedAt: new Date().toISOString()
-        };
-
-        fs.writeFileSync(autosavePath, JSON.stringify(data, null, 2));
+            ...await mergeOpenSessionCounts(projectName, counts, zoneCounts),
+            timestamp
+        });
 
         console.log(`[Live Count Autosave] Saved at ${data.savedAt}`);
-        res.json({ success: true, savedAt: data.savedAt });
+        res.json({ success: true, savedAt: data.savedAt, counts: data.counts, zoneCounts: data.zoneCounts });
 
     } catch (error) {
         console.error('[Live Count Autosave] Error:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
 });
 
 // Manual save Live Count state
 app.post('/live-count/save', express.json(), async (req, res) => {
     try {
-        const { projectName, masterList, counts, timestamp } = req.body;
+        const { projectName, masterList, counts, zoneCounts, timestamp } = req.body;
 
         if (!projectName || !validateProjectName(projectName)) {
             return res.status(400).json({ error: 'Valid project name required' });
@@ -1571,29 +2904,281 @@ app.post('/live-count/save', express.json(), async (req, res) => {
 
         console.log(`[Live Count Manual Save] Project: "${projectName}"`);
 
-        const projectDir = path.join(DATA_DIR, projectName.replace(/\s+/g, '_'));
-        if (!fs.existsSync(projectDir)) {
-            fs.mkdirSync(projectDir, { recursive: true });
-        }
-
-        // Save to manual save file (separate from autosave)
-        const savePath = path.join(projectDir, 'live_count.json');
-        const data = {
-            projectName,
+        // Saved separately from the autosave
+        const data = await projectStore.saveLiveCount(projectName, 'manual', {
             masterList,
-            counts,
-            timestamp,
-            savedAt: new Date().toISOString()
-        };
-
-        fs.writeFileSync(savePath, JSON.stringify(data, null, 2));
+            ...await mergeOpenSessionCounts(projectName, counts, zoneCounts),
+            timestamp
+        });
 
         console.log(`[Live Count Manual Save] Saved at ${data.savedAt}`);
-        res.json({ success: true, savedAt: data.savedAt });
+        res.json({ success: true, savedAt: data.savedAt, counts: data.counts, zoneCounts: data.zoneCounts });
 
     } catch (error) {
         console.error('[Live Count Manual Save] Error:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// COUNT SESSION ENDPOINTS (server-side Live Count state)
+// ============================================
+
+const SESSION_STATUSES = ['active', 'paused', 'finalized', 'abandoned'];
+
+// Start a count session for a project, or pick up its open session from another device
+app.post('/count-sessions', express.json(), async (req, res) => {
+    try {
+        const { projectName, userId } = req.body;
+
+        if (!validateProjectName(projectName)) {
+            return res.status(400).json({ error: 'Valid project name required' });
+        }
+
+        const masterList = await projectStore.getMasterList(projectName);
+        if (!masterList) {
+            return res.status(404).json({ error: 'Master list not found' });
+        }
+        if (masterList.archivedAt) {
+            return res.status(409).json({ error: `Project "${masterList.projectName}" is archived; restore it first` });
+        }
+
+        const { session, existing } = await sessionStore.startSession({ listId: masterList.listId, userId });
+
+        console.log(`[Count Session] ${existing ? 'Picked up' : 'Started'} ${session.sessionId} for "${projectName}"`);
+        res.status(existing ? 200 : 201).json({ ...session, existing });
+
+    } catch (error) {
+        console.error('[Count Session] Start error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// List count sessions (optionally by project and status)
+app.get('/count-sessions', async (req, res) => {
+    try {
+        const { projectName, status } = req.query;
+        let projectId = null;
+
+        if (status && !SESSION_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `Status must be one of ${SESSION_STATUSES.join(', ')}` });
+        }
+
+        if (projectName) {
+            if (!validateProjectName(projectName)) {
+                return res.status(400).json({ error: 'Invalid project name' });
+            }
+            const project = await projectStore.findProject(projectName);
+            if (!project) {
+                return res.json({ sessions: [] });
+            }
+            projectId = project.project_id;
+        }
+
+        const sessions = await sessionStore.listSessions({ projectId, status });
+        res.json({ sessions });
+
+    } catch (error) {
+        console.error('[Count Session] List error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Get a session with its current totals
+app.get('/count-sessions/:sessionId', async (req, res) => {
+    try {
+        const session = await sessionStore.getSession(req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json(session);
+
+    } catch (error) {
+        console.error('[Count Session] Retrieve error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// True if pin is the manager PIN (MANAGER_PIN). Compared as SHA-256 digests: timingSafeEqual needs
+// equal lengths, and comparing the PINs themselves would give away the PIN's length.
+function managerPinMatches(pin) {
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return typeof pin === 'string' && crypto.timingSafeEqual(digest(pin), digest(process.env.MANAGER_PIN));
+}
+
+// Pause, resume, finalize or reopen a session
+// finalize: { signedOffBy, discardUnresolved? } - refused while voice commands are unresolved unless discarded
+// reopen: { reopenedBy, reason, managerPin } - manager only: refused unless MANAGER_PIN is set and matches
+app.post('/count-sessions/:sessionId/:action(pause|resume|finalize|reopen)', express.json(), async (req, res) => {
+    try {
+        const { sessionId, action } = req.params;
+        const body = req.body || {};
+
+        if (action === 'reopen') {
+            if (!process.env.MANAGER_PIN) {
+                return res.status(403).json({ error: 'No manager PIN is set up (MANAGER_PIN), so finalized counts cannot be reopened' });
+            }
+            if (!managerPinMatches(body.managerPin)) {
+                return res.status(403).json({ error: 'Manager PIN required to reopen a finalized count' });
+            }
+        }
+
+        const session = await sessionStore.transitionSession(sessionId, action, body);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        const signedBy = action === 'finalize' ? ` (signed off by ${session.finalizedBy})`
+            : action === 'reopen' ? ` (reopened by ${body.reopenedBy.trim()}: ${body.reason})`
+            : '';
+        console.log(`[Count Session] ${sessionId} → ${session.status}${signedBy}`);
+        countBroadcaster.publish(sessionId, 'status', {
+            sessionId,
+            status: session.status,
+            finalizedBy: session.finalizedBy,
+            finalizedAt: session.finalizedAt
+        });
+        res.json(session);
+
+    } catch (error) {
+        console.error('[Count Session] Status change error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Report this device's unresolved voice commands: { counter, commands: [{ transcript, timestamp, error }] }
+app.put('/count-sessions/:sessionId/unresolved', express.json(), async (req, res) => {
+    try {
+        const result = await sessionStore.setUnresolvedCommands(req.params.sessionId, req.body.counter, req.body.commands);
+        if (!result) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json(result);
+
+    } catch (error) {
+        console.error('[Count Session] Unresolved commands error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Finalize / reopen history of a session (who signed off, who reopened it and why)
+app.get('/count-sessions/:sessionId/sign-offs', async (req, res) => {
+    try {
+        const signOffs = await sessionStore.listSignOffs(req.params.sessionId);
+        if (!signOffs) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+        res.json({ sessionId: req.params.sessionId, signOffs });
+
+    } catch (error) {
+        console.error('[Count Session] Sign-off history error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Live updates for every device in a session (Server-Sent Events): snapshot, mutation, status, presence
+// Fan-out is in-process (see countBroadcaster.js): devices only see each other when connected to the same instance
+app.get('/count-sessions/:sessionId/stream', async (req, res) => {
+    try {
+        const counter = String(req.query.counter || 'Anonymous').trim().substring(0, 100) || 'Anonymous';
+
+        const session = await sessionStore.getSession(req.params.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        console.log(`[Count Session] ${counter} connected to ${session.sessionId}`);
+        countBroadcaster.subscribe(session.sessionId, res, counter, session);
+
+    } catch (error) {
+        console.error('[Count Session] Stream error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Apply one count mutation: { item | itemId, operation, quantity, zone, transcript, sttAlternatives, decisionState, source, countedBy,
+// clientMutationId } (a resent clientMutationId is not applied twice)
+app.post('/count-sessions/:sessionId/mutations', express.json(), async (req, res) => {
+    try {
+        const result = await sessionStore.applyMutation(req.params.sessionId, req.body);
+        if (!result) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        // A resent mutation the session already recorded was broadcast the first time
+        if (result.duplicate) {
+            console.log(`[Count Session] Already recorded mutation ${result.clientMutationId} (sequence ${result.sequence})`);
+            return res.json({ success: true, ...result });
+        }
+
+        console.log(`[Count Session] ${result.item}${result.zone ? ` [${result.zone}]` : ''}: ${result.previousQuantity} → ${result.newQuantity} (${result.operation} ${result.quantity}), total ${result.total}`);
+        countBroadcaster.publish(req.params.sessionId, 'mutation', result);
+        res.json({ success: true, ...result });
+
+    } catch (error) {
+        console.error('[Count Session] Mutation error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Undo the session's last applied mutation, or redo the last undone one
+// Body (optional): { transcript, sttAlternatives, decisionState, source, countedBy } of the spoken command
+app.post('/count-sessions/:sessionId/:action(undo|redo)', express.json(), async (req, res) => {
+    try {
+        const { sessionId, action } = req.params;
+
+        const result = await sessionStore.revertMutation(sessionId, action, req.body || {});
+        if (!result) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        console.log(`[Count Session] ${action === 'undo' ? 'Undo' : 'Redo'} event ${result.targetEventId}: ${result.item} ${result.previousQuantity} → ${result.newQuantity}`);
+        countBroadcaster.publish(sessionId, 'mutation', result);
+        res.json({ success: true, ...result });
+
+    } catch (error) {
+        console.error(`[Count Session] ${req.params.action} error:`, error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Event ledger for a session (optionally one item's history: ?itemId= or ?item=)
+app.get('/count-sessions/:sessionId/ledger', async (req, res) => {
+    try {
+        const { itemId, item } = req.query;
+
+        const events = await sessionStore.getLedger(req.params.sessionId, { itemId, item });
+        if (!events) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        res.json({ sessionId: req.params.sessionId, events, eventCount: events.length });
+
+    } catch (error) {
+        console.error('[Count Session] Ledger error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
+    }
+});
+
+// Rebuild session totals from the ledger ({ dryRun: true } only reports the differences)
+app.post('/count-sessions/:sessionId/replay', express.json(), async (req, res) => {
+    try {
+        const dryRun = !!(req.body && req.body.dryRun);
+
+        const result = await sessionStore.replaySession(req.params.sessionId, { dryRun });
+        if (!result) {
+            return res.status(404).json({ error: 'Session not found' });
+        }
+
+        console.log(`[Count Session] Replayed ${result.eventCount} event(s) for ${result.sessionId}${dryRun ? ' (dry run)' : ''}: ${result.changes.length} total(s) differ`);
+        if (!dryRun && result.changes.length > 0) {
+            countBroadcaster.publish(result.sessionId, 'snapshot', await sessionStore.getSession(result.sessionId));
+        }
+        res.json(result);
+
+    } catch (error) {
+        console.error('[Count Session] Replay error:', error);
+        res.status(error.statusCode || 500).json({ error: error.message });
     }
 });
 
@@ -1615,7 +3200,9 @@ app.post('/audio/transcribe-live-count', upload.single('audio'), async (req, res
         }
 
         // Parse additional form data (sent alongside audio)
-        const masterListCandidates = req.body.masterListCandidates ? JSON.parse(req.body.masterListCandidates) : null;
+        const masterListCandidates = req.body.masterListCandidates
+            ? masterListItems.toNames(JSON.parse(req.body.masterListCandidates))
+            : null;
         const aliasDictionary = req.body.aliasDictionary ? JSON.parse(req.body.aliasDictionary) : {};
         const recentContext = req.body.recentContext ? JSON.parse(req.body.recentContext) : null;
 
@@ -1801,7 +3388,9 @@ app.post('/audio/transcribe-mapping', upload.single('audio'), async (req, res) =
         }
 
         // Parse additional form data (sent alongside audio)
-        const masterListCandidates = req.body.masterListCandidates ? JSON.parse(req.body.masterListCandidates) : null;
+        const masterListCandidates = req.body.masterListCandidates
+            ? masterListItems.toNames(JSON.parse(req.body.masterListCandidates))
+            : null;
         const aliasDictionary = req.body.aliasDictionary ? JSON.parse(req.body.aliasDictionary) : {};
         const targetItem = req.body.targetItem || null;
         const projectName = req.body.projectName || null;
@@ -1960,62 +3549,9 @@ app.post('/audio/transcribe-mapping', upload.single('audio'), async (req, res) =
                 const normalizedTranscripts = allTranscripts.map(t => t.toLowerCase().trim());
                 console.log(`💾 [${requestId}] Normalized transcripts to save: ${JSON.stringify(normalizedTranscripts)}`);
 
-                // Ensure BASE_DATA_DIR exists
-                if (!fs.existsSync(BASE_DATA_DIR)) {
-                    console.log(`💾 [${requestId}] Creating BASE_DATA_DIR: ${BASE_DATA_DIR}`);
-                    fs.mkdirSync(BASE_DATA_DIR, { recursive: true });
-                }
-
-                // Load existing GLOBAL aliases
-                const globalAliasesPath = path.join(BASE_DATA_DIR, 'global_aliases.json');
-                console.log(`💾 [${requestId}] Global alias file path: ${globalAliasesPath}`);
-                console.log(`💾 [${requestId}] Absolute path: ${path.resolve(globalAliasesPath)}`);
-                console.log(`💾 [${requestId}] File exists before load: ${fs.existsSync(globalAliasesPath)}`);
-
-                let existingAliases = {};
-                if (fs.existsSync(globalAliasesPath)) {
-                    const fileContent = fs.readFileSync(globalAliasesPath, 'utf8');
-                    console.log(`💾 [${requestId}] Existing file size: ${fileContent.length} bytes`);
-                    const data = JSON.parse(fileContent);
-                    existingAliases = data.aliases || {};
-                    console.log(`💾 [${requestId}] Existing aliases loaded: ${Object.keys(existingAliases).length} items`);
-                } else {
-                    console.log(`💾 [${requestId}] No existing file - starting fresh`);
-                }
-
-                // Initialize target item's aliases array if it doesn't exist
-                if (!existingAliases[targetItem]) {
-                    console.log(`💾 [${requestId}] Creating new array for "${targetItem}"`);
-                    existingAliases[targetItem] = [];
-                } else {
-                    console.log(`💾 [${requestId}] "${targetItem}" already has ${existingAliases[targetItem].length} aliases`);
-                }
-
-                // Add new aliases (avoid duplicates)
-                normalizedTranscripts.forEach(normalized => {
-                    if (!existingAliases[targetItem].includes(normalized)) {
-                        existingAliases[targetItem].push(normalized);
-                        newlyAddedAliases.push(normalized);
-                        console.log(`   ✅ Added: "${normalized}"`);
-                    } else {
-                        console.log(`   ⏭️  Skipped (duplicate): "${normalized}"`);
-                    }
-                });
-
-                // Save updated GLOBAL aliases
-                const aliasData = {
-                    aliases: existingAliases,
-                    updatedAt: new Date().toISOString()
-                };
-                const jsonString = JSON.stringify(aliasData, null, 2);
-                console.log(`💾 [${requestId}] Writing file with ${Object.keys(existingAliases).length} total items`);
-                console.log(`💾 [${requestId}] JSON size: ${jsonString.length} bytes`);
-
-                fs.writeFileSync(globalAliasesPath, jsonString);
-
-                console.log(`💾 [${requestId}] File written successfully`);
-                console.log(`💾 [${requestId}] File exists after write: ${fs.existsSync(globalAliasesPath)}`);
-                console.log(`💾 [${requestId}] File size after write: ${fs.statSync(globalAliasesPath).size} bytes`);
+                // Add new aliases to GLOBAL aliases (duplicates are skipped)
+                newlyAddedAliases = await projectStore.addGlobalAliases(targetItem, normalizedTranscripts);
+                newlyAddedAliases.forEach(normalized => console.log(`   ✅ Added: "${normalized}"`));
 
                 if (newlyAddedAliases.length > 0) {
                     console.log(`✅ [${requestId}] Saved ${newlyAddedAliases.length} NEW aliases for "${targetItem}"`);
@@ -2059,7 +3595,7 @@ app.post('/audio/transcribe-mapping', upload.single('audio'), async (req, res) =
 });
 
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+database.initialize().then(() => projectStore.upgradeLegacyMasterLists()).then(() => inventoryStore.recordListBaselines()).then(() => app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     console.log('');
     console.log('🔐 Environment Configuration Check:');
@@ -2077,4 +3613,8 @@ app.listen(PORT, () => {
     console.log('🔬 All Modes: Google STT 3-version comparison (Primary, Alternative 1, Alternative 2)');
     console.log('🔬 Transcription: Google Cloud Speech-to-Text API only');
     console.log('');
+})).catch(error => {
+    console.error('Database initialization failed:', error.message);
+    (error.details || []).forEach(detail => console.error(`  - ${detail}`));
+    process.exit(1);
 });
@@ -0,0 +1,1075 @@
+// sessionStore.js - Server-side Live Count sessions (count_sessions_v2 / session_totals)
+const { v4: uuidv4 } = require('uuid');
+const database = require('./database');
+const countHistoryStore = require('./countHistoryStore');
+const units = require('./units');
+const { toIso, HttpError } = require('./utils');
+
+const OPERATIONS = ['ADD', 'SUBTRACT', 'SET', 'ERASE'];
+const DEFAULT_USER_ID = 'default_user';
+
+// How the client resolved the command: local regex pattern, alias, Claude, or manual adjust
+const RESOLVER_SOURCES = ['local_pattern', 'alias', 'claude', 'manual'];
+const DECISION_STATES = ['AUTO_COMMIT', 'NEEDS_CONFIRMATION', 'MANUAL'];
+
+// Allowed status transitions (count_sessions_v2.status CHECK constraint)
+// A finalized session is locked: only a manager reopen makes it editable again
+const TRANSITIONS = {
+  pause: { from: ['active'], to: 'paused' },
+  resume: { from: ['paused', 'abandoned'], to: 'active' },
+  finalize: { from: ['active', 'paused'], to: 'finalized' },
+  reopen: { from: ['finalized'], to: 'active' }
+};
+
+const LOCKED_MESSAGE = 'Count is finalized; a manager must reopen it before it can be edited';
+
+/**
+ * Apply a count operation to a quantity (same arithmetic as the client's applyCountMutation)
+ * @param {number} current - Current quantity
+ * @param {string} operation - ADD, SUBTRACT, SET or ERASE
+ * @param {number} quantity - Operand (ignored for ERASE)
+ * @returns {number} New quantity
+ */
+function applyOperation(current, operation, quantity) {
+  switch (operation) {
+    case 'ADD':
+      return current + quantity;
+    case 'SUBTRACT':
+      return Math.max(0, current - quantity); // Prevent negative
+    case 'SET':
+      return quantity;
+    case 'ERASE':
+      return 0;
+    default:
+      throw new HttpError(400, `Invalid operation: ${operation}`);
+  }
+}
+
+/**
+ * Validate a mutation payload
+ * @param {Object} mutation - { operation, quantity }
+ * @returns {Object} { operation, quantity } with operation upper-cased
+ */
+function validateMutation(mutation) {
+  const operation = String(mutation.operation || '').toUpperCase();
+  if (!OPERATIONS.includes(operation)) {
+    throw new HttpError(400, `Operation must be one of ${OPERATIONS.join(', ')}`);
+  }
+
+  if (operation === 'ERASE') {
+    return { operation, quantity: 0 };
+  }
+
+  const quantity = Number(mutation.quantity);
+  if (mutation.quantity === null || mutation.quantity === undefined || !Number.isFinite(quantity) || quantity < 0) {
+    throw new HttpError(400, 'Quantity must be a non-negative number');
+  }
+  return { operation, quantity };
+}
+
+/**
+ * Validate the unit a mutation was spoken in ("2 cases" -> { countedUnit: 'case', countedQuantity: 2 })
+ * @param {Object} mutation - { operation, countedUnit, countedQuantity }
+ * @returns {Object} { countedUnit, countedQuantity } (both null when counted in the base unit)
+ */
+function validateCountedUnit(mutation) {
+  if (!mutation.countedUnit || String(mutation.operation || '').toUpperCase() === 'ERASE') {
+    return { countedUnit: null, countedQuantity: null };
+  }
+
+  const countedUnit = units.normalizeUnit(mutation.countedUnit);
+  if (!countedUnit) {
+    throw new HttpError(400, `Unknown unit: "${mutation.countedUnit}"`);
+  }
+  const countedQuantity = Number(mutation.countedQuantity);
+  if (mutation.countedQuantity === null || mutation.countedQuantity === undefined ||
+      !Number.isFinite(countedQuantity) || countedQuantity < 0) {
+    throw new HttpError(400, 'countedQuantity must be a non-negative number');
+  }
+  return { countedUnit, countedQuantity };
+}
+
+/**
+ * Validate the audit fields recorded with each count event
+ * @param {Object} mutation - { transcript, sttAlternatives, decisionState, source, countedBy }
+ * @returns {Object} { transcript, sttAlternatives, decisionState, source, countedBy }
+ */
+function validateEventMeta(mutation) {
+  const { transcript = null, sttAlternatives = [], decisionState = null, source = null } = mutation;
+  const countedBy = mutation.countedBy ? String(mutation.countedBy).trim() : null;
+
+  if (transcript !== null && typeof transcript !== 'string') {
+    throw new HttpError(400, 'transcript must be a string');
+  }
+  if (!Array.isArray(sttAlternatives) || !sttAlternatives.every(alt => typeof alt === 'string')) {
+    throw new HttpError(400, 'sttAlternatives must be an array of strings');
+  }
+  if (decisionState !== null && !DECISION_STATES.includes(decisionState)) {
+    throw new HttpError(400, `decisionState must be one of ${DECISION_STATES.join(', ')}`);
+  }
+  if (source !== null && !RESOLVER_SOURCES.includes(source)) {
+    throw new HttpError(400, `source must be one of ${RESOLVER_SOURCES.join(', ')}`);
+  }
+  if (countedBy && countedBy.length > 100) {
+    throw new HttpError(400, 'countedBy must be 100 characters or fewer');
+  }
+
+  return { transcript, sttAlternatives, decisionState, source, countedBy: countedBy || null };
+}
+
+function toEvent(row) {
+  return {
+    eventId: row.event_id,
+    sequence: row.sequence,
+    itemId: row.item_id,
+    item: row.item_name,
+    operation: row.operation,
+    quantity: Number(row.quantity),
+    previousQuantity: Number(row.previous_quantity),
+    newQuantity: Number(row.new_quantity),
+    transcript: row.transcript,
+    sttAlternatives: row.stt_alternatives ? JSON.parse(row.stt_alternatives) : [],
+    decisionState: row.decision_state,
+    source: row.resolver_source,
+    undoAction: row.undo_action || null,
+    targetEventId: row.target_event_id || null,
+    countedBy: row.counted_by || null,
+    zone: row.zone || null,
+    countedUnit: row.counted_unit || null,
+    countedQuantity: row.counted_unit ? Number(row.counted_quantity) : null,
+    clientMutationId: row.client_mutation_id || null,
+    createdAt: toIso(row.created_at)
+  };
+}
+
+async function loadSessionRow(sessionId, q) {
+  const rows = await q(
+    `SELECT s.session_id, s.user_id, s.list_id, s.status, s.started_at, s.last_activity, s.unresolved_count,
+       s.pending_commands, s.finalized_by, s.finalized_at, s.list_version, l.project_id, p.project_name, p.archived_at
+     FROM count_sessions_v2 s
+     JOIN inventory_lists l ON l.list_id = s.list_id
+     LEFT JOIN projects p ON p.project_id = l.project_id
+     WHERE s.session_id = ?`,
+    [sessionId]
+  );
+  return rows[0] || null;
+}
+
+function toSessionSummary(row) {
+  return {
+    sessionId: row.session_id,
+    projectName: row.project_name || null,
+    listId: row.list_id,
+    userId: row.user_id,
+    status: row.status,
+    startedAt: toIso(row.started_at),
+    lastActivity: toIso(row.last_activity),
+    unresolvedCount: Number(row.unresolved_count || 0),
+    finalizedBy: row.finalized_by || null,
+    finalizedAt: toIso(row.finalized_at),
+    // Master list version the session was started on (the snapshot records the version it was finalized on)
+    listVersion: row.list_version === null || row.list_version === undefined ? null : Number(row.list_version)
+  };
+}
+
+// Unresolved voice commands per counter: { counter: [{ transcript, timestamp, error }] }
+function parsePendingCommands(row) {
+  try {
+    const pending = JSON.parse(row.pending_commands || '{}');
+    return pending && typeof pending === 'object' && !Array.isArray(pending) ? pending : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function toSignOff(row) {
+  return {
+    signOffId: row.sign_off_id,
+    action: row.action,
+    signedBy: row.signed_by,
+    reason: row.reason || null,
+    discarded: row.discarded ? JSON.parse(row.discarded) : [],
+    snapshotId: row.snapshot_id || null,
+    createdAt: toIso(row.created_at)
+  };
+}
+
+// A required name (signed off by / reopened by), trimmed
+function validateSigner(value, label) {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (!name) {
+    throw new HttpError(400, `${label} is required`);
+  }
+  if (name.length > 100) {
+    throw new HttpError(400, `${label} must be 100 characters or fewer`);
+  }
+  return name;
+}
+
+// Items merged into another item of a list (see itemMergeStore.mergeItems): { item_id: { survivorId, mergedAt } }
+async function loadMerges(q, listId) {
+  const rows = await q(
+    'SELECT survivor_id, merged_items, created_at FROM item_merges WHERE list_id = ? ORDER BY created_at',
+    [listId]
+  );
+  const merges = new Map();
+  rows.forEach(merge => {
+    JSON.parse(merge.merged_items).forEach(item => {
+      merges.set(item.itemId, { survivorId: merge.survivor_id, mergedAt: toIso(merge.created_at) });
+    });
+  });
+  return merges;
+}
+
+// The item an event now counts toward: an event counted before its item was merged counts toward the
+// survivor (and its survivor, if that was merged in turn). Events keep the item they were recorded for.
+function survivorOf(merges, event) {
+  const countedAt = toIso(event.created_at);
+  const seen = new Set();
+  let itemId = event.item_id;
+  while (merges.has(itemId) && !seen.has(itemId) && countedAt < merges.get(itemId).mergedAt) {
+    seen.add(itemId);
+    itemId = merges.get(itemId).survivorId;
+  }
+  return itemId;
+}
+
+/**
+ * Load a session with a total for every item on its list
+ * @param {string} sessionId - Session id
+ * @param {Function} q - Query function (defaults to database.query)
+ * @returns {Promise<Object|null>} Session with totals [{ itemId, item, quantity, baseUnit, zones: [{ zone, quantity }], units, countedBy }],
+ *   counts { item: quantity }, zoneCounts { item: { zone: quantity } } ('' = no zone),
+ *   unitCounts { item: { zone: { unit: quantity } } } ('' = base unit; what was counted in which unit)
+ *   and lastSequence (the ledger position the totals reflect)
+ */
+async function getSession(sessionId, q = database.query) {
+  const row = await loadSessionRow(sessionId, q);
+  if (!row) {
+    return null;
+  }
+
+  const totals = await q(
+    `SELECT i.item_id, i.name, i.base_unit, COALESCE(t.quantity, 0) AS quantity
+     FROM inventory_items i
+     LEFT JOIN session_totals t ON t.item_id = i.item_id AND t.session_id = ?
+     WHERE i.list_id = ? AND i.removed_at IS NULL
+     ORDER BY i.position`,
+    [sessionId, row.list_id]
+  );
+
+  // Events of merged items count toward their survivor (see survivorOf)
+  const merges = await loadMerges(q, row.list_id);
+
+  // Who counted each item, in the order they first counted it
+  const counters = await q(
+    `SELECT item_id, counted_by, created_at FROM count_events
+     WHERE session_id = ? AND counted_by IS NOT NULL
+     ORDER BY sequence`,
+    [sessionId]
+  );
+  const countedBy = new Map();
+  counters.forEach(counter => {
+    const itemId = survivorOf(merges, counter);
+    if (!countedBy.has(itemId)) {
+      countedBy.set(itemId, []);
+    }
+    if (!countedBy.get(itemId).includes(counter.counted_by)) {
+      countedBy.get(itemId).push(counter.counted_by);
+    }
+  });
+
+  const sequence = await q(
+    'SELECT COALESCE(MAX(sequence), 0) AS last_sequence FROM count_events WHERE session_id = ?',
+    [sessionId]
+  );
+
+  const zoneRows = await q(
+    'SELECT item_id, zone, quantity FROM session_zone_totals WHERE session_id = ? AND quantity <> 0 ORDER BY zone',
+    [sessionId]
+  );
+  const zones = new Map();
+  zoneRows.forEach(zoneRow => {
+    if (!zones.has(zoneRow.item_id)) {
+      zones.set(zoneRow.item_id, []);
+    }
+    zones.get(zoneRow.item_id).push({ zone: zoneRow.zone || null, quantity: Number(zoneRow.quantity) });
+  });
+
+  // Units each item was counted in, per zone, replayed from the ledger
+  // (per item the events were recorded for, then added up in the survivor of merged items)
+  const unitEvents = await q(
+    `SELECT item_id, zone, operation, quantity, new_quantity, counted_unit, counted_quantity, created_at
+     FROM count_events WHERE session_id = ? ORDER BY sequence`,
+    [sessionId]
+  );
+  const countedUnits = new Map();
+  unitEvents.forEach(event => {
+    const itemId = survivorOf(merges, event);
+    const key = `${itemId}\u0000${event.item_id}`;
+    if (!countedUnits.has(key)) {
+      countedUnits.set(key, { itemId, byZone: {} });
+    }
+    const { byZone } = countedUnits.get(key);
+    const zone = event.zone || '';
+    byZone[zone] = units.applyUnitCount(byZone[zone] || {}, {
+      operation: event.operation,
+      quantity: Number(event.counted_unit ? event.counted_quantity : event.quantity),
+      unit: event.counted_unit,
+      newQuantity: Number(event.new_quantity)
+    });
+  });
+  const itemUnitCounts = new Map();
+  countedUnits.forEach(({ itemId, byZone }) => {
+    if (!itemUnitCounts.has(itemId)) {
+      itemUnitCounts.set(itemId, {});
+    }
+    const itemZones = itemUnitCounts.get(itemId);
+    Object.entries(byZone).forEach(([zone, zoneUnits]) => {
+      itemZones[zone] = itemZones[zone] || {};
+      Object.entries(zoneUnits).forEach(([unit, quantity]) => {
+        itemZones[zone][unit] = (itemZones[zone][unit] || 0) + quantity;
+      });
+    });
+  });
+
+  const counts = {};
+  const zoneCounts = {};
+  const unitCounts = {};
+  const items = totals.map(total => {
+    const itemZones = zones.get(total.item_id) || [];
+    counts[total.name] = Number(total.quantity);
+    zoneCounts[total.name] = {};
+    itemZones.forEach(zoneTotal => {
+      zoneCounts[total.name][zoneTotal.zone || ''] = zoneTotal.quantity;
+    });
+    unitCounts[total.name] = itemUnitCounts.get(total.item_id) || {};
+
+    const itemUnits = {};
+    Object.values(unitCounts[total.name]).forEach(zoneUnits => {
+      Object.entries(zoneUnits).forEach(([unit, quantity]) => {
+        itemUnits[unit] = (itemUnits[unit] || 0) + quantity;
+      });
+    });
+    return {
+      itemId: total.item_id,
+      item: total.name,
+      quantity: Number(total.quantity),
+      baseUnit: total.base_unit || null,
+      zones: itemZones,
+      units: itemUnits,
+      countedBy: countedBy.get(total.item_id) || []
+    };
+  });
+
+  return {
+    ...toSessionSummary(row),
+    totals: items,
+    counts,
+    zoneCounts,
+    unitCounts,
+    lastSequence: Number(sequence[0].last_sequence)
+  };
+}
+
+/**
+ * List sessions, most recent activity first
+ * @param {Object} filter - { projectId, status }
+ * @returns {Promise<Array<Object>>} Session summaries (without totals)
+ */
+async function listSessions(filter = {}) {
+  const conditions = [];
+  const params = [];
+  if (filter.projectId) {
+    conditions.push('l.project_id = ?');
+    params.push(filter.projectId);
+  }
+  if (filter.status) {
+    conditions.push('s.status = ?');
+    params.push(filter.status);
+  }
+
+  const rows = await database.query(
+    `SELECT s.session_id, s.user_id, s.list_id, s.status, s.started_at, s.last_activity, s.unresolved_count,
+       s.pending_commands, s.finalized_by, s.finalized_at, s.list_version, l.project_id, p.project_name
+     FROM count_sessions_v2 s
+     JOIN inventory_lists l ON l.list_id = s.list_id
+     LEFT JOIN projects p ON p.project_id = l.project_id
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY s.last_activity DESC`,
+    params
+  );
+
+  return rows.map(toSessionSummary);
+}
+
+/**
+ * Find a list's open (active or paused) session
+ * @param {string} listId - List id
+ * @param {Function} q - Query function (defaults to database.query)
+ * @returns {Promise<Object|null>} Session (see getSession) or null
+ */
+async function findOpenSession(listId, q = database.query) {
+  const open = await q(
+    `SELECT session_id FROM count_sessions_v2
+     WHERE list_id = ? AND status IN ('active', 'paused')
+     ORDER BY last_activity DESC`,
+    [listId]
+  );
+  return open.length > 0 ? getSession(open[0].session_id, q) : null;
+}
+
+/**
+ * Start a session on a list, or pick up the list's open (active/paused) session
+ * @param {Object} data - { listId, userId }
+ * @returns {Promise<Object>} { session, existing } - existing is true when an open session was returned
+ */
+async function startSession(data) {
+  const userId = data.userId || DEFAULT_USER_ID;
+  if (typeof userId !== 'string' || userId.length > 36) {
+    throw new HttpError(400, 'userId must be a string of at most 36 characters');
+  }
+
+  return database.transaction(async (q) => {
+    const open = await findOpenSession(data.listId, q);
+    if (open) {
+      return { session: open, existing: true };
+    }
+
+    const sessionId = uuidv4();
+    await q('INSERT OR IGNORE INTO users (user_id) VALUES (?)', [userId]);
+    await q(
+      `INSERT INTO count_sessions_v2 (session_id, user_id, list_id, status, started_at, last_activity, list_version)
+       VALUES (?, ?, ?, 'active', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP,
+         (SELECT version FROM inventory_lists WHERE list_id = ?))`,
+      [sessionId, userId, data.listId, data.listId]
+    );
+
+    return { session: await getSession(sessionId, q), existing: false };
+  });
+}
+
+/**
+ * Pause, resume, finalize or reopen a session.
+ * Finalize needs who signed off, and refuses while any counter has unresolved voice commands
+ * (see setUnresolvedCommands) unless they are explicitly discarded; it freezes the session and
+ * records its count history snapshot. Reopen (manager only) needs a name and reason, unlocks the
+ * session and takes its snapshot back out of the count history. Both are kept in session_sign_offs.
+ * @param {string} sessionId - Session id
+ * @param {string} action - 'pause', 'resume', 'finalize' or 'reopen'
+ * @param {Object} data - finalize: { signedOffBy, discardUnresolved }, reopen: { reopenedBy, reason }
+ * @returns {Promise<Object|null>} Updated session (finalize adds the count history snapshot) or null if not found
+ * @throws {HttpError} 409 for a transition the session's status does not allow, or a reopen in an archived project
+ */
+async function transitionSession(sessionId, action, data = {}) {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    throw new HttpError(400, `Unknown session action: ${action}`);
+  }
+  const signedBy = action === 'finalize' ? validateSigner(data.signedOffBy, 'signedOffBy')
+    : action === 'reopen' ? validateSigner(data.reopenedBy, 'reopenedBy')
+    : null;
+  const reason = action === 'reopen' ? String(data.reason || '').trim() : null;
+  if (action === 'reopen' && !reason) {
+    throw new HttpError(400, 'A reason is required to reopen a finalized count');
+  }
+
+  return database.transaction(async (q) => {
+    const row = await loadSessionRow(sessionId, q);
+    if (!row) {
+      return null;
+    }
+    if (!transition.from.includes(row.status)) {
+      throw new HttpError(409, `Cannot ${action} a session that is ${row.status}`);
+    }
+
+    let discarded = [];
+    if (action === 'finalize') {
+      discarded = Object.values(parsePendingCommands(row)).flat();
+      const pendingCount = Math.max(Number(row.unresolved_count || 0), discarded.length);
+      if (pendingCount > 0 && !data.discardUnresolved) {
+        throw new HttpError(409, `${pendingCount} unresolved voice command(s): resolve or discard them before finalizing`);
+      }
+    }
+    if (action === 'reopen') {
+      if (row.archived_at) {
+        throw new HttpError(409, `Project "${row.project_name}" is archived; restore it first`);
+      }
+      const open = await findOpenSession(row.list_id, q);
+      if (open) {
+        throw new HttpError(409, 'Another count of this list is open; finalize it before reopening this one');
+      }
+    }
+
+    if (action === 'finalize') {
+      await q(
+        `UPDATE count_sessions_v2 SET status = ?, finalized_by = ?, finalized_at = ?, pending_commands = NULL,
+           unresolved_count = 0, last_activity = CURRENT_TIMESTAMP
+         WHERE session_id = ?`,
+        [transition.to, signedBy, new Date().toISOString(), sessionId]
+      );
+    } else if (action === 'reopen') {
+      await q(
+        `UPDATE count_sessions_v2 SET status = ?, finalized_by = NULL, finalized_at = NULL, last_activity = CURRENT_TIMESTAMP
+         WHERE session_id = ?`,
+        [transition.to, sessionId]
+      );
+    } else {
+      await q(
+        'UPDATE count_sessions_v2 SET status = ?, last_activity = CURRENT_TIMESTAMP WHERE session_id = ?',
+        [transition.to, sessionId]
+      );
+    }
+    const session = await getSession(sessionId, q);
+
+    // A finalized count of a project's master list goes into its count history
+    let snapshotId = null;
+    if (transition.to === 'finalized' && row.project_id) {
+      session.snapshot = await countHistoryStore.createSnapshot(q, {
+        projectId: row.project_id,
+        sessionId,
+        listId: row.list_id,
+        totals: session.totals
+      });
+      snapshotId = session.snapshot.snapshotId;
+    }
+
+    // A reopened count is no longer final: its snapshot leaves the count history until it is finalized again
+    if (action === 'reopen') {
+      const snapshots = await q('SELECT snapshot_id FROM count_snapshots WHERE session_id = ?', [sessionId]);
+      snapshotId = snapshots.length > 0 ? snapshots[0].snapshot_id : null;
+      await q('DELETE FROM count_snapshots WHERE session_id = ?', [sessionId]);
+    }
+
+    if (signedBy) {
+      await q(
+        `INSERT INTO session_sign_offs (sign_off_id, session_id, action, signed_by, reason, discarded, snapshot_id, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          uuidv4(), sessionId, action, signedBy, reason, discarded.length > 0 ? JSON.stringify(discarded) : null,
+          snapshotId, new Date().toISOString()
+        ]
+      );
+    }
+    return session;
+  });
+}
+
+/**
+ * Report a counter's unresolved voice commands (the client's unmatched queue), so finalize
+ * can refuse while any device still has commands to resolve
+ * @param {string} sessionId - Session id
+ * @param {string} counter - Counter name
+ * @param {Array<Object>} commands - [{ transcript, timestamp, error }] (empty when all are resolved)
+ * @returns {Promise<Object|null>} { unresolvedCount, pending: { counter: commands } } or null if session not found
+ */
+async function setUnresolvedCommands(sessionId, counter, commands) {
+  const name = validateSigner(counter, 'counter');
+  if (!Array.isArray(commands)) {
+    throw new HttpError(400, 'commands must be an array');
+  }
+  const cleaned = commands.map(command => ({
+    transcript: String((command && command.transcript) || '').substring(0, 1000),
+    timestamp: (command && command.timestamp) || null,
+    error: (command && command.error) || null
+  }));
+
+  return database.transaction(async (q) => {
+    const row = await loadSessionRow(sessionId, q);
+    if (!row) {
+      return null;
+    }
+    if (row.status === 'finalized') {
+      throw new HttpError(409, LOCKED_MESSAGE);
+    }
+
+    const pending = parsePendingCommands(row);
+    if (cleaned.length > 0) {
+      pending[name] = cleaned;
+    } else {
+      delete pending[name];
+    }
+    const unresolvedCount = Object.values(pending).reduce((sum, list) => sum + list.length, 0);
+
+    await q(
+      'UPDATE count_sessions_v2 SET pending_commands = ?, unresolved_count = ? WHERE session_id = ?',
+      [Object.keys(pending).length > 0 ? JSON.stringify(pending) : null, unresolvedCount, sessionId]
+    );
+    return { unresolvedCount, pending };
+  });
+}
+
+/**
+ * A session's finalize / reopen history, oldest first
+ * @param {string} sessionId - Session id
+ * @returns {Promise<Array<Object>|null>} [{ signOffId, action, signedBy, reason, discarded, snapshotId, createdAt }] or null if session not found
+ */
+async function listSignOffs(sessionId) {
+  const row = await loadSessionRow(sessionId, database.query);
+  if (!row) {
+    return null;
+  }
+  const rows = await database.query(
+    'SELECT * FROM session_sign_offs WHERE session_id = ? ORDER BY created_at',
+    [sessionId]
+  );
+  return rows.map(toSignOff);
+}
+
+/**
+ * Find an item on the session's list by item id or by name (case-insensitive)
+ * @param {Function} q - Query function
+ * @param {string} listId - List id
+ * @param {Object} ref - { itemId } or { item }
+ * @returns {Promise<Object>} { item_id, name }
+ */
+async function resolveItem(q, listId, ref) {
+  let rows;
+  if (ref.itemId) {
+    rows = await q(
+      'SELECT item_id, name, base_unit, pack_sizes FROM inventory_items WHERE list_id = ? AND item_id = ? AND removed_at IS NULL',
+      [listId, ref.itemId]
+    );
+  } else if (ref.item && typeof ref.item === 'string') {
+    rows = await q(
+      'SELECT item_id, name, base_unit, pack_sizes FROM inventory_items WHERE list_id = ? AND LOWER(name) = ? AND removed_at IS NULL',
+      [listId, ref.item.toLowerCase().trim()]
+    );
+  } else {
+    throw new HttpError(400, 'item or itemId required');
+  }
+
+  if (rows.length === 0) {
+    throw new HttpError(404, 'Item not in master list');
+  }
+  return rows[0];
+}
+
+// Lock and load a session that must be active (on PostgreSQL the UPDATE serializes its mutations)
+async function lockActiveSession(q, sessionId) {
+  const touched = await q(
+    'UPDATE count_sessions_v2 SET last_activity = CURRENT_TIMESTAMP WHERE session_id = ?',
+    [sessionId]
+  );
+  if (!touched[0]?.changes) {
+    return null;
+  }
+
+  const session = await loadSessionRow(sessionId, q);
+  if (session.status === 'finalized') {
+    throw new HttpError(409, LOCKED_MESSAGE);
+  }
+  if (session.status !== 'active') {
+    throw new HttpError(409, `Session is ${session.status}`);
+  }
+  return session;
+}
+
+/**
+ * Update an item's zone subtotal and total, and append the event to count_events.
+ * The operation applies to the zone subtotal (previous/new quantity are the zone's);
+ * the item total in session_totals is the sum of its zones.
+ * @param {Function} q - Query function (inside a transaction)
+ * @param {string} sessionId - Session id
+ * @param {Object} item - inventory_items row { item_id, name }
+ * @param {Object} change - { operation, quantity, zone, countedUnit, countedQuantity, undoAction, targetEventId, clientMutationId }
+ * @param {Object} meta - Validated audit fields (see validateEventMeta)
+ * @returns {Promise<Object>} Recorded event with the item's new total
+ */
+async function recordEvent(q, sessionId, item, change, meta) {
+  const zone = change.zone || '';
+
+  await q(
+    'INSERT OR IGNORE INTO session_zone_totals (session_id, item_id, zone, quantity) VALUES (?, ?, ?, 0)',
+    [sessionId, item.item_id, zone]
+  );
+  const current = await q(
+    'SELECT quantity FROM session_zone_totals WHERE session_id = ? AND item_id = ? AND zone = ?',
+    [sessionId, item.item_id, zone]
+  );
+
+  const previousQuantity = Number(current[0].quantity);
+  const newQuantity = applyOperation(previousQuantity, change.operation, change.quantity);
+
+  await q(
+    `UPDATE session_zone_totals SET quantity = ?, last_updated = CURRENT_TIMESTAMP
+     WHERE session_id = ? AND item_id = ? AND zone = ?`,
+    [newQuantity, sessionId, item.item_id, zone]
+  );
+  const total = await rollUpItemTotal(q, sessionId, item.item_id);
+
+  await q(
+    'INSERT INTO hot_list_entries (entry_id, session_id, item_id) VALUES (?, ?, ?)',
+    [uuidv4(), sessionId, item.item_id]
+  );
+
+  const sequenceRows = await q(
+    'SELECT COALESCE(MAX(sequence), 0) AS last_sequence FROM count_events WHERE session_id = ?',
+    [sessionId]
+  );
+  const eventId = uuidv4();
+  await q(
+    `INSERT INTO count_events (event_id, session_id, sequence, item_id, item_name, operation, quantity,
+       previous_quantity, new_quantity, transcript, stt_alternatives, decision_state, resolver_source,
+       undo_action, target_event_id, counted_by, zone, counted_unit, counted_quantity, client_mutation_id, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      eventId, sessionId, Number(sequenceRows[0].last_sequence) + 1, item.item_id, item.name,
+      change.operation, change.quantity, previousQuantity, newQuantity, meta.transcript,
+      JSON.stringify(meta.sttAlternatives), meta.decisionState, meta.source,
+      change.undoAction || null, change.targetEventId || null, meta.countedBy, zone || null,
+      change.countedUnit || null, change.countedUnit ? change.countedQuantity : null, change.clientMutationId || null,
+      new Date().toISOString()
+    ]
+  );
+
+  const event = await q('SELECT * FROM count_events WHERE event_id = ?', [eventId]);
+  return { ...toEvent(event[0]), total };
+}
+
+// Set an item's session total to the sum of its zone subtotals
+async function rollUpItemTotal(q, sessionId, itemId) {
+  await q(
+    'INSERT OR IGNORE INTO session_totals (total_id, session_id, item_id, quantity) VALUES (?, ?, ?, 0)',
+    [uuidv4(), sessionId, itemId]
+  );
+  await q(
+    `UPDATE session_totals SET last_updated = CURRENT_TIMESTAMP, quantity = (
+       SELECT COALESCE(SUM(quantity), 0) FROM session_zone_totals WHERE session_id = ? AND item_id = ?
+     ) WHERE session_id = ? AND item_id = ?`,
+    [sessionId, itemId, sessionId, itemId]
+  );
+  const rows = await q('SELECT quantity FROM session_totals WHERE session_id = ? AND item_id = ?', [sessionId, itemId]);
+  return Number(rows[0].quantity);
+}
+
+/**
+ * Match a zone name against the session's project zones (case-insensitive)
+ * @param {Function} q - Query function
+ * @param {Object} session - Session row (project_id)
+ * @param {string|null} zone - Zone name from the client
+ * @returns {Promise<string|null>} Zone name as defined on the project, or null for no zone
+ */
+async function resolveZone(q, session, zone) {
+  if (zone === null || zone === undefined || zone === '') {
+    return null;
+  }
+  if (typeof zone !== 'string') {
+    throw new HttpError(400, 'zone must be a string');
+  }
+
+  const rows = session.project_id
+    ? await q('SELECT name FROM project_zones WHERE project_id = ? AND LOWER(name) = ?', [session.project_id, zone.toLowerCase().trim()])
+    : [];
+  if (rows.length === 0) {
+    throw new HttpError(400, `Unknown zone: "${zone}"`);
+  }
+  return rows[0].name;
+}
+
+// Optional id the client gave a mutation so it can resend it safely
+function validateClientMutationId(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string' || value.length > 64) {
+    throw new HttpError(400, 'clientMutationId must be a string of 64 characters or fewer');
+  }
+  return value;
+}
+
+/**
+ * Apply one count mutation to an active session.
+ * Writes session_totals and appends an immutable event to count_events.
+ *
+ * Mutations from every device are serialized on the session row, so ADD/SUBTRACT from
+ * different counters merge as deltas, and conflicting SETs resolve by ledger order:
+ * the SET with the higher sequence wins on every device.
+ *
+ * Quantities are in the item's base unit. When the count was spoken in another unit
+ * (countedUnit/countedQuantity, e.g. 2 case), quantity must be its conversion via the item's pack sizes.
+ *
+ * A mutation resent with a clientMutationId the session already recorded is not applied again:
+ * the recorded event is returned with duplicate: true.
+ * @param {string} sessionId - Session id
+ * @param {Object} mutation - { item | itemId, operation, quantity, countedUnit, countedQuantity, zone,
+ *   transcript, sttAlternatives, decisionState, source, countedBy, clientMutationId }
+ * @returns {Promise<Object|null>} Recorded event (see getLedger) plus the item's total, or null if session not found
+ */
+async function applyMutation(sessionId, mutation) {
+  const { operation, quantity } = validateMutation(mutation);
+  const counted = validateCountedUnit(mutation);
+  const meta = validateEventMeta(mutation);
+  const clientMutationId = validateClientMutationId(mutation.clientMutationId);
+
+  return database.transaction(async (q) => {
+    const session = await lockActiveSession(q, sessionId);
+    if (!session) {
+      return null;
+    }
+
+    if (clientMutationId) {
+      const recorded = await q(
+        'SELECT * FROM count_events WHERE session_id = ? AND client_mutation_id = ?',
+        [sessionId, clientMutationId]
+      );
+      if (recorded.length > 0) {
+        const totals = await q(
+          'SELECT quantity FROM session_totals WHERE session_id = ? AND item_id = ?',
+          [sessionId, recorded[0].item_id]
+        );
+        return { ...toEvent(recorded[0]), total: totals.length > 0 ? Number(totals[0].quantity) : 0, duplicate: true };
+      }
+    }
+
+    const item = await resolveItem(q, session.list_id, mutation);
+    const zone = await resolveZone(q, session, mutation.zone);
+
+    if (counted.countedUnit) {
+      const itemUnits = { baseUnit: item.base_unit, packSizes: item.pack_sizes ? JSON.parse(item.pack_sizes) : {} };
+      const expected = units.toBaseQuantity(counted.countedQuantity, counted.countedUnit, itemUnits);
+      if (expected === null) {
+        throw new HttpError(400, `"${item.name}" has no ${counted.countedUnit} pack size`);
+      }
+      if (Math.abs(expected - quantity) > 0.001) {
+        throw new HttpError(400, `quantity ${quantity} does not match ${counted.countedQuantity} ${counted.countedUnit} (${expected})`);
+      }
+      // Counted in the base unit itself: nothing to record beyond quantity
+      if (counted.countedUnit === (item.base_unit || 'each')) {
+        counted.countedUnit = null;
+      }
+    }
+
+    return recordEvent(q, sessionId, item, { operation, quantity, zone, ...counted, clientMutationId }, meta);
+  });
+}
+
+/**
+ * Rebuild the undo and redo stacks from a session's events (in sequence order).
+ * Every mutation clears the redo stack, so the top of each stack is always safe to revert.
+ * @param {Array<Object>} events - count_events rows
+ * @returns {Object} { undoStack, redoStack } of original mutation rows
+ */
+function buildUndoStacks(events) {
+  const undoStack = [];
+  const redoStack = [];
+
+  events.forEach(event => {
+    if (event.undo_action === 'undo') {
+      redoStack.push(undoStack.pop());
+    } else if (event.undo_action === 'redo') {
+      undoStack.push(redoStack.pop());
+    } else {
+      undoStack.push(event);
+      redoStack.length = 0;
+    }
+  });
+
+  return { undoStack, redoStack };
+}
+
+/**
+ * Undo the session's last applied mutation, or redo the last undone one.
+ * Works across devices: the stacks come from the shared ledger, in the order mutations were applied.
+ * @param {string} sessionId - Session id
+ * @param {string} action - 'undo' or 'redo'
+ * @param {Object} meta - { transcript, sttAlternatives, decisionState, source, countedBy } of the undo command
+ * @returns {Promise<Object|null>} Recorded event (undoAction, targetEventId set) or null if session not found
+ */
+async function revertMutation(sessionId, action, meta = {}) {
+  const eventMeta = validateEventMeta(meta);
+
+  return database.transaction(async (q) => {
+    const session = await lockActiveSession(q, sessionId);
+    if (!session) {
+      return null;
+    }
+
+    const events = await q(
+      `SELECT event_id, item_id, item_name, zone, previous_quantity, new_quantity, undo_action
+       FROM count_events WHERE session_id = ? ORDER BY sequence`,
+      [sessionId]
+    );
+    const { undoStack, redoStack } = buildUndoStacks(events);
+    const target = action === 'undo' ? undoStack[undoStack.length - 1] : redoStack[redoStack.length - 1];
+    if (!target) {
+      throw new HttpError(409, `Nothing to ${action}`);
+    }
+
+    const items = await q(
+      'SELECT item_id, name FROM inventory_items WHERE list_id = ? AND item_id = ? AND removed_at IS NULL',
+      [session.list_id, target.item_id]
+    );
+    if (items.length === 0) {
+      throw new HttpError(409, `Cannot ${action}: "${target.item_name}" is no longer in the master list`);
+    }
+
+    const quantity = Number(action === 'undo' ? target.previous_quantity : target.new_quantity);
+    return recordEvent(q, sessionId, items[0], {
+      operation: 'SET',
+      quantity,
+      zone: target.zone,
+      undoAction: action,
+      targetEventId: target.event_id
+    }, eventMeta);
+  });
+}
+
+/**
+ * Load a session's count events in the order they were applied
+ * @param {string} sessionId - Session id
+ * @param {Object} filter - { itemId } or { item } to show one item's ledger
+ * @returns {Promise<Array<Object>|null>} Events or null if session not found
+ */
+async function getLedger(sessionId, filter = {}) {
+  const row = await loadSessionRow(sessionId, database.query);
+  if (!row) {
+    return null;
+  }
+
+  const params = [sessionId];
+  let itemCondition = '';
+  if (filter.itemId) {
+    itemCondition = 'AND item_id = ?';
+    params.push(filter.itemId);
+  } else if (filter.item) {
+    itemCondition = 'AND LOWER(item_name) = ?';
+    params.push(filter.item.toLowerCase().trim());
+  }
+
+  const events = await database.query(
+    `SELECT * FROM count_events WHERE session_id = ? ${itemCondition} ORDER BY sequence`,
+    params
+  );
+  return events.map(toEvent);
+}
+
+/**
+ * Rebuild session_totals by replaying the session's events in order.
+ * Events of items since merged into another are replayed as recorded and add up in the survivor,
+ * reported under its current name.
+ * @param {string} sessionId - Session id
+ * @param {Object} options - { dryRun: true } computes the totals without writing them
+ * @returns {Promise<Object|null>} { sessionId, eventCount, totals, changes } or null if session not found
+ */
+async function replaySession(sessionId, options = {}) {
+  return database.transaction(async (q) => {
+    const row = await loadSessionRow(sessionId, q);
+    if (!row) {
+      return null;
+    }
+    if (row.status === 'finalized' && !options.dryRun) {
+      throw new HttpError(409, LOCKED_MESSAGE);
+    }
+
+    const events = await q(
+      'SELECT item_id, item_name, zone, operation, quantity, created_at FROM count_events WHERE session_id = ? ORDER BY sequence',
+      [sessionId]
+    );
+    const current = await q(
+      `SELECT t.item_id, i.name, t.quantity FROM session_totals t
+       JOIN inventory_items i ON i.item_id = t.item_id
+       WHERE t.session_id = ?`,
+      [sessionId]
+    );
+
+    if (events.length === 0 && current.some(total => Number(total.quantity) !== 0)) {
+      throw new HttpError(409, 'Session has totals but no ledger events (counted before the ledger existed)');
+    }
+
+    // Items removed from the master list keep their totals (they come back if the item does);
+    // items deleted before removed items were kept cannot hold one
+    const listItems = await q('SELECT item_id, name FROM inventory_items WHERE list_id = ?', [row.list_id]);
+    const listNames = new Map(listItems.map(item => [item.item_id, item.name]));
+    const merges = await loadMerges(q, row.list_id);
+
+    // Operations apply per item per zone, to the item each event was recorded for; a merged item's
+    // running totals are added to its survivor's (see survivorOf). Item totals are the sum of their zones.
+    const running = new Map();
+    events.forEach(event => {
+      const itemId = survivorOf(merges, event);
+      const key = `${itemId}\u0000${event.item_id}\u0000${event.zone || ''}`;
+      const previous = running.has(key) ? running.get(key).quantity : 0;
+      running.set(key, {
+        itemId,
+        zone: event.zone || '',
+        quantity: applyOperation(previous, event.operation, Number(event.quantity))
+      });
+    });
+
+    const zoneTotals = new Map();
+    running.forEach(({ itemId, zone, quantity }) => {
+      const key = `${itemId}\u0000${zone}`;
+      const previous = zoneTotals.has(key) ? zoneTotals.get(key).quantity : 0;
+      zoneTotals.set(key, { itemId, zone, quantity: previous + quantity });
+    });
+
+    const replayed = new Map();
+    events.forEach(event => {
+      const itemId = survivorOf(merges, event);
+      replayed.set(itemId, { item: listNames.get(itemId) || event.item_name, quantity: 0 });
+    });
+    zoneTotals.forEach(zoneTotal => {
+      replayed.get(zoneTotal.itemId).quantity += zoneTotal.quantity;
+    });
+
+    const before = new Map(current.map(total => [total.item_id, Number(total.quantity)]));
+    const totals = [];
+    const changes = [];
+    replayed.forEach((value, itemId) => {
+      if (!listNames.has(itemId)) {
+        return;
+      }
+      totals.push({ itemId, item: value.item, quantity: value.quantity });
+      const previous = before.has(itemId) ? before.get(itemId) : 0;
+      if (previous !== value.quantity) {
+        changes.push({ itemId, item: value.item, before: previous, after: value.quantity });
+      }
+    });
+    current.forEach(total => {
+      if (!replayed.has(total.item_id) && Number(total.quantity) !== 0) {
+        changes.push({ itemId: total.item_id, item: total.name, before: Number(total.quantity), after: 0 });
+      }
+    });
+
+    if (!options.dryRun) {
+      await q('DELETE FROM session_zone_totals WHERE session_id = ?', [sessionId]);
+      await q('DELETE FROM session_totals WHERE session_id = ?', [sessionId]);
+      for (const zoneTotal of zoneTotals.values()) {
+        if (listNames.has(zoneTotal.itemId)) {
+          await q(
+            'INSERT INTO session_zone_totals (session_id, item_id, zone, quantity) VALUES (?, ?, ?, ?)',
+            [sessionId, zoneTotal.itemId, zoneTotal.zone, zoneTotal.quantity]
+          );
+        }
+      }
+      for (const total of totals) {
+        await q(
+          'INSERT INTO session_totals (total_id, session_id, item_id, quantity) VALUES (?, ?, ?, ?)',
+          [uuidv4(), sessionId, total.itemId, total.quantity]
+        );
+      }
+    }
+
+    return { sessionId, eventCount: events.length, totals, changes, dryRun: !!options.dryRun };
+  });
+}
+
+module.exports = {
+  OPERATIONS,
+  RESOLVER_SOURCES,
+  DECISION_STATES,
+  applyOperation,
+  validateMutation,
+  getSession,
+  findOpenSession,
+  listSessions,
+  startSession,
+  transitionSession,
+  setUnresolvedCommands,
+  listSignOffs,
+  applyMutation,
+  revertMutation,
+  getLedger,
+  replaySession
+};
@@ -0,0 +1,288 @@
+// spokenNumbers.js - Spoken-number grammar for voice counts
+// ("twenty three", "one hundred fifty", "two point five", "two and a half", "half a", "a dozen", "a couple of")
+// Shared by the server (require('./spokenNumbers')) and index.html (<script src="/spokenNumbers.js">, as KrushNumbers;
+// loaded after units.js)
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./units'));
+  } else {
+    root.KrushNumbers = factory(root.KrushUnits);
+  }
+})(typeof self !== 'undefined' ? self : this, function (units) {
+  const ONES = {
+    one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9
+  };
+  const TEENS = {
+    ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+    sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19
+  };
+  const TENS = {
+    twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+  };
+  const DIGITS = { zero: 0, oh: 0, ...ONES };
+
+  // Fraction words -> value of one part: singular after "a"/"an"/"one" ("a half"),
+  // plural after two to nine ("two thirds"); "two third pans" and "four half pans" are not fractions
+  const FRACTIONS = { half: 1 / 2, third: 1 / 3, quarter: 1 / 4, fourth: 1 / 4, eighth: 1 / 8 };
+  const PLURAL_FRACTIONS = { halves: 1 / 2, thirds: 1 / 3, quarters: 1 / 4, fourths: 1 / 4, eighths: 1 / 8 };
+
+  const has = (map, word) => Object.prototype.hasOwnProperty.call(map, word);
+
+  const isNumberWord = word => word === 'zero' || has(ONES, word) || has(TEENS, word) || has(TENS, word) ||
+    word === 'hundred' || word === 'thousand';
+
+  // Counts are stored as DECIMAL(10,2)
+  function round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  // Lower-case a token and drop surrounding punctuation ("23," -> "23", "half." -> "half", "1,500" -> "1500")
+  function clean(token) {
+    return token.toLowerCase().replace(/(\d),(\d)/g, '$1$2').replace(/^[^a-z0-9.]+|[^a-z0-9]+$/g, '');
+  }
+
+  // Split on whitespace, and "twenty-three" into "twenty three" (other hyphenated words are kept)
+  function tokenize(text) {
+    const tokens = [];
+    String(text || '').split(/\s+/).filter(token => token).forEach(token => {
+      const parts = token.split('-');
+      if (parts.length > 1 && parts.every(part => isNumberWord(clean(part)))) {
+        tokens.push(...parts);
+      } else {
+        tokens.push(token);
+      }
+    });
+    return tokens;
+  }
+
+  // Whole number in words ("one hundred and fifty", "twelve hundred") -> { value, length }
+  function parseWords(words, start) {
+    let total = 0;
+    let current = 0;
+    let last = null;
+    let i = start;
+
+    while (i < words.length) {
+      const word = words[i];
+      if (word === 'zero' && last === null) {
+        return { value: 0, length: 1 };
+      } else if ((word === 'a' || word === 'an') && last === null && (words[i + 1] === 'hundred' || words[i + 1] === 'thousand')) {
+        current = 1; // "a hundred"
+        last = 'ones';
+      } else if (has(ONES, word) && (last === null || last === 'tens' || last === 'hundred' || last === 'thousand')) {
+        current += ONES[word];
+        last = 'ones';
+      } else if (has(TEENS, word) && (last === null || last === 'hundred' || last === 'thousand')) {
+        current += TEENS[word];
+        last = 'teens';
+      } else if (has(TENS, word) && (last === null || last === 'hundred' || last === 'thousand')) {
+        current += TENS[word];
+        last = 'tens';
+      } else if (word === 'hundred' && last !== null && last !== 'hundred' && current > 0 && current < 100) {
+        current *= 100;
+        last = 'hundred';
+      } else if (word === 'thousand' && last !== null && last !== 'thousand' && current > 0) {
+        total += current * 1000;
+        current = 0;
+        last = 'thousand';
+      } else if (word === 'and' && (last === 'hundred' || last === 'thousand') &&
+          (has(ONES, words[i + 1]) || has(TEENS, words[i + 1]) || has(TENS, words[i + 1]))) {
+        // "one hundred and fifty" (but not "one hundred and a half")
+      } else {
+        break;
+      }
+      i++;
+    }
+
+    return last === null ? null : { value: total + current, length: i - start };
+  }
+
+  // Whole number in digits or words -> { value, length }
+  function parseWhole(words, start) {
+    if (/^\d+$/.test(words[start])) {
+      return { value: Number(words[start]), length: 1 };
+    }
+    return parseWords(words, start);
+  }
+
+  // "a half", "one quarter", "three quarters", "1/2" -> { value, length }
+  function parseFraction(words, start) {
+    const digitFraction = (words[start] || '').match(/^(\d+)\/(\d+)$/);
+    if (digitFraction && Number(digitFraction[2]) > 0) {
+      return { value: Number(digitFraction[1]) / Number(digitFraction[2]), length: 1 };
+    }
+
+    const word = words[start + 1];
+    let value = null;
+    if (words[start] === 'a' || words[start] === 'an' || words[start] === 'one') {
+      value = has(FRACTIONS, word) ? FRACTIONS[word] : null;
+    } else if (has(ONES, words[start])) {
+      value = has(PLURAL_FRACTIONS, word) ? ONES[words[start]] * PLURAL_FRACTIONS[word] : null;
+    }
+    return value !== null && endsNumber(words, start + 2) ? { value, length: 2 } : null;
+  }
+
+  // A fraction word ends the number only at the end of the command, before a unit ("a half case")
+  // or before "of" ("two thirds of a case"); followed by other words it is part of the item name
+  // ("a half pan", "a half and half")
+  function endsNumber(words, index) {
+    return index >= words.length || words[index] === 'of' || units.normalizeUnit(words[index]) !== null;
+  }
+
+  /**
+   * Parse the number starting at a token
+   * @param {Array<string>} words - Cleaned, lower-case tokens
+   * @param {number} start - Token index
+   * @returns {Object|null} { value, length } (tokens consumed) or null if no number starts there
+   */
+  function parseAt(words, start) {
+    const word = words[start];
+    const next = words[start + 1];
+
+    // "a dozen", "a couple (of)", "half a (case)"
+    if ((word === 'a' || word === 'an') && next === 'dozen') {
+      return { value: 12, length: 2 };
+    }
+    if ((word === 'a' || word === 'an') && next === 'couple') {
+      return { value: 2, length: words[start + 2] === 'of' ? 3 : 2 };
+    }
+    if (word === 'half' && (next === 'a' || next === 'an')) {
+      return { value: 0.5, length: 2 };
+    }
+    if (word === 'point' && has(DIGITS, next)) {
+      const decimal = parseDecimal(words, start + 1);
+      return { value: decimal.value, length: decimal.length + 1 };
+    }
+
+    // Decimal in digits: "2.5", ".5"
+    if (/^\d*\.\d+$/.test(word)) {
+      return withFractionTail(words, start, { value: Number(word), length: 1 });
+    }
+
+    const fraction = parseFraction(words, start);
+    if (fraction) {
+      return fraction;
+    }
+
+    const whole = parseWhole(words, start);
+    if (!whole) {
+      return null;
+    }
+
+    let value = whole.value;
+    let length = whole.length;
+
+    // "two point five"
+    if (words[start + length] === 'point' && has(DIGITS, words[start + length + 1])) {
+      const decimal = parseDecimal(words, start + length + 1);
+      value += decimal.value;
+      length += decimal.length + 1;
+    }
+
+    // "two dozen"
+    if (words[start + length] === 'dozen') {
+      return { value: value * 12, length: length + 1 };
+    }
+
+    return withFractionTail(words, start, { value, length });
+  }
+
+  // Digits after "point": "five" -> 0.5, "two five" -> 0.25
+  function parseDecimal(words, start) {
+    let digits = '';
+    let i = start;
+    while (has(DIGITS, words[i])) {
+      digits += DIGITS[words[i]];
+      i++;
+    }
+    return { value: Number(`0.${digits}`), length: i - start };
+  }
+
+  // "two and a half", "1 and three quarters", "2 1/2"
+  function withFractionTail(words, start, number) {
+    const after = start + number.length;
+    if (words[after] === 'and') {
+      const fraction = parseFraction(words, after + 1);
+      if (fraction && fraction.value < 1) {
+        return { value: number.value + fraction.value, length: number.length + 1 + fraction.length };
+      }
+    }
+    if (/^\d+\/\d+$/.test(words[after] || '') && Number.isInteger(number.value)) {
+      const fraction = parseFraction(words, after);
+      if (fraction && fraction.value < 1) {
+        return { value: number.value + fraction.value, length: number.length + 1 };
+      }
+    }
+    return number;
+  }
+
+  /**
+   * Find every spoken or written number in a transcript, in order
+   * @param {string} text - Transcript
+   * @returns {Array<Object>} [{ value, index, length, text }] (index and length in whitespace tokens)
+   */
+  function findNumbers(text) {
+    const tokens = tokenize(text);
+    const words = tokens.map(clean);
+    const numbers = [];
+
+    let i = 0;
+    while (i < words.length) {
+      const parsed = parseAt(words, i);
+      if (parsed) {
+        numbers.push({
+          value: round(parsed.value),
+          index: i,
+          length: parsed.length,
+          text: tokens.slice(i, i + parsed.length).join(' ')
+        });
+        i += parsed.length;
+      } else {
+        i++;
+      }
+    }
+    return numbers;
+  }
+
+  /**
+   * Extract the first number from a transcript
+   * @param {string} text - Transcript
+   * @returns {number|null} Value or null if there is none
+   */
+  function extractNumber(text) {
+    const numbers = findNumbers(text);
+    return numbers.length > 0 ? numbers[0].value : null;
+  }
+
+  /**
+   * Rewrite spoken numbers as digits ("add two and a half cases" -> "add 2.5 cases")
+   * so patterns and keyword checks only need to handle digits
+   * @param {string} text - Transcript
+   * @returns {string} Transcript with numbers as digits
+   */
+  function normalizeNumbers(text) {
+    const tokens = tokenize(text);
+    const numbers = findNumbers(text);
+    if (numbers.length === 0) {
+      return tokens.join(' ');
+    }
+
+    const output = [];
+    let i = 0;
+    numbers.forEach(number => {
+      output.push(...tokens.slice(i, number.index));
+      // Keep punctuation that followed the number ("twenty three," -> "23,")
+      const trailing = tokens[number.index + number.length - 1].match(/[^a-z0-9/]+$/i);
+      output.push(String(number.value) + (trailing ? trailing[0] : ''));
+      i = number.index + number.length;
+    });
+    output.push(...tokens.slice(i));
+    return output.join(' ');
+  }
+
+  return {
+    findNumbers,
+    extractNumber,
+    normalizeNumbers
+  };
+});
@@ -0,0 +1,241 @@
+// spreadsheetImport.js - Read master list items from Excel/OpenDocument workbooks (.xlsx, .xls, .ods) and CSV files
+const XLSX = require('xlsx');
+const units = require('./units');
+const { HttpError } = require('./utils');
+
+// Header text that identifies each column when the caller does not pick it
+// (exclude keeps "Item #", "Unit Price" and the like from being taken for the column)
+const COLUMN_HEADERS = {
+  name: { include: /\b(item|items|description|product|name)\b/i, exclude: /#|\b(number|no|code|sku|id|count|qty|quantity)\b/i },
+  category: { include: /\b(category|section|group|class|department)\b/i, exclude: /#|\b(code|id)\b/i },
+  unit: { include: /\b(unit|uom|u\/m)\b/i, exclude: /\b(price|cost|count|qty|quantity|each\s*price)\b/i }
+};
+
+// Rows searched for a header row before the sheet is taken as having none
+const HEADER_SEARCH_ROWS = 10;
+
+// Largest sheet read (rows, and columns from A); longer vendor order guides are split before importing
+const MAX_ROWS = 10000;
+const MAX_COLUMNS = 100;
+
+function cellText(value) {
+  return value === null || value === undefined ? '' : String(value).trim();
+}
+
+// True if a header cell names a column of the kind described by rule ({ include, exclude }, see COLUMN_HEADERS)
+function matchesHeader(header, rule) {
+  return rule.include.test(header) && !rule.exclude.test(header);
+}
+
+// Workbook sheet by name (case-insensitive) or 1-based number; the first sheet by default
+function pickSheet(workbook, sheet) {
+  const names = workbook.SheetNames;
+  if (sheet === undefined || sheet === null || sheet === '') {
+    return names[0];
+  }
+
+  const byName = names.find(name => name.toLowerCase() === String(sheet).trim().toLowerCase());
+  if (byName) {
+    return byName;
+  }
+  const index = Number(sheet);
+  if (Number.isInteger(index) && index >= 1 && index <= names.length) {
+    return names[index - 1];
+  }
+  throw new HttpError(400, `Sheet "${sheet}" not found (sheets: ${names.join(', ')})`);
+}
+
+/**
+ * Find the header row: the one given (1-based, 0 for none), or else the first of the top rows
+ * holding an item name header
+ * @param {Array<Array>} rows - Rows (see readSheet)
+ * @param {*} headerRow - Row number from the caller, if any
+ * @returns {number} Header row index (0-based), or -1 if the sheet has no header row
+ * @throws {HttpError} 400 if the given row is not in the sheet
+ */
+function findHeaderRow(rows, headerRow) {
+  if (headerRow !== undefined && headerRow !== null && headerRow !== '') {
+    const number = Number(headerRow);
+    if (!Number.isInteger(number) || number < 0 || number > rows.length) {
+      throw new HttpError(400, `headerRow must be a row number from 1 to ${rows.length}, or 0 for none`);
+    }
+    return number - 1;
+  }
+
+  for (let r = 0; r < Math.min(rows.length, HEADER_SEARCH_ROWS); r++) {
+    if (rows[r].some(cell => matchesHeader(cellText(cell), COLUMN_HEADERS.name))) {
+      return r;
+    }
+  }
+  return -1;
+}
+
+// Column index (0-based) from a header name, a column letter ("B") or a 1-based number
+function resolveColumn(spec, headers, label) {
+  const text = cellText(spec);
+  const byHeader = headers.findIndex(header => header.toLowerCase() === text.toLowerCase());
+  if (text && byHeader >= 0) {
+    return byHeader;
+  }
+  if (/^[A-Z]{1,3}$/i.test(text)) {
+    return XLSX.utils.decode_col(text.toUpperCase());
+  }
+  if (/^\d+$/.test(text) && Number(text) >= 1) {
+    return Number(text) - 1;
+  }
+  throw new HttpError(400, `${label} column "${spec}" not found (use a header name, a column letter or a column number)`);
+}
+
+// Range from A1 to the last cell holding a value, or null for an empty sheet. The range a sheet
+// declares (!ref) can run far past its data, e.g. when formatting was applied to whole columns.
+function usedRange(worksheet) {
+  let lastRow = -1;
+  let lastColumn = -1;
+  Object.keys(worksheet).forEach(address => {
+    if (address[0] === '!' || !cellText(worksheet[address].v)) {
+      return;
+    }
+    const cell = XLSX.utils.decode_cell(address);
+    lastRow = Math.max(lastRow, cell.r);
+    lastColumn = Math.max(lastColumn, cell.c);
+  });
+  return lastRow < 0 ? null : { s: { r: 0, c: 0 }, e: { r: lastRow, c: lastColumn } };
+}
+
+/**
+ * Read one sheet of a workbook (or a CSV file) as rows of cell text. Rows start at A1, not at the
+ * first used cell, so row numbers and column letters match the sheet; they end at the last row and
+ * column holding a value (trailing blank rows and columns are left out).
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - { sheet (name or 1-based number), raw: true to keep CSV values as typed
+ *   (no number or date parsing, so "00123" keeps its zeros) }
+ * @returns {Object} { sheets, sheet, rows: [[cell, ...], ...] }
+ * @throws {HttpError} 400 if the file is not a spreadsheet, the sheet does not exist, or it has
+ *   data past MAX_ROWS rows or MAX_COLUMNS columns
+ */
+function readSheet(buffer, options = {}) {
+  let workbook;
+  try {
+    // One row past the limit is parsed, to tell a sheet that fits from one that does not
+    workbook = XLSX.read(buffer, { type: 'buffer', raw: !!options.raw, sheetRows: MAX_ROWS + 1 });
+  } catch (error) {
+    throw new HttpError(400, `Could not read the file as a spreadsheet: ${error.message}`);
+  }
+  if (workbook.SheetNames.length === 0) {
+    throw new HttpError(400, 'Workbook has no sheets');
+  }
+
+  const sheet = pickSheet(workbook, options.sheet);
+  const worksheet = workbook.Sheets[sheet];
+  const range = usedRange(worksheet);
+  if (range && range.e.r >= MAX_ROWS) {
+    throw new HttpError(400, `Sheet "${sheet}" has more than ${MAX_ROWS} rows; split it into smaller files`);
+  }
+  if (range && range.e.c >= MAX_COLUMNS) {
+    throw new HttpError(400, `Sheet "${sheet}" has data past column ${XLSX.utils.encode_col(MAX_COLUMNS - 1)}; remove the columns that are not needed`);
+  }
+  const rows = range
+    ? XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', raw: false, blankrows: true, range })
+    : [];
+
+  return { sheets: workbook.SheetNames, sheet, rows };
+}
+
+/**
+ * Read master list items from one sheet of a workbook. Columns are found by their header
+ * ("Item", "Description", "Category", "Unit"...) unless picked; without a header row the first
+ * column holding text is the item name. Rows without a name, repeated header rows and repeated
+ * names are skipped. Units are mapped to canonical units (see units.normalizeUnit).
+ * @param {Buffer} buffer - Workbook file contents
+ * @param {Object} options - { sheet (name or 1-based number), headerRow (1-based, 0 for none),
+ *   nameColumn, categoryColumn, unitColumn (header name, column letter or 1-based number) }
+ * @returns {Object} { sheets, sheet, headerRow, columns: [{ column, header }], nameColumn, categoryColumn,
+ *   unitColumn, items: [{ name, category, unit }], skipped, unknownUnits } (columns as letters, null if unused)
+ * @throws {HttpError} 400 if the file is not a workbook, or a picked sheet, row or column does not exist
+ */
+function parseWorkbook(buffer, options = {}) {
+  const { sheets, sheet, rows } = readSheet(buffer, options);
+
+  const headerIndex = findHeaderRow(rows, options.headerRow);
+  const headers = headerIndex >= 0 ? rows[headerIndex].map(cellText) : [];
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+
+  const pick = (spec, kind, label) => {
+    if (spec !== undefined && spec !== null && spec !== '') {
+      return resolveColumn(spec, headers, label);
+    }
+    const found = headers.findIndex(header => matchesHeader(header, COLUMN_HEADERS[kind]));
+    return found >= 0 ? found : null;
+  };
+  let nameColumn = pick(options.nameColumn, 'name', 'Name');
+  if (nameColumn === null) {
+    for (let c = 0; c < width && nameColumn === null; c++) {
+      if (rows.some((row, r) => r > headerIndex && /[a-z]/i.test(cellText(row[c])))) {
+        nameColumn = c;
+      }
+    }
+  }
+  if (nameColumn === null) {
+    throw new HttpError(400, `Sheet "${sheet}" has no item names`);
+  }
+  const categoryColumn = pick(options.categoryColumn, 'category', 'Category');
+  const unitColumn = pick(options.unitColumn, 'unit', 'Unit');
+
+  const items = [];
+  const seen = new Set();
+  const unknownUnits = new Set();
+  const skipped = { blank: 0, duplicate: 0 };
+  for (let r = headerIndex + 1; r < rows.length; r++) {
+    const row = rows[r];
+    const name = cellText(row[nameColumn]);
+    if (!name) {
+      if (row.some(cell => cellText(cell))) {
+        skipped.blank++;
+      }
+      continue;
+    }
+    if (headerIndex >= 0 && name === headers[nameColumn]) {
+      continue;
+    }
+    if (seen.has(name.toLowerCase())) {
+      skipped.duplicate++;
+      continue;
+    }
+    seen.add(name.toLowerCase());
+
+    const unitText = unitColumn === null ? '' : cellText(row[unitColumn]);
+    const unit = unitText ? units.normalizeUnit(unitText) : null;
+    if (unitText && !unit) {
+      unknownUnits.add(unitText);
+    }
+    items.push({
+      name,
+      category: (categoryColumn === null ? '' : cellText(row[categoryColumn])) || null,
+      unit
+    });
+  }
+
+  const letter = column => (column === null ? null : XLSX.utils.encode_col(column));
+  return {
+    sheets,
+    sheet,
+    headerRow: headerIndex >= 0 ? headerIndex + 1 : null,
+    columns: headers.map((header, c) => ({ column: letter(c), header })).filter(column => column.header),
+    nameColumn: letter(nameColumn),
+    categoryColumn: letter(categoryColumn),
+    unitColumn: letter(unitColumn),
+    items,
+    skipped,
+    unknownUnits: [...unknownUnits]
+  };
+}
+
+module.exports = {
+  COLUMN_HEADERS,
+  cellText,
+  matchesHeader,
+  readSheet,
+  findHeaderRow,
+  resolveColumn,
+  parseWorkbook
+};
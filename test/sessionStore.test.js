@@ -0,0 +1,115 @@
+// Count sessions: undo/redo and ledger replay (sessionStore.js), on an in-memory SQLite database
+process.env.SQLITE_PATH = ':memory:';
+delete process.env.DATABASE_URL;
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const database = require('../database');
+const projectStore = require('../projectStore');
+const inventoryStore = require('../inventoryStore');
+const sessionStore = require('../sessionStore');
+
+let projectCount = 0;
+
+// New project with a master list, and a session counting it
+async function startCount(items = ['Shrimp', 'Salmon']) {
+  const projectName = `Kitchen ${++projectCount}`;
+  await projectStore.saveMasterList(projectName, items);
+  await projectStore.replaceZones(projectName, ['Walk-in', 'Freezer']);
+  const project = await projectStore.findProject(projectName);
+  const list = await inventoryStore.getProjectList(project.project_id);
+  const { session } = await sessionStore.startSession({ listId: list.listId });
+  return session.sessionId;
+}
+
+async function counts(sessionId) {
+  return (await sessionStore.getSession(sessionId)).counts;
+}
+
+test.before(() => database.initialize());
+test.after(() => database.close());
+
+test('mutations apply in order', async () => {
+  const sessionId = await startCount();
+  await sessionStore.applyMutation(sessionId, { item: 'Shrimp', operation: 'ADD', quantity: 3 });
+  await sessionStore.applyMutation(sessionId, { item: 'Shrimp', operation: 'ADD', quantity: 2 });
+  await sessionStore.applyMutation(sessionId, { item: 'Salmon', operation: 'SET', quantity: 4 });
+  const event = await sessionStore.applyMutation(sessionId, { item: 'Salmon', operation: 'SUBTRACT', quantity: 10 });
+
+  assert.equal(event.previousQuantity, 4);
+  assert.equal(event.newQuantity, 0);
+  assert.deepEqual(await counts(sessionId), { Shrimp: 5, Salmon: 0 });
+});
+
+test('undo and redo walk the ledger back and forward', async () => {
+  const sessionId = await startCount();
+  await sessionStore.applyMutation(sessionId, { item: 'Shrimp', operation: 'ADD', quantity: 3 });
+  await sessionStore.applyMutation(sessionId, { item: 'Salmon', operation: 'ADD', quantity: 2 });
+  await sessionStore.applyMutation(sessionId, { item: 'Shrimp', operation: 'SET', quantity: 10 });
+
+  const undone = await sessionStore.revertMutation(sessionId, 'undo');
+  assert.equal(undone.undoAction, 'undo');
+  assert.deepEqual(await counts(sessionId), { Shrimp: 3, Salmon: 2 });
+
+  await sessionStore.revertMutation(sessionId, 'undo');
+  assert.deepEqual(await counts(sessionId), { Shrimp: 3, Salmon: 0 });
+
+  await sessionStore.revertMutation(sessionId, 'redo');
+  assert.deepEqual(await counts(sessionId), { Shrimp: 3, Salmon: 2 });
+
+  await sessionStore.revertMutation(sessionId, 'redo');
+  assert.deepEqual(await counts(sessionId), { Shrimp: 10, Salmon: 2 });
+
+  await assert.rejects(sessionStore.revertMutation(sessionId, 'redo'), { statusCode: 409, message: 'Nothing to redo' });
+});
+
+test('a new mutation clears the redo stack', async () => {
+  const sessionId = await startCount();
+  await sessionStore.applyMutation(sessionId, { item: 'Shrimp', operation: 'ADD', quantity: 3 });
+  await sessionStore.revertMutation(sessionId, 'undo');
+  await sessionStore.applyMutation(sessionId, { item: 'Salmon', operation: 'ADD', quantity: 1 });
+
+  await assert.rejects(sessionStore.revertMutation(sessionId, 'redo'), { statusCode: 409 });
+  await sessionStore.revertMutation(sessionId, 'undo');
+  await assert.rejects(sessionStore.revertMutation(sessionId, 'undo'), { statusCode: 409, message: 'Nothing to undo' });
+  assert.deepEqual(await counts(sessionId), { Shrimp: 0, Salmon: 0 });
+});
+
+test('replay rebuilds the totals from the ledger, undo events included', async () => {
+  const sessionId = await startCount();
+  await sessionStore.applyMutation(sessionId, { item: 'Shrimp', operation: 'ADD', quantity: 3 });
+  await sessionStore.applyMutation(sessionId, { item: 'Shrimp', operation: 'ADD', quantity: 4 });
+  await sessionStore.revertMutation(sessionId, 'undo');
+  await sessionStore.applyMutation(sessionId, { item: 'Salmon', operation: 'SET', quantity: 6 });
+  await database.query('UPDATE session_totals SET quantity = 99 WHERE session_id = ?', [sessionId]);
+
+  const preview = await sessionStore.replaySession(sessionId, { dryRun: true });
+  assert.equal(preview.eventCount, 4);
+  assert.deepEqual(preview.totals.map(({ item, quantity }) => ({ item, quantity })), [
+    { item: 'Shrimp', quantity: 3 },
+    { item: 'Salmon', quantity: 6 }
+  ]);
+  assert.deepEqual(preview.changes.map(({ item, before, after }) => ({ item, before, after })), [
+    { item: 'Shrimp', before: 99, after: 3 },
+    { item: 'Salmon', before: 99, after: 6 }
+  ]);
+  assert.deepEqual(await counts(sessionId), { Shrimp: 99, Salmon: 99 });
+
+  await sessionStore.replaySession(sessionId);
+  assert.deepEqual(await counts(sessionId), { Shrimp: 3, Salmon: 6 });
+  assert.deepEqual((await sessionStore.replaySession(sessionId, { dryRun: true })).changes, []);
+});
+
+test('replay adds up zones and does not rewrite a finalized count', async () => {
+  const sessionId = await startCount();
+  await sessionStore.applyMutation(sessionId, { item: 'Shrimp', operation: 'SET', quantity: 2, zone: 'Walk-in' });
+  await sessionStore.applyMutation(sessionId, { item: 'Shrimp', operation: 'SET', quantity: 5, zone: 'Freezer' });
+  assert.equal((await sessionStore.replaySession(sessionId)).totals[0].quantity, 7);
+
+  await sessionStore.transitionSession(sessionId, 'finalize', { signedOffBy: 'Pat' });
+  await assert.rejects(sessionStore.replaySession(sessionId), { statusCode: 409 });
+  await assert.rejects(
+    sessionStore.applyMutation(sessionId, { item: 'Shrimp', operation: 'ADD', quantity: 1 }),
+    { statusCode: 409 }
+  );
+});
@@ -0,0 +1,55 @@
+// Spoken-number grammar (spokenNumbers.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findNumbers, extractNumber, normalizeNumbers } = require('../spokenNumbers');
+
+const values = text => findNumbers(text).map(number => number.value);
+
+test('whole numbers in words and digits', () => {
+  assert.deepEqual(values('twenty three'), [23]);
+  assert.deepEqual(values('one hundred fifty'), [150]);
+  assert.deepEqual(values('two thousand and five'), [2005]);
+  assert.deepEqual(values('add 12 cases'), [12]);
+});
+
+test('decimals, dozens and couples', () => {
+  assert.deepEqual(values('two point five'), [2.5]);
+  assert.deepEqual(values('point five'), [0.5]);
+  assert.deepEqual(values('a dozen eggs'), [12]);
+  assert.deepEqual(values('two dozen eggs'), [24]);
+  assert.deepEqual(values('a couple of cases'), [2]);
+});
+
+test('fractions', () => {
+  assert.deepEqual(values('a half'), [0.5]);
+  assert.deepEqual(values('one half'), [0.5]);
+  assert.deepEqual(values('an eighth'), [0.13]);
+  assert.deepEqual(values('three quarters'), [0.75]);
+  assert.deepEqual(values('two thirds of a case'), [0.67]);
+  assert.deepEqual(values('a half case'), [0.5]);
+  assert.deepEqual(values('half a case'), [0.5]);
+  assert.deepEqual(values('1/2 case'), [0.5]);
+  assert.deepEqual(values('two and a half cases'), [2.5]);
+  assert.deepEqual(values('one and three quarters'), [1.75]);
+  assert.deepEqual(values('2 1/2'), [2.5]);
+});
+
+test('pan sizes are item words, not fractions', () => {
+  assert.deepEqual(values('four half pans'), [4]);
+  assert.deepEqual(values('two third pans'), [2]);
+  assert.deepEqual(values('two quarter sheet pans'), [2]);
+  assert.deepEqual(values('six eighth pans'), [6]);
+  assert.deepEqual(values('a half pan'), []);
+  assert.equal(normalizeNumbers('add four half pans'), 'add 4 half pans');
+});
+
+test('half and half is an item name', () => {
+  assert.deepEqual(values('three half and half'), [3]);
+  assert.deepEqual(values('add two half and half'), [2]);
+  assert.equal(normalizeNumbers('add two half and half'), 'add 2 half and half');
+});
+
+test('extractNumber takes the first number', () => {
+  assert.equal(extractNumber('shrimp twenty three'), 23);
+  assert.equal(extractNumber('shrimp'), null);
+});
@@ -0,0 +1,82 @@
+// Master list import from spreadsheets (spreadsheetImport.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const { findHeaderRow, parseWorkbook } = require('../spreadsheetImport');
+
+function workbook(rows) {
+  const book = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet(rows), 'Order Guide');
+  return XLSX.write(book, { type: 'buffer', bookType: 'xlsx' });
+}
+
+test('findHeaderRow finds the item name header below a title block', () => {
+  const rows = [
+    ['Sysco order guide', ''],
+    ['Printed 10/1', ''],
+    ['Item #', 'Description', 'Unit Price'],
+    ['1001', 'Shrimp', '12.50']
+  ];
+  assert.equal(findHeaderRow(rows), 2);
+});
+
+test('findHeaderRow does not take item numbers or quantities for the name header', () => {
+  assert.equal(findHeaderRow([['Item #', 'Qty'], ['1001', '4']]), -1);
+  assert.equal(findHeaderRow([['Shrimp', 'case'], ['Salmon', 'pound']]), -1);
+});
+
+test('findHeaderRow uses the row the caller gives', () => {
+  const rows = [['a'], ['b'], ['c']];
+  assert.equal(findHeaderRow(rows, 2), 1);
+  assert.equal(findHeaderRow(rows, '0'), -1);
+  assert.throws(() => findHeaderRow(rows, 4), { statusCode: 400 });
+  assert.throws(() => findHeaderRow(rows, 'two'), { statusCode: 400 });
+});
+
+test('parseWorkbook reads items by their headers', () => {
+  const result = parseWorkbook(workbook([
+    ['Weekly order guide'],
+    [],
+    ['Item #', 'Product Name', 'Category', 'UOM', 'Unit Price'],
+    ['1001', 'Shrimp', 'Seafood', 'CS', '12.50'],
+    ['1002', 'Salmon', 'Seafood', 'lbs', '9.00'],
+    ['1003', 'shrimp', 'Seafood', 'CS', '12.50'],
+    ['1004', '', 'Seafood', 'CS', ''],
+    ['Item #', 'Product Name', 'Category', 'UOM', 'Unit Price'],
+    ['1005', 'Lemons', 'Produce', 'flat', '']
+  ]));
+
+  assert.equal(result.sheet, 'Order Guide');
+  assert.equal(result.headerRow, 3);
+  assert.equal(result.nameColumn, 'B');
+  assert.equal(result.categoryColumn, 'C');
+  assert.equal(result.unitColumn, 'D');
+  assert.deepEqual(result.items, [
+    { name: 'Shrimp', category: 'Seafood', unit: 'case' },
+    { name: 'Salmon', category: 'Seafood', unit: 'pound' },
+    { name: 'Lemons', category: 'Produce', unit: null }
+  ]);
+  assert.deepEqual(result.skipped, { blank: 1, duplicate: 1 });
+  assert.deepEqual(result.unknownUnits, ['flat']);
+});
+
+test('parseWorkbook without a header row takes the first text column for names', () => {
+  const result = parseWorkbook(Buffer.from('1001,Shrimp\n1002,Salmon\n'));
+  assert.equal(result.headerRow, null);
+  assert.equal(result.nameColumn, 'B');
+  assert.deepEqual(result.items.map(item => item.name), ['Shrimp', 'Salmon']);
+});
+
+test('parseWorkbook takes picked columns', () => {
+  const result = parseWorkbook(workbook([
+    ['Code', 'Item', 'Notes'],
+    ['A1', 'Shrimp', 'Frozen']
+  ]), { nameColumn: 'C' });
+  assert.equal(result.nameColumn, 'C');
+  assert.deepEqual(result.items.map(item => item.name), ['Frozen']);
+  assert.throws(() => parseWorkbook(workbook([['Item'], ['Shrimp']]), { nameColumn: 'Missing header' }), { statusCode: 400 });
+});
+
+test('parseWorkbook rejects a sheet the workbook does not have', () => {
+  assert.throws(() => parseWorkbook(workbook([['Item'], ['Shrimp']]), { sheet: 'Inventory' }), { statusCode: 400 });
+});
@@ -0,0 +1,58 @@
+// Counting units (units.js)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeUnit, stripUnit, toBaseQuantity, applyUnitCount, formatUnitCounts } = require('../units');
+
+const shrimp = { baseUnit: 'pound', packSizes: { case: 10, bag: 2.5 } };
+
+test('normalizeUnit maps plurals and abbreviations', () => {
+  assert.equal(normalizeUnit('cases'), 'case');
+  assert.equal(normalizeUnit('lbs'), 'pound');
+  assert.equal(normalizeUnit('pans'), null);
+});
+
+test('stripUnit splits a leading unit off an item phrase', () => {
+  assert.deepEqual(stripUnit('cases of shrimp'), { unit: 'case', rest: 'shrimp' });
+  assert.deepEqual(stripUnit('half pans'), { unit: null, rest: 'half pans' });
+});
+
+test('toBaseQuantity converts through the item pack sizes', () => {
+  assert.equal(toBaseQuantity(2, 'case', shrimp), 20);
+  assert.equal(toBaseQuantity(3, 'bag', shrimp), 7.5);
+  assert.equal(toBaseQuantity(0.333, 'case', shrimp), 3.33);
+});
+
+test('toBaseQuantity keeps counts in the base unit', () => {
+  assert.equal(toBaseQuantity(4, null, shrimp), 4);
+  assert.equal(toBaseQuantity(4, 'pound', shrimp), 4);
+  assert.equal(toBaseQuantity(4, 'each', {}), 4);
+  assert.equal(toBaseQuantity(4, 'each', null), 4);
+});
+
+test('toBaseQuantity returns null for a unit the item has no pack size for', () => {
+  assert.equal(toBaseQuantity(1, 'box', shrimp), null);
+  assert.equal(toBaseQuantity(1, 'case', { baseUnit: 'each' }), null);
+});
+
+test('applyUnitCount accumulates ADD per unit and replaces on SET', () => {
+  let counts = applyUnitCount({}, { operation: 'ADD', quantity: 2, unit: 'case', newQuantity: 20 });
+  counts = applyUnitCount(counts, { operation: 'ADD', quantity: 5, unit: null, newQuantity: 25 });
+  assert.deepEqual(counts, { case: 2, '': 5 });
+  assert.deepEqual(applyUnitCount(counts, { operation: 'SET', quantity: 3, unit: 'bag', newQuantity: 7.5 }), { bag: 3 });
+  assert.deepEqual(applyUnitCount(counts, { operation: 'SET', quantity: 0, unit: null, newQuantity: 0 }), {});
+  assert.deepEqual(applyUnitCount(counts, { operation: 'ERASE', quantity: 0, unit: null, newQuantity: 0 }), {});
+});
+
+test('applyUnitCount subtracts within a unit, or falls back to the base quantity', () => {
+  const counts = { case: 2, '': 5 };
+  assert.deepEqual(applyUnitCount(counts, { operation: 'SUBTRACT', quantity: 1, unit: 'case', newQuantity: 15 }), { case: 1, '': 5 });
+  assert.deepEqual(applyUnitCount(counts, { operation: 'SUBTRACT', quantity: 5, unit: null, newQuantity: 20 }), { case: 2 });
+  assert.deepEqual(applyUnitCount(counts, { operation: 'SUBTRACT', quantity: 3, unit: 'case', newQuantity: 0 }), {});
+  assert.deepEqual(applyUnitCount(counts, { operation: 'SUBTRACT', quantity: 1, unit: 'bag', newQuantity: 22.5 }), { '': 22.5 });
+});
+
+test('formatUnitCounts describes the counted units', () => {
+  assert.equal(formatUnitCounts({ case: 2, '': 5 }, 'pound'), '2 case + 5 pound');
+  assert.equal(formatUnitCounts({ '': 3 }), '3 each');
+  assert.equal(formatUnitCounts({}), '');
+});
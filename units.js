@@ -0,0 +1,153 @@
+// units.js - Units of measure and pack-size conversions for voice counts
+// Shared by the server (require('./units')) and index.html (<script src="/units.js">, as KrushUnits)
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.KrushUnits = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Canonical unit -> words staff say for it
+  const UNIT_WORDS = {
+    each: ['each', 'ea', 'piece', 'pieces', 'pc', 'pcs', 'unit', 'units'],
+    case: ['case', 'cases', 'cs'],
+    sleeve: ['sleeve', 'sleeves'],
+    box: ['box', 'boxes'],
+    bag: ['bag', 'bags'],
+    pack: ['pack', 'packs', 'package', 'packages'],
+    bottle: ['bottle', 'bottles'],
+    can: ['can', 'cans'],
+    jar: ['jar', 'jars'],
+    tub: ['tub', 'tubs'],
+    tray: ['tray', 'trays'],
+    bunch: ['bunch', 'bunches'],
+    pound: ['pound', 'pounds', 'lb', 'lbs'],
+    ounce: ['ounce', 'ounces', 'oz'],
+    kilogram: ['kilogram', 'kilograms', 'kilo', 'kilos', 'kg'],
+    gallon: ['gallon', 'gallons', 'gal'],
+    quart: ['quart', 'quarts', 'qt'],
+    liter: ['liter', 'liters', 'litre', 'litres']
+  };
+
+  const UNITS = Object.keys(UNIT_WORDS);
+  const WORD_TO_UNIT = {};
+  UNITS.forEach(unit => {
+    UNIT_WORDS[unit].forEach(word => { WORD_TO_UNIT[word] = unit; });
+  });
+  const UNIT_PATTERN = Object.keys(WORD_TO_UNIT).sort((a, b) => b.length - a.length).join('|');
+
+  /**
+   * Normalize a unit word ("cases", "lbs") to its canonical unit
+   * @param {string} word - Spoken or typed unit
+   * @returns {string|null} Canonical unit or null if not a unit
+   */
+  function normalizeUnit(word) {
+    if (!word || typeof word !== 'string') {
+      return null;
+    }
+    const key = word.toLowerCase().trim().replace(/\.$/, '');
+    return Object.prototype.hasOwnProperty.call(WORD_TO_UNIT, key) ? WORD_TO_UNIT[key] : null;
+  }
+
+  /**
+   * Find the unit spoken right after the quantity ("add 2 cases shrimp" -> case)
+   * @param {string} text - Transcript with numbers as digits (see spokenNumbers.normalizeNumbers)
+   * @returns {string|null} Canonical unit or null if none was spoken
+   */
+  function findUnit(text) {
+    const tokens = String(text || '').toLowerCase().split(/\s+/);
+    for (let i = 1; i < tokens.length; i++) {
+      const unit = normalizeUnit(tokens[i]);
+      if (unit && /^\d*\.?\d+$/.test(tokens[i - 1])) {
+        return unit;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Split a leading unit off an item phrase ("cases of shrimp" -> { unit: 'case', rest: 'shrimp' })
+   * @param {string} phrase - Item phrase
+   * @returns {Object} { unit, rest } (unit null and rest unchanged if the phrase has no unit)
+   */
+  function stripUnit(phrase) {
+    const match = String(phrase || '').trim().match(new RegExp(`^(${UNIT_PATTERN})\\.?\\s+(?:of\\s+)?(.+)$`, 'i'));
+    if (!match) {
+      return { unit: null, rest: String(phrase || '').trim() };
+    }
+    return { unit: normalizeUnit(match[1]), rest: match[2].trim() };
+  }
+
+  /**
+   * Convert a counted quantity into the item's base unit
+   * @param {number} quantity - Quantity in the counted unit
+   * @param {string|null} unit - Counted unit (null = base unit)
+   * @param {Object} itemUnits - { baseUnit, packSizes: { unit: base units per pack } } (base unit defaults to each)
+   * @returns {number|null} Quantity in base units, or null if the item has no conversion for the unit
+   */
+  function toBaseQuantity(quantity, unit, itemUnits) {
+    const baseUnit = (itemUnits && itemUnits.baseUnit) || 'each';
+    if (!unit || unit === baseUnit) {
+      return quantity;
+    }
+    const factor = itemUnits && itemUnits.packSizes ? itemUnits.packSizes[unit] : undefined;
+    if (!factor) {
+      return null;
+    }
+    return Math.round(quantity * factor * 100) / 100; // Counts are stored as DECIMAL(10,2)
+  }
+
+  /**
+   * Track what was counted in which unit, alongside the base quantity.
+   * ADD/SUBTRACT accumulate per unit, SET replaces; a SUBTRACT of more than was counted
+   * in that unit falls back to the base quantity.
+   * @param {Object} unitCounts - { unit: quantity } ('' = base unit)
+   * @param {Object} change - { operation, quantity, unit, newQuantity } (quantity in the counted unit, newQuantity in base units)
+   * @returns {Object} New unit counts
+   */
+  function applyUnitCount(unitCounts, change) {
+    const unit = change.unit || '';
+    const next = { ...unitCounts };
+
+    switch (change.operation) {
+      case 'ADD':
+        next[unit] = (next[unit] || 0) + change.quantity;
+        break;
+      case 'SUBTRACT':
+        if ((next[unit] || 0) < change.quantity) {
+          return change.newQuantity > 0 ? { '': change.newQuantity } : {};
+        }
+        next[unit] -= change.quantity;
+        if (next[unit] === 0) delete next[unit];
+        break;
+      case 'SET':
+        return change.quantity > 0 ? { [unit]: change.quantity } : {};
+      default:
+        return {};
+    }
+    return next;
+  }
+
+  /**
+   * Describe unit counts for display and exports ("2 case + 5 each")
+   * @param {Object} unitCounts - { unit: quantity } ('' = base unit)
+   * @param {string} baseUnit - Item base unit (defaults to each)
+   * @returns {string} Description, empty when nothing was counted
+   */
+  function formatUnitCounts(unitCounts, baseUnit) {
+    return Object.entries(unitCounts || {})
+      .filter(([, quantity]) => quantity !== 0)
+      .map(([unit, quantity]) => `${quantity} ${unit || baseUnit || 'each'}`)
+      .join(' + ');
+  }
+
+  return {
+    UNITS,
+    normalizeUnit,
+    findUnit,
+    stripUnit,
+    toBaseQuantity,
+    applyUnitCount,
+    formatUnitCounts
+  };
+});
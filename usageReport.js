@@ -0,0 +1,125 @@
+// usageReport.js - Actual usage between two counts (opening count + received - closing count)
+const { toCSV } = require('./utils');
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Work out what was used between two counts.
+ * Counted items and deliveries are matched by item id (so renamed items still line up), then by name.
+ * An item missing from either count has no usage; negative usage (more on the shelf than
+ * was counted plus delivered) usually means a miscount or an unlogged delivery and is flagged.
+ * @param {Object} opening - Earlier snapshot (see countHistoryStore.getSnapshot)
+ * @param {Object} closing - Later snapshot
+ * @param {Array<Object>} receipts - Deliveries received between the two counts (see receivingStore.listReceipts)
+ * @param {Array<Object>} items - Current master list items (see inventoryStore.getInventoryList), for base units
+ * @returns {Object} { opening, closing, summary, items }
+ */
+function buildUsageReport(opening, closing, receipts, items) {
+  const rows = [];
+  const rowsById = new Map();
+  const rowsByName = new Map();
+  const itemsById = new Map(items.map(item => [item.itemId, item]));
+
+  // The report row for an item, created in first-seen order (closing count, opening count, deliveries)
+  const rowFor = (itemId, name) => {
+    let row = (itemId && rowsById.get(itemId)) || rowsByName.get(name.toLowerCase());
+    if (!row) {
+      const item = itemsById.get(itemId);
+      row = {
+        itemId: itemId || null,
+        item: name,
+        baseUnit: (item && item.baseUnit) || 'each',
+        openingQuantity: null,
+        receivedQuantity: 0,
+        receivedCost: 0,
+        receiptCount: 0,
+        closingQuantity: null
+      };
+      rows.push(row);
+    }
+    if (itemId) rowsById.set(itemId, row);
+    rowsByName.set(name.toLowerCase(), row);
+    return row;
+  };
+
+  closing.items.forEach(counted => {
+    const row = rowFor(counted.itemId, counted.item);
+    row.closingQuantity = counted.quantity;
+    if (counted.baseUnit) row.baseUnit = counted.baseUnit;
+  });
+  opening.items.forEach(counted => {
+    const row = rowFor(counted.itemId, counted.item);
+    if (row.item !== counted.item) row.previousName = counted.item;
+    row.openingQuantity = counted.quantity;
+  });
+  receipts.forEach(receipt => {
+    const row = rowFor(receipt.itemId, receipt.item);
+    row.receivedQuantity = round2(row.receivedQuantity + receipt.quantity);
+    row.receivedCost = receipt.unitCost === null || row.receivedCost === null
+      ? null
+      : round2(row.receivedCost + receipt.quantity * receipt.unitCost);
+    row.receiptCount++;
+  });
+
+  const reportItems = rows.map(row => {
+    const usage = row.openingQuantity === null || row.closingQuantity === null
+      ? null
+      : round2(row.openingQuantity + row.receivedQuantity - row.closingQuantity);
+    return {
+      ...row,
+      receivedCost: row.receiptCount > 0 ? row.receivedCost : null,
+      usage,
+      flagged: usage !== null && usage < 0
+    };
+  });
+
+  const describe = snapshot => ({
+    snapshotId: snapshot.snapshotId,
+    countedAt: snapshot.countedAt,
+    listVersion: snapshot.listVersion,
+    totalQuantity: snapshot.totalQuantity
+  });
+
+  return {
+    opening: describe(opening),
+    closing: describe(closing),
+    summary: {
+      itemCount: reportItems.length,
+      receiptCount: receipts.length,
+      totalReceived: round2(reportItems.reduce((sum, item) => sum + item.receivedQuantity, 0)),
+      totalUsage: round2(reportItems.reduce((sum, item) => sum + (item.usage || 0), 0)),
+      flaggedCount: reportItems.filter(item => item.flagged).length,
+      uncountedCount: reportItems.filter(item => item.usage === null).length
+    },
+    items: reportItems
+  };
+}
+
+/**
+ * Render a usage report as CSV (every value quoted, as /vision/download.csv)
+ * @param {Object} report - Report from buildUsageReport
+ * @returns {string} CSV text
+ */
+function usageReportToCSV(report) {
+  const header = [
+    'ItemName', 'BaseUnit', 'OpeningQuantity', 'Received', 'ReceivedCost', 'ClosingQuantity', 'Usage', 'Flagged'
+  ];
+  const rows = report.items.map(item => [
+    item.item,
+    item.baseUnit,
+    item.openingQuantity,
+    item.receivedQuantity,
+    item.receivedCost,
+    item.closingQuantity,
+    item.usage,
+    item.flagged ? 'YES' : ''
+  ]);
+  return toCSV(header, rows);
+}
+
+module.exports = {
+  buildUsageReport,
+  usageReportToCSV
+};
@@ -28,6 +28,83 @@ function fetchWithTimeout(url, options = {}, timeoutMs = 30000) {
   });
 }
 
+/**
+ * Normalize a timestamp column (PostgreSQL returns Date, SQLite returns text)
+ * @param {Date|string|null} value - Column value
+ * @returns {string|null} ISO timestamp
+ */
+function toIso(value) {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  // SQLite CURRENT_TIMESTAMP is UTC in "YYYY-MM-DD HH:MM:SS" form
+  if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)) {
+    return `${value.replace(' ', 'T')}.000Z`;
+  }
+  return value;
+}
+
+/**
+ * Error carrying the HTTP status a route should respond with
+ * Thrown by the store modules for not-found / conflict / validation failures.
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status code (e.g. 400, 404, 409)
+   * @param {string} message - Error message returned to the client
+   */
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Validate a date (YYYY-MM-DD) or timestamp from a request and normalize it to ISO
+ * A bare date is the start of that day (UTC).
+ * @param {string} value - Date or timestamp
+ * @param {string} label - Field name for the error message
+ * @returns {string} ISO timestamp
+ * @throws {HttpError} 400 if the value is not a date or timestamp
+ */
+function toTimestamp(value, label) {
+  const time = Date.parse(value);
+  if (typeof value !== 'string' || isNaN(time)) {
+    throw new HttpError(400, `${label} must be a date (YYYY-MM-DD) or ISO timestamp`);
+  }
+  return new Date(time).toISOString();
+}
+
+/**
+ * Quote a CSV value (same rules as /vision/download.csv):
+ * every value wrapped in double quotes, embedded quotes doubled
+ * @param {*} value - Cell value (null/undefined become empty)
+ * @returns {string} Quoted CSV cell
+ */
+function escapeCSV(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Build CSV text from a header row and data rows
+ * @param {Array<string>} header - Column names
+ * @param {Array<Array<*>>} rows - Row values
+ * @returns {string} CSV with every value quoted
+ */
+function toCSV(header, rows) {
+  return [header, ...rows].map(row => row.map(escapeCSV).join(',')).join('\n');
+}
+
 module.exports = {
-  fetchWithTimeout
+  fetchWithTimeout,
+  toIso,
+  HttpError,
+  toTimestamp,
+  escapeCSV,
+  toCSV
 };
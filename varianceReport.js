@@ -0,0 +1,123 @@
+// varianceReport.js - Count-to-count variance report (compare two count history snapshots)
+const { toCSV } = require('./utils');
+
+const DEFAULT_THRESHOLD_PERCENT = 10;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Compare two counts item by item.
+ * Items are matched by item id (so renamed items still line up), then by name.
+ * Items on only one side are reported as 'added' or 'removed' rather than dropped.
+ * @param {Object} from - Earlier snapshot (see countHistoryStore.getSnapshot)
+ * @param {Object} to - Later snapshot
+ * @param {Object} options - { threshold } percent change beyond which an item is flagged
+ * @returns {Object} { from, to, threshold, summary, items }
+ */
+function buildVarianceReport(from, to, options = {}) {
+  const threshold = options.threshold ?? DEFAULT_THRESHOLD_PERCENT;
+
+  const fromById = new Map(from.items.map(item => [item.itemId, item]));
+  const fromByName = new Map(from.items.map(item => [item.item.toLowerCase(), item]));
+  const matched = new Set();
+  const items = [];
+
+  to.items.forEach(toItem => {
+    const fromItem = fromById.get(toItem.itemId) || fromByName.get(toItem.item.toLowerCase());
+    if (!fromItem || matched.has(fromItem)) {
+      items.push({
+        itemId: toItem.itemId,
+        item: toItem.item,
+        status: 'added',
+        fromQuantity: null,
+        toQuantity: toItem.quantity,
+        change: null,
+        percentChange: null,
+        flagged: false
+      });
+      return;
+    }
+    matched.add(fromItem);
+
+    const change = round2(toItem.quantity - fromItem.quantity);
+    // No percentage from zero; any change from zero is flagged
+    const percentChange = fromItem.quantity === 0 ? null : round2((change / fromItem.quantity) * 100);
+    const flagged = percentChange === null ? change !== 0 : Math.abs(percentChange) > threshold;
+
+    items.push({
+      itemId: toItem.itemId,
+      item: toItem.item,
+      previousName: fromItem.item !== toItem.item ? fromItem.item : undefined,
+      status: change === 0 ? 'unchanged' : 'changed',
+      fromQuantity: fromItem.quantity,
+      toQuantity: toItem.quantity,
+      change,
+      percentChange,
+      flagged
+    });
+  });
+
+  from.items
+    .filter(fromItem => !matched.has(fromItem))
+    .forEach(fromItem => {
+      items.push({
+        itemId: fromItem.itemId,
+        item: fromItem.item,
+        status: 'removed',
+        fromQuantity: fromItem.quantity,
+        toQuantity: null,
+        change: null,
+        percentChange: null,
+        flagged: false
+      });
+    });
+
+  const describe = snapshot => ({
+    snapshotId: snapshot.snapshotId,
+    countedAt: snapshot.countedAt,
+    listVersion: snapshot.listVersion,
+    totalQuantity: snapshot.totalQuantity
+  });
+
+  return {
+    from: describe(from),
+    to: describe(to),
+    threshold,
+    summary: {
+      itemCount: items.length,
+      changedCount: items.filter(item => item.status === 'changed').length,
+      flaggedCount: items.filter(item => item.flagged).length,
+      addedCount: items.filter(item => item.status === 'added').length,
+      removedCount: items.filter(item => item.status === 'removed').length,
+      totalChange: round2(to.totalQuantity - from.totalQuantity)
+    },
+    items
+  };
+}
+
+/**
+ * Render a variance report as CSV (every value quoted, as /vision/download.csv)
+ * @param {Object} report - Report from buildVarianceReport
+ * @returns {string} CSV text
+ */
+function varianceReportToCSV(report) {
+  const header = ['ItemName', 'Status', 'FromQuantity', 'ToQuantity', 'Change', 'PercentChange', 'Flagged'];
+  const rows = report.items.map(item => [
+    item.item,
+    item.status,
+    item.fromQuantity,
+    item.toQuantity,
+    item.change,
+    item.percentChange,
+    item.flagged ? 'YES' : ''
+  ]);
+  return toCSV(header, rows);
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD_PERCENT,
+  buildVarianceReport,
+  varianceReportToCSV
+};
@@ -0,0 +1,67 @@
+// wasteReasons.js - Waste reason codes and the words staff say for them ("..., expired", "dropped it")
+// Shared by the server (require('./wasteReasons')) and index.html (<script src="/wasteReasons.js">, as KrushWaste)
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.KrushWaste = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Reason code -> words staff say for it (no bare words that end item names, like "trim" in "beef trim")
+  const REASON_WORDS = {
+    expired: ['expired', 'out of date', 'past date', 'past its date', 'outdated'],
+    spoiled: ['spoiled', 'spoilt', 'rotten', 'moldy', 'mouldy', 'gone off', 'went bad', 'gone bad'],
+    damaged: ['damaged', 'dropped', 'broken', 'spilled', 'spilt', 'crushed', 'contaminated'],
+    overproduction: ['overproduction', 'over production', 'overprepped', 'over prepped', 'leftover', 'leftovers', 'end of day'],
+    preparation: ['prep waste', 'trimmings', 'preparation'],
+    burned: ['burned', 'burnt', 'overcooked', 'over cooked', 'cooking error', 'cook error'],
+    returned: ['returned', 'sent back', 'customer return', 'comped'],
+    other: ['other']
+  };
+
+  const REASONS = Object.keys(REASON_WORDS);
+  const DEFAULT_REASON = 'other';
+
+  const WORD_TO_REASON = {};
+  REASONS.forEach(reason => {
+    WORD_TO_REASON[reason] = reason;
+    REASON_WORDS[reason].forEach(word => { WORD_TO_REASON[word] = reason; });
+  });
+  // Longest phrases first so "went bad" wins over "bad"
+  const REASON_PATTERN = Object.keys(WORD_TO_REASON).sort((a, b) => b.length - a.length).join('|');
+
+  /**
+   * Normalize a reason word or phrase ("out of date", "Dropped") to its reason code
+   * @param {string} text - Spoken or typed reason
+   * @returns {string|null} Reason code or null if not a known reason
+   */
+  function normalizeReason(text) {
+    if (!text || typeof text !== 'string') {
+      return null;
+    }
+    const key = text.toLowerCase().replace(/[^a-z\s]/g, ' ').replace(/\s+/g, ' ').trim();
+    return Object.prototype.hasOwnProperty.call(WORD_TO_REASON, key) ? WORD_TO_REASON[key] : null;
+  }
+
+  /**
+   * Split a spoken reason off the end of a waste command
+   * ("waste 3 salmon fillet, expired" -> { reason: 'expired', rest: 'waste 3 salmon fillet' })
+   * @param {string} text - Transcript
+   * @returns {Object} { reason, rest } (reason null and rest unchanged if no reason was spoken)
+   */
+  function splitReason(text) {
+    const trimmed = String(text || '').trim();
+    const match = trimmed.match(new RegExp(`^(.+?)[\\s,.;:-]+(?:it\\s+)?(?:(?:was|is|because|reason)\\s+)?(${REASON_PATTERN})[.!]?$`, 'i'));
+    if (!match) {
+      return { reason: null, rest: trimmed };
+    }
+    return { reason: normalizeReason(match[2]), rest: match[1].trim() };
+  }
+
+  return {
+    REASONS,
+    DEFAULT_REASON,
+    normalizeReason,
+    splitReason
+  };
+});
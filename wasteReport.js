@@ -0,0 +1,124 @@
+// wasteReport.js - Waste log summarised by item, reason code and period
+const { toCSV } = require('./utils');
+const wasteReasons = require('./wasteReasons');
+
+const PERIODS = ['day', 'week', 'month'];
+const DEFAULT_PERIOD = 'week';
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// The period a timestamp falls in (UTC): day "2024-03-05", week starting Monday "2024-03-04", month "2024-03"
+function periodKey(iso, period) {
+  const date = new Date(iso);
+  if (period === 'month') {
+    return date.toISOString().substring(0, 7);
+  }
+  if (period === 'week') {
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  }
+  return date.toISOString().substring(0, 10);
+}
+
+// Add an entry to a running { quantity, entryCount, reasons: { code: quantity } } total
+function addEntry(total, entry) {
+  total.quantity = round2(total.quantity + entry.quantity);
+  total.entryCount++;
+  total.reasons[entry.reason] = round2((total.reasons[entry.reason] || 0) + entry.quantity);
+}
+
+/**
+ * Summarise waste entries.
+ * Quantities are in each item's base unit, so per-reason and per-period totals add up
+ * different units; use byItem for amounts of a single product.
+ * @param {Array<Object>} entries - Waste entries (see wasteStore.listWaste)
+ * @param {Object} options - { period: 'day'|'week'|'month', after, until } (range echoed back in the report)
+ * @param {Array<Object>} items - Current master list items (see inventoryStore.getInventoryList), for base units
+ * @returns {Object} { range, summary, byItem, byReason, byPeriod }
+ */
+function buildWasteReport(entries, options = {}, items = []) {
+  const period = options.period || DEFAULT_PERIOD;
+  const itemsById = new Map(items.map(item => [item.itemId, item]));
+  const byItem = new Map();
+  const byReason = new Map();
+  const byPeriod = new Map();
+
+  entries.forEach(entry => {
+    const itemKey = entry.itemId || entry.item.toLowerCase();
+    if (!byItem.has(itemKey)) {
+      const item = itemsById.get(entry.itemId);
+      byItem.set(itemKey, {
+        itemId: entry.itemId,
+        item: item ? item.name : entry.item,
+        baseUnit: (item && item.baseUnit) || 'each',
+        quantity: 0,
+        entryCount: 0,
+        reasons: {}
+      });
+    }
+    addEntry(byItem.get(itemKey), entry);
+
+    if (!byReason.has(entry.reason)) {
+      byReason.set(entry.reason, { reason: entry.reason, quantity: 0, entryCount: 0, items: new Set() });
+    }
+    const reason = byReason.get(entry.reason);
+    reason.quantity = round2(reason.quantity + entry.quantity);
+    reason.entryCount++;
+    reason.items.add(itemKey);
+
+    const key = periodKey(entry.loggedAt, period);
+    if (!byPeriod.has(key)) {
+      byPeriod.set(key, { period: key, quantity: 0, entryCount: 0, reasons: {} });
+    }
+    addEntry(byPeriod.get(key), entry);
+  });
+
+  return {
+    range: {
+      after: options.after || null,
+      until: options.until || null,
+      period
+    },
+    summary: {
+      entryCount: entries.length,
+      itemCount: byItem.size,
+      totalQuantity: round2(entries.reduce((sum, entry) => sum + entry.quantity, 0))
+    },
+    // Most wasted first
+    byItem: [...byItem.values()].sort((a, b) => b.quantity - a.quantity || a.item.localeCompare(b.item)),
+    // Reason codes in their defined order
+    byReason: wasteReasons.REASONS
+      .filter(code => byReason.has(code))
+      .map(code => {
+        const { items: reasonItems, ...reason } = byReason.get(code);
+        return { ...reason, itemCount: reasonItems.size };
+      }),
+    byPeriod: [...byPeriod.values()].sort((a, b) => a.period.localeCompare(b.period))
+  };
+}
+
+/**
+ * Render a waste report as CSV, one row per item and reason (every value quoted, as /vision/download.csv)
+ * @param {Object} report - Report from buildWasteReport
+ * @returns {string} CSV text
+ */
+function wasteReportToCSV(report) {
+  const header = ['ItemName', 'Reason', 'Quantity', 'BaseUnit'];
+  const rows = [];
+  report.byItem.forEach(item => {
+    wasteReasons.REASONS
+      .filter(code => item.reasons[code] !== undefined)
+      .forEach(code => {
+        rows.push([item.item, code, item.reasons[code], item.baseUnit]);
+      });
+  });
+  return toCSV(header, rows);
+}
+
+module.exports = {
+  PERIODS,
+  DEFAULT_PERIOD,
+  buildWasteReport,
+  wasteReportToCSV
+};
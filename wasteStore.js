@@ -0,0 +1,150 @@
+// wasteStore.js - Waste log: product thrown out, per master list item and reason code (not part of the shelf count)
+const { v4: uuidv4 } = require('uuid');
+const database = require('./database');
+const inventoryStore = require('./inventoryStore');
+const units = require('./units');
+const wasteReasons = require('./wasteReasons');
+const { toIso, toTimestamp, HttpError } = require('./utils');
+
+function toWasteEntry(row) {
+  return {
+    wasteId: row.waste_id,
+    itemId: row.item_id || null,
+    item: row.item_name,
+    quantity: Number(row.quantity),
+    countedUnit: row.counted_unit || null,
+    countedQuantity: row.counted_quantity === null || row.counted_quantity === undefined ? null : Number(row.counted_quantity),
+    reason: row.reason,
+    transcript: row.transcript || null,
+    userId: row.user_id || null,
+    zone: row.zone || null,
+    loggedAt: toIso(row.logged_at),
+    createdAt: toIso(row.created_at)
+  };
+}
+
+// An optional short text field, trimmed (null when empty)
+function optionalText(value, label, maxLength) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const text = String(value).trim();
+  if (text.length > maxLength) {
+    throw new HttpError(400, `${label} must be ${maxLength} characters or fewer`);
+  }
+  return text || null;
+}
+
+/**
+ * Validate a waste entry and convert its quantity to the item's base unit
+ * @param {Object} data - { quantity, unit?, reason?, transcript?, userId?, zone?, loggedAt? }
+ * @param {Object} item - Master list item (see inventoryStore.getInventoryList)
+ * @returns {Object} { quantity, countedUnit, countedQuantity, reason, transcript, userId, zone, loggedAt }
+ */
+function validateWaste(data, item) {
+  const counted = Number(data.quantity);
+  if (data.quantity === null || data.quantity === undefined || data.quantity === '' ||
+      !Number.isFinite(counted) || counted <= 0) {
+    throw new HttpError(400, 'quantity must be a positive number');
+  }
+
+  let unit = null;
+  if (data.unit) {
+    unit = units.normalizeUnit(data.unit);
+    if (!unit) {
+      throw new HttpError(400, `Unknown unit "${data.unit}"`);
+    }
+  }
+  const quantity = units.toBaseQuantity(counted, unit, item);
+  if (quantity === null) {
+    throw new HttpError(400, `"${item.name}" has no ${unit} pack size`);
+  }
+  const inPack = unit && unit !== (item.baseUnit || 'each');
+
+  const reason = data.reason ? wasteReasons.normalizeReason(data.reason) : wasteReasons.DEFAULT_REASON;
+  if (!reason) {
+    throw new HttpError(400, `Unknown waste reason "${data.reason}" (use ${wasteReasons.REASONS.join(', ')})`);
+  }
+
+  return {
+    quantity,
+    countedUnit: inPack ? unit : null,
+    countedQuantity: inPack ? counted : null,
+    reason,
+    transcript: optionalText(data.transcript, 'transcript', 1000),
+    userId: optionalText(data.userId, 'userId', 100),
+    zone: optionalText(data.zone, 'zone', 100),
+    loggedAt: data.loggedAt ? toTimestamp(data.loggedAt, 'loggedAt') : new Date().toISOString()
+  };
+}
+
+/**
+ * Log waste of a master list item
+ * @param {string} projectId - Project id
+ * @param {Object} data - { itemId or item (name), quantity, unit?, reason? (code or spoken word, default other), transcript?, userId?, zone?, loggedAt? (default: now) }
+ * @returns {Promise<Object>} Waste entry { wasteId, itemId, item, quantity, countedUnit, countedQuantity, reason, ..., loggedAt }
+ */
+async function recordWaste(projectId, data) {
+  const list = await inventoryStore.getProjectList(projectId);
+  if (!list) {
+    throw new HttpError(400, 'Project has no master list');
+  }
+
+  const item = inventoryStore.findListItem(list, data);
+  const entry = validateWaste(data, item);
+  const wasteId = uuidv4();
+  await database.query(
+    `INSERT INTO waste_entries (waste_id, project_id, item_id, item_name, quantity, counted_unit, counted_quantity,
+       reason, transcript, user_id, zone, logged_at, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      wasteId, projectId, item.itemId, item.name, entry.quantity, entry.countedUnit, entry.countedQuantity,
+      entry.reason, entry.transcript, entry.userId, entry.zone, entry.loggedAt, new Date().toISOString()
+    ]
+  );
+
+  const rows = await database.query('SELECT * FROM waste_entries WHERE waste_id = ?', [wasteId]);
+  return toWasteEntry(rows[0]);
+}
+
+/**
+ * List a project's waste entries, oldest first
+ * @param {string} projectId - Project id
+ * @param {Object} range - { after, until } dates or timestamps (logged after `after`, up to and including `until`)
+ * @returns {Promise<Array<Object>>} Waste entries
+ */
+async function listWaste(projectId, range = {}) {
+  const params = [projectId];
+  let where = 'WHERE project_id = ?';
+  if (range.after) {
+    where += ' AND logged_at > ?';
+    params.push(toTimestamp(range.after, 'after'));
+  }
+  if (range.until) {
+    where += ' AND logged_at <= ?';
+    params.push(toTimestamp(range.until, 'until'));
+  }
+
+  const rows = await database.query(`SELECT * FROM waste_entries ${where} ORDER BY logged_at, created_at`, params);
+  return rows.map(toWasteEntry);
+}
+
+/**
+ * Delete a waste entry (logged by mistake)
+ * @param {string} projectId - Project id
+ * @param {string} wasteId - Waste entry id
+ * @returns {Promise<boolean>} True if it was deleted
+ */
+async function deleteWaste(projectId, wasteId) {
+  const result = await database.query(
+    'DELETE FROM waste_entries WHERE project_id = ? AND waste_id = ?',
+    [projectId, wasteId]
+  );
+  return !!result[0]?.changes;
+}
+
+module.exports = {
+  recordWaste,
+  listWaste,
+  deleteWaste
+};